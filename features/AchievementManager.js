@@ -0,0 +1,153 @@
+// ============================================================================
+// ACHIEVEMENT MANAGER MODULE
+// ============================================================================
+// Achievement definitions, progress tracking and persistence
+// Features:
+// - Data-driven achievement list (icon, name, description, tier, goal)
+// - Progress fed by game events ('coins', 'level', 'revive', ...)
+// - Per-run values (best value kept) and lifetime totals (accumulated)
+// - Unlock dates and progress persisted in localStorage
+// ============================================================================
+
+// Achievement definitions:
+// - event - game event the achievement listens to
+// - type  - 'value' compares the reported value with the goal (e.g. coins this run),
+//           'total' adds the reported amount to a lifetime counter
+// - goal  - value or total needed to unlock
+// - lowerIsBetter - the reported value must be at most the goal (e.g. leaderboard rank)
+const ACHIEVEMENTS = [
+  // Beginner
+  { id: 'first_jump', icon: '🦘', name: 'First Jump', description: 'Complete your first jump',
+    tier: 'beginner', event: 'jump', type: 'total', goal: 1 },
+  { id: 'coin_collector', icon: '🪙', name: 'Coin Collector', description: 'Collect 10 coins in one run',
+    tier: 'beginner', event: 'coins', type: 'value', goal: 10 },
+  { id: 'survivor', icon: '⏱️', name: 'Survivor', description: 'Survive for 30 seconds',
+    tier: 'beginner', event: 'runTime', type: 'value', goal: 30 },
+  { id: 'high_scorer', icon: '💯', name: 'High Scorer', description: 'Reach 100 points',
+    tier: 'beginner', event: 'score', type: 'value', goal: 100 },
+  { id: 'revive_user', icon: '❤️', name: 'Revive User', description: 'Use a revive power-up',
+    tier: 'beginner', event: 'revive', type: 'total', goal: 1 },
+
+  // Intermediate
+  { id: 'coin_master', icon: '💰', name: 'Coin Master', description: 'Collect 50 coins in one run',
+    tier: 'intermediate', event: 'coins', type: 'value', goal: 50 },
+  { id: 'long_runner', icon: '🏃', name: 'Long Runner', description: 'Survive for 2 minutes',
+    tier: 'intermediate', event: 'runTime', type: 'value', goal: 120 },
+  { id: 'level_up', icon: '⬆️', name: 'Level Up', description: 'Reach level 5',
+    tier: 'intermediate', event: 'level', type: 'value', goal: 5 },
+  { id: 'daredevil', icon: '⚡', name: 'Daredevil', description: 'Get 10 near misses in one run',
+    tier: 'intermediate', event: 'nearMisses', type: 'value', goal: 10 },
+  { id: 'sky_collector', icon: '🔗', name: 'Sky Collector', description: 'Build a coin combo of 5',
+    tier: 'intermediate', event: 'coinCombo', type: 'value', goal: 5 },
+
+  // Advanced
+  { id: 'coin_champion', icon: '👑', name: 'Coin Champion', description: 'Collect 100 coins in one run',
+    tier: 'advanced', event: 'coins', type: 'value', goal: 100 },
+  { id: 'endurance_runner', icon: '🏅', name: 'Endurance Runner', description: 'Survive for 5 minutes',
+    tier: 'advanced', event: 'runTime', type: 'value', goal: 300 },
+  { id: 'level_master', icon: '🏔️', name: 'Level Master', description: 'Reach level 10',
+    tier: 'advanced', event: 'level', type: 'value', goal: 10 },
+  { id: 'second_wind', icon: '💖', name: 'Second Wind', description: 'Use 5 revives',
+    tier: 'advanced', event: 'revive', type: 'total', goal: 5 },
+  { id: 'leaderboard_star', icon: '🌟', name: 'Leaderboard Star', description: 'Make it to the top 10',
+    tier: 'advanced', event: 'leaderboardRank', type: 'value', goal: 10, lowerIsBetter: true },
+  { id: 'dedicated', icon: '🔥', name: 'Dedicated', description: 'Play 7 days in a row',
+    tier: 'advanced', event: 'dayStreak', type: 'value', goal: 7 }
+];
+
+const ACHIEVEMENT_TIERS = {
+  beginner: { label: 'Beginner', color: '#4CAF50' },
+  intermediate: { label: 'Intermediate', color: '#2196F3' },
+  advanced: { label: 'Advanced', color: '#9C27B0' }
+};
+
+class AchievementManager {
+    constructor() {
+      this.achievements = ACHIEVEMENTS;
+      this.tiers = ACHIEVEMENT_TIERS;
+      this.state = this.loadState();   // Cached so frequent events don't re-read localStorage
+    }
+
+    loadState() {
+      try {
+        const state = JSON.parse(localStorage.getItem('achievements'));
+        if (state && state.unlocked && state.progress) return state;
+      } catch (error) {
+        console.error('Error parsing achievements:', error);
+      }
+      return { unlocked: {}, progress: {} };
+    }
+
+    saveState() {
+      localStorage.setItem('achievements', JSON.stringify(this.state));
+    }
+
+    /**
+     * Reports a game event and unlocks any achievements it completes
+     * @param {string} event - Event name used in ACHIEVEMENTS
+     * @param {number} value - Current value for 'value' achievements, amount to add for 'total' ones
+     * @returns {Array<Object>} Achievement definitions unlocked by this event
+     */
+    report(event, value = 1) {
+      const listeners = this.achievements.filter(achievement => achievement.event === event);
+      if (listeners.length === 0) return [];
+
+      const progress = this.state.progress;
+      const previous = progress[event];
+      if (listeners[0].type === 'total') {
+        progress[event] = (previous || 0) + value;
+      } else if (listeners[0].lowerIsBetter) {
+        progress[event] = previous === undefined ? value : Math.min(previous, value);
+      } else {
+        progress[event] = Math.max(previous || 0, value);
+      }
+
+      const unlocked = listeners.filter(achievement =>
+        !this.state.unlocked[achievement.id] && this.isComplete(achievement, progress[event]));
+      unlocked.forEach(achievement => {
+        this.state.unlocked[achievement.id] = Date.now();
+      });
+
+      if (progress[event] !== previous || unlocked.length > 0) this.saveState();
+      return unlocked;
+    }
+
+    isComplete(achievement, value) {
+      if (value === undefined) return false;
+      return achievement.lowerIsBetter ? value <= achievement.goal : value >= achievement.goal;
+    }
+
+    /**
+     * All achievements with their unlock state, for the gallery
+     * @returns {Array<Object>} Definitions plus unlockedAt (timestamp or null) and progress (0-1)
+     */
+    getAchievements() {
+      return this.achievements.map(achievement => {
+        const value = this.state.progress[achievement.event];
+        const unlockedAt = this.state.unlocked[achievement.id] || null;
+        let progress = 0;
+        if (unlockedAt) {
+          progress = 1;
+        } else if (value !== undefined && !achievement.lowerIsBetter) {
+          progress = Math.min(1, value / achievement.goal);
+        }
+        return { ...achievement, unlockedAt: unlockedAt, value: value, progress: progress };
+      });
+    }
+
+    getUnlockedCount() {
+      return this.achievements.filter(achievement => this.state.unlocked[achievement.id]).length;
+    }
+
+    getTier(tier) {
+      return this.tiers[tier];
+    }
+
+    resetAchievements() {
+      this.state = { unlocked: {}, progress: {} };
+      this.saveState();
+    }
+  }
+
+  // Export for use in other modules
+export default AchievementManager;
@@ -0,0 +1,285 @@
+// ============================================================================
+// AUDIO MANAGER MODULE
+// ============================================================================
+// Procedural sound effects and music using the Web Audio API
+// Features:
+// - Data-driven sound effects synthesized from oscillator and noise tones
+// - Chiptune loop (lead, bass and drums) scheduled ahead on the audio clock
+// - Music tempo that follows the game speed
+// - Master, music and SFX volume plus mute (values come from SettingsManager)
+// - Audio context created lazily and resumed on the first user gesture
+// ============================================================================
+
+const MUSIC_BASE_BPM = 132;      // Tempo at the starting speed
+const MUSIC_MAX_TEMPO = 1.75;    // Fastest tempo as a multiple of the base tempo
+const MUSIC_LOOKAHEAD = 0.12;    // Seconds of music scheduled ahead of the audio clock
+const MUSIC_TICK_MS = 30;        // How often (ms) the music scheduler runs
+const MUSIC_GAIN = 0.18;         // Music level before the music volume
+const SFX_GAIN = 0.35;           // Sound effect level before the SFX volume
+
+// Sound effects - each tone is:
+// - wave     - oscillator type, or 'noise' for a white noise burst
+// - from/to  - start and end frequency (Hz), the pitch slides between them
+// - duration - tone length in seconds, delay - start offset in seconds
+// - volume   - tone level (0-1)
+const SOUND_EFFECTS = {
+  jump: [
+    { wave: 'square', from: 280, to: 560, duration: 0.12, volume: 0.5 }
+  ],
+  doubleJump: [
+    { wave: 'square', from: 420, to: 840, duration: 0.08, volume: 0.45 },
+    { wave: 'square', from: 630, to: 1260, duration: 0.1, delay: 0.06, volume: 0.4 }
+  ],
+  coin: [
+    { wave: 'square', from: 988, to: 988, duration: 0.06, volume: 0.4 },
+    { wave: 'square', from: 1319, to: 1319, duration: 0.14, delay: 0.06, volume: 0.4 }
+  ],
+  reviveCoin: [
+    { wave: 'triangle', from: 523, to: 523, duration: 0.1, volume: 0.6 },
+    { wave: 'triangle', from: 659, to: 659, duration: 0.1, delay: 0.08, volume: 0.6 },
+    { wave: 'triangle', from: 784, to: 784, duration: 0.1, delay: 0.16, volume: 0.6 },
+    { wave: 'triangle', from: 1047, to: 1047, duration: 0.25, delay: 0.24, volume: 0.6 }
+  ],
+  hit: [
+    { wave: 'noise', duration: 0.25, volume: 0.6 },
+    { wave: 'sawtooth', from: 220, to: 40, duration: 0.35, volume: 0.5 }
+  ],
+  levelUp: [
+    { wave: 'square', from: 392, to: 392, duration: 0.1, volume: 0.4 },
+    { wave: 'square', from: 523, to: 523, duration: 0.1, delay: 0.1, volume: 0.4 },
+    { wave: 'square', from: 659, to: 659, duration: 0.1, delay: 0.2, volume: 0.4 },
+    { wave: 'square', from: 784, to: 1047, duration: 0.3, delay: 0.3, volume: 0.4 }
+  ],
+  click: [
+    { wave: 'square', from: 660, to: 440, duration: 0.04, volume: 0.3 }
+  ]
+};
+
+// Music loop - one entry per 16th note step, MIDI note numbers (null = rest)
+// Drums: 'k' kick, 's' snare, 'h' hi-hat
+const MUSIC_PATTERN = {
+  lead: [
+    72, null, 76, null, 79, null, 76, 79, 81, null, 79, null, 76, null, 74, null,
+    72, null, 76, null, 79, null, 84, null, 83, null, 79, null, 76, 74, 72, null,
+    69, null, 72, null, 76, null, 72, 76, 77, null, 76, null, 72, null, 71, null,
+    67, null, 71, null, 74, null, 79, null, 77, null, 74, null, 71, null, 67, null
+  ],
+  bass: [
+    48, null, 48, 55, 48, null, 48, 55, 45, null, 45, 52, 45, null, 45, 52,
+    41, null, 41, 48, 41, null, 41, 48, 43, null, 43, 50, 43, null, 43, 50
+  ],
+  drums: [
+    'k', null, 'h', null, 's', null, 'h', null, 'k', 'k', 'h', null, 's', null, 'h', 'h'
+  ]
+};
+
+class AudioManager {
+    constructor() {
+      this.context = null;        // Created on first use (browsers block audio until a gesture)
+      this.masterGain = null;
+      this.musicGain = null;
+      this.sfxGain = null;
+      this.noiseBuffer = null;
+      this.settings = { masterVolume: 1, musicVolume: 1, sfxVolume: 1, muted: false };
+
+      this.musicPlaying = false;
+      this.musicTimer = null;     // Scheduler interval while music plays
+      this.musicStep = 0;         // Next step of MUSIC_PATTERN to schedule
+      this.nextStepTime = 0;      // Audio clock time of the next step
+      this.tempo = 1;             // Current tempo as a multiple of MUSIC_BASE_BPM
+
+      this.listenForGesture();
+    }
+
+    /**
+     * Resumes the audio context on the first pointer or key press
+     * A context created before any gesture starts suspended
+     */
+    listenForGesture() {
+      if (typeof document === 'undefined') return;
+      const unlock = () => {
+        if (this.context) this.context.resume();
+        document.removeEventListener('pointerdown', unlock);
+        document.removeEventListener('keydown', unlock);
+      };
+      document.addEventListener('pointerdown', unlock);
+      document.addEventListener('keydown', unlock);
+    }
+
+    /**
+     * Creates the audio context and mixer on first use
+     * @returns {AudioContext|null} Context, or null when Web Audio isn't supported
+     */
+    getContext() {
+      if (this.context) return this.context;
+      const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+      if (!AudioContextClass) return null;
+
+      this.context = new AudioContextClass();
+      this.masterGain = this.context.createGain();
+      this.masterGain.connect(this.context.destination);
+      this.musicGain = this.context.createGain();
+      this.musicGain.connect(this.masterGain);
+      this.sfxGain = this.context.createGain();
+      this.sfxGain.connect(this.masterGain);
+      this.applyVolumes();
+
+      // One second of white noise, reused by every noise tone
+      this.noiseBuffer = this.context.createBuffer(1, this.context.sampleRate, this.context.sampleRate);
+      const samples = this.noiseBuffer.getChannelData(0);
+      for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+      return this.context;
+    }
+
+    /**
+     * Sets the volumes and mute state
+     * @param {Object} settings - { masterVolume, musicVolume, sfxVolume, muted } with volumes 0-1
+     */
+    applySettings(settings) {
+      this.settings = { ...this.settings, ...settings };
+      this.applyVolumes();
+    }
+
+    applyVolumes() {
+      if (!this.context) return;
+      const now = this.context.currentTime;
+      this.masterGain.gain.setValueAtTime(this.settings.muted ? 0 : this.settings.masterVolume, now);
+      this.musicGain.gain.setValueAtTime(this.settings.musicVolume * MUSIC_GAIN, now);
+      this.sfxGain.gain.setValueAtTime(this.settings.sfxVolume * SFX_GAIN, now);
+    }
+
+    /**
+     * Plays a sound effect from SOUND_EFFECTS
+     * @param {string} name - Effect name
+     */
+    playSfx(name) {
+      const tones = SOUND_EFFECTS[name];
+      if (!tones || this.settings.muted || !this.getContext()) return;
+      if (this.context.state === 'suspended') this.context.resume();
+
+      const start = this.context.currentTime;
+      tones.forEach(tone => this.playTone(tone, start + (tone.delay || 0), this.sfxGain));
+    }
+
+    /**
+     * Schedules one tone with a short attack and an exponential release
+     * @param {Object} tone - Tone definition (see SOUND_EFFECTS)
+     * @param {number} time - Audio clock start time
+     * @param {GainNode} output - Mixer channel to play through
+     */
+    playTone(tone, time, output) {
+      const envelope = this.context.createGain();
+      envelope.gain.setValueAtTime(0.0001, time);
+      envelope.gain.exponentialRampToValueAtTime(tone.volume, time + 0.005);
+      envelope.gain.exponentialRampToValueAtTime(0.0001, time + tone.duration);
+      envelope.connect(output);
+
+      let source;
+      if (tone.wave === 'noise') {
+        source = this.context.createBufferSource();
+        source.buffer = this.noiseBuffer;
+      } else {
+        source = this.context.createOscillator();
+        source.type = tone.wave;
+        source.frequency.setValueAtTime(tone.from, time);
+        if (tone.to !== tone.from) source.frequency.exponentialRampToValueAtTime(tone.to, time + tone.duration);
+      }
+      source.connect(envelope);
+      source.start(time);
+      source.stop(time + tone.duration + 0.02);
+    }
+
+    /**
+     * Starts the music loop from the top
+     */
+    playMusic() {
+      this.musicStep = 0;
+      this.resumeMusic();
+    }
+
+    /**
+     * Continues the music loop where it was paused
+     */
+    resumeMusic() {
+      if (this.musicPlaying || !this.getContext()) return;
+      this.musicPlaying = true;
+      this.nextStepTime = this.context.currentTime + 0.05;
+      this.musicTimer = setInterval(() => this.scheduleMusic(), MUSIC_TICK_MS);
+    }
+
+    pauseMusic() {
+      if (!this.musicPlaying) return;
+      this.musicPlaying = false;
+      clearInterval(this.musicTimer);
+      this.musicTimer = null;
+    }
+
+    stopMusic() {
+      this.pauseMusic();
+      this.musicStep = 0;
+    }
+
+    /**
+     * Sets the music tempo from the game speed
+     * @param {number} speedScale - Current speed divided by the starting speed
+     */
+    setMusicTempo(speedScale) {
+      this.tempo = Math.min(MUSIC_MAX_TEMPO, Math.max(0.5, speedScale));
+    }
+
+    /**
+     * Schedules every step that starts within the lookahead window
+     * Steps are timed on the audio clock, so timer jitter doesn't affect the rhythm
+     */
+    scheduleMusic() {
+      const context = this.context;
+      // After a long stall (hidden tab) restart the clock instead of catching up
+      if (this.nextStepTime < context.currentTime) this.nextStepTime = context.currentTime + 0.02;
+      if (context.state !== 'running') return;
+
+      while (this.nextStepTime < context.currentTime + MUSIC_LOOKAHEAD) {
+        const stepLength = 60 / (MUSIC_BASE_BPM * this.tempo) / 4;
+        this.playMusicStep(this.musicStep, this.nextStepTime, stepLength);
+        this.musicStep = (this.musicStep + 1) % MUSIC_PATTERN.lead.length;
+        this.nextStepTime += stepLength;
+      }
+    }
+
+    playMusicStep(step, time, stepLength) {
+      const toFrequency = note => 440 * Math.pow(2, (note - 69) / 12);
+
+      const lead = MUSIC_PATTERN.lead[step % MUSIC_PATTERN.lead.length];
+      if (lead !== null) {
+        const frequency = toFrequency(lead);
+        this.playTone({ wave: 'square', from: frequency, to: frequency, duration: stepLength * 0.9, volume: 0.35 },
+          time, this.musicGain);
+      }
+
+      const bass = MUSIC_PATTERN.bass[step % MUSIC_PATTERN.bass.length];
+      if (bass !== null) {
+        const frequency = toFrequency(bass);
+        this.playTone({ wave: 'triangle', from: frequency, to: frequency, duration: stepLength * 0.95, volume: 0.8 },
+          time, this.musicGain);
+      }
+
+      const drum = MUSIC_PATTERN.drums[step % MUSIC_PATTERN.drums.length];
+      if (drum === 'k') {
+        this.playTone({ wave: 'sine', from: 150, to: 45, duration: 0.12, volume: 0.9 }, time, this.musicGain);
+      } else if (drum === 's') {
+        this.playTone({ wave: 'noise', duration: 0.1, volume: 0.4 }, time, this.musicGain);
+      } else if (drum === 'h') {
+        this.playTone({ wave: 'noise', duration: 0.03, volume: 0.15 }, time, this.musicGain);
+      }
+    }
+
+    /**
+     * Plays the click sound whenever an interactive object in the scene is pressed
+     * @param {Phaser.Scene} scene - Menu scene to add click sounds to
+     */
+    bindClickSounds(scene) {
+      scene.input.on('gameobjectdown', () => this.playSfx('click'));
+    }
+  }
+
+  // Export for use in other modules
+export default AudioManager;
@@ -0,0 +1,357 @@
+// ============================================================================
+// CHUNK MANAGER MODULE
+// ============================================================================
+// Authored obstacle/coin segment library for the game scene
+// Features:
+// - Data-driven chunk definitions (obstacles, coins, pits and platforms with offsets)
+// - Difficulty tiers with per-level weighted selection
+// - Offsets expressed in pixels and/or jump lengths so layouts scale with speed
+// - Fair spacing enforcement between separated obstacles and pits
+// - Stitching gap calculation based on current speed and jump physics
+// ============================================================================
+
+// Chunk library - each item is placed at `x` pixels plus `jumps` jump lengths
+// from the start of the chunk. Obstacles sit on the ground unless their
+// `placement` is 'overhead', coins always carry an absolute `y`. Items wider
+// than the standard 30px declare a `width`.
+// Pits remove the ground and platforms raise a one-way ledge `height` px above
+// it. Both start at their offset and are `widthJumps` jump lengths (plus any
+// `width` px) wide. Coins over a platform are lifted onto it when spawned.
+const CHUNK_LIBRARY = [
+  // Tier 1 - single obstacles and free coins
+  {
+    key: 'single_box',
+    tier: 1,
+    weight: 3,
+    items: [
+      { type: 'obstacle', texture: 'obstacle_rect', x: 0 },
+      { type: 'coin', x: 0, y: 425 }
+    ]
+  },
+  {
+    key: 'single_rock',
+    tier: 1,
+    weight: 3,
+    items: [
+      { type: 'obstacle', texture: 'obstacle_star', x: 0 },
+      { type: 'coin', x: 0, y: 440 }
+    ]
+  },
+  {
+    key: 'single_stump',
+    tier: 1,
+    weight: 2,
+    items: [
+      { type: 'obstacle', texture: 'obstacle_triangle', x: 0 },
+      { type: 'coin', x: 0, y: 440 }
+    ]
+  },
+  {
+    key: 'single_crate',
+    tier: 1,
+    weight: 2,
+    items: [
+      { type: 'obstacle', texture: 'obstacle_circle', x: 0 },
+      { type: 'coin', x: 0, y: 440 }
+    ]
+  },
+  {
+    key: 'low_log',
+    tier: 1,
+    weight: 1,
+    items: [
+      { type: 'obstacle', texture: 'obstacle_overhead_log', placement: 'overhead', width: 60, x: 0 },
+      { type: 'coin', x: 15, y: 488 }
+    ]
+  },
+  {
+    key: 'coin_trail',
+    tier: 1,
+    weight: 1,
+    items: [
+      { type: 'coin', x: 0, y: 465 },
+      { type: 'coin', x: 40, y: 465 },
+      { type: 'coin', x: 80, y: 465 },
+      { type: 'coin', x: 120, y: 465 }
+    ]
+  },
+  {
+    key: 'small_pit',
+    tier: 1,
+    weight: 1,
+    items: [
+      { type: 'pit', x: 0, widthJumps: 0.35 },
+      { type: 'coin', jumps: 0.175, y: 430 }
+    ]
+  },
+
+  // Tier 2 - wider obstacles, pairs, coin arcs and jump/slide mixes
+  {
+    key: 'double_box',
+    tier: 2,
+    weight: 2,
+    items: [
+      { type: 'obstacle', texture: 'obstacle_rect', x: 0 },
+      { type: 'obstacle', texture: 'obstacle_rect', x: 30 },
+      { type: 'coin', x: 15, y: 420 }
+    ]
+  },
+  {
+    key: 'gap_then_rock',
+    tier: 2,
+    weight: 2,
+    items: [
+      { type: 'obstacle', texture: 'obstacle_rect', x: 0 },
+      { type: 'coin', x: 0, y: 425 },
+      { type: 'obstacle', texture: 'obstacle_star', jumps: 1.2 },
+      { type: 'coin', jumps: 1.2, y: 440 }
+    ]
+  },
+  {
+    key: 'coin_arc',
+    tier: 2,
+    weight: 2,
+    items: [
+      { type: 'coin', jumps: 0, y: 430 },
+      { type: 'coin', jumps: 0.2, y: 392 },
+      { type: 'obstacle', texture: 'obstacle_triangle', jumps: 0.4 },
+      { type: 'coin', jumps: 0.4, y: 375 },
+      { type: 'coin', jumps: 0.6, y: 392 },
+      { type: 'coin', jumps: 0.8, y: 430 }
+    ]
+  },
+  {
+    key: 'duck_then_jump',
+    tier: 2,
+    weight: 2,
+    items: [
+      { type: 'obstacle', texture: 'obstacle_overhead_log', placement: 'overhead', width: 60, x: 0 },
+      { type: 'obstacle', texture: 'obstacle_rect', jumps: 1.2 },
+      { type: 'coin', jumps: 1.2, y: 425 }
+    ]
+  },
+  {
+    key: 'pit_coin_arc',
+    tier: 2,
+    weight: 1,
+    items: [
+      { type: 'pit', jumps: 0.2, widthJumps: 0.5 },
+      { type: 'coin', jumps: 0.25, y: 420 },
+      { type: 'coin', jumps: 0.45, y: 385 },
+      { type: 'coin', jumps: 0.65, y: 420 }
+    ]
+  },
+  {
+    key: 'platform_step',
+    tier: 2,
+    weight: 1,
+    items: [
+      { type: 'platform', x: 0, widthJumps: 0.9, height: 70 },
+      { type: 'coin', jumps: 0.2, y: 465 },
+      { type: 'coin', jumps: 0.45, y: 465 },
+      { type: 'coin', jumps: 0.7, y: 465 }
+    ]
+  },
+  {
+    key: 'jump_then_duck',
+    tier: 2,
+    weight: 1,
+    items: [
+      { type: 'obstacle', texture: 'obstacle_star', x: 0 },
+      { type: 'obstacle', texture: 'obstacle_overhead_spikes', placement: 'overhead', width: 40, jumps: 1.1 },
+      { type: 'coin', jumps: 1.1, y: 488 }
+    ]
+  },
+
+  // Tier 3 - clusters and obstacle runs
+  {
+    key: 'triple_box',
+    tier: 3,
+    weight: 2,
+    items: [
+      { type: 'obstacle', texture: 'obstacle_rect', x: 0 },
+      { type: 'obstacle', texture: 'obstacle_rect', x: 30 },
+      { type: 'obstacle', texture: 'obstacle_rect', x: 60 },
+      { type: 'coin', x: 30, y: 405 }
+    ]
+  },
+  {
+    key: 'rock_stump_rock',
+    tier: 3,
+    weight: 2,
+    items: [
+      { type: 'obstacle', texture: 'obstacle_star', x: 0 },
+      { type: 'obstacle', texture: 'obstacle_triangle', jumps: 1.1 },
+      { type: 'coin', jumps: 1.1, y: 440 },
+      { type: 'obstacle', texture: 'obstacle_star', jumps: 2.2 }
+    ]
+  },
+  {
+    key: 'crate_pair',
+    tier: 3,
+    weight: 1,
+    items: [
+      { type: 'obstacle', texture: 'obstacle_circle', x: 0 },
+      { type: 'obstacle', texture: 'obstacle_circle', jumps: 0.9 },
+      { type: 'coin', jumps: 0.45, y: 400 }
+    ]
+  },
+  {
+    key: 'pit_box_pit',
+    tier: 3,
+    weight: 1,
+    items: [
+      { type: 'pit', x: 0, widthJumps: 0.45 },
+      { type: 'obstacle', texture: 'obstacle_rect', jumps: 1.1 },
+      { type: 'coin', jumps: 1.1, y: 425 },
+      { type: 'pit', jumps: 1.8, widthJumps: 0.45 }
+    ]
+  },
+  {
+    key: 'stepping_stone',
+    tier: 3,
+    weight: 1,
+    items: [
+      { type: 'pit', x: 0, widthJumps: 1 },
+      { type: 'platform', jumps: 0.3, widthJumps: 0.4, height: 60 },
+      { type: 'coin', jumps: 0.4, y: 465 },
+      { type: 'coin', jumps: 0.6, y: 465 }
+    ]
+  },
+  {
+    key: 'long_tunnel',
+    tier: 3,
+    weight: 1,
+    items: [
+      { type: 'obstacle', texture: 'obstacle_overhead_spikes', placement: 'overhead', width: 40, x: 0 },
+      { type: 'obstacle', texture: 'obstacle_overhead_log', placement: 'overhead', width: 60, x: 50 },
+      { type: 'obstacle', texture: 'obstacle_overhead_spikes', placement: 'overhead', width: 40, x: 100 },
+      { type: 'coin', x: 30, y: 488 },
+      { type: 'coin', x: 70, y: 488 },
+      { type: 'coin', x: 110, y: 488 }
+    ]
+  }
+];
+
+// Tier weights by level - the last entry whose minLevel has been reached applies
+const TIER_WEIGHTS = [
+  { minLevel: 1, weights: { 1: 1 } },
+  { minLevel: 2, weights: { 1: 3, 2: 1 } },
+  { minLevel: 4, weights: { 1: 2, 2: 2, 3: 1 } },
+  { minLevel: 6, weights: { 1: 1, 2: 2, 3: 2 } }
+];
+
+// Default width of obstacle and coin items in pixels
+const ITEM_WIDTH = 30;
+
+class ChunkManager {
+    constructor() {
+      this.chunks = CHUNK_LIBRARY;
+      this.tierWeights = TIER_WEIGHTS;
+    }
+
+    /**
+     * Horizontal distance covered during a full single jump
+     * @param {number} speed - Current scroll speed (px/s)
+     * @param {number} jumpVelocity - Jump velocity (negative = upward)
+     * @param {number} gravity - World gravity
+     */
+    getJumpLength(speed, jumpVelocity, gravity) {
+      const airTime = 2 * Math.abs(jumpVelocity) / gravity;
+      return speed * airTime;
+    }
+
+    getTierWeights(level) {
+      let weights = this.tierWeights[0].weights;
+      this.tierWeights.forEach(entry => {
+        if (level >= entry.minLevel) weights = entry.weights;
+      });
+      return weights;
+    }
+
+    /**
+     * Pick an entry from a list using its `weight` property
+     * @param {Array} entries - Objects with a numeric weight
+     * @param {Function} random - Returns a float in [0, 1)
+     */
+    pickWeighted(entries, random) {
+      const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+      let roll = random() * total;
+
+      for (const entry of entries) {
+        roll -= entry.weight;
+        if (roll < 0) return entry;
+      }
+      return entries[entries.length - 1];
+    }
+
+    pickChunk(level, random = () => Phaser.Math.RND.frac()) {
+      const weights = this.getTierWeights(level);
+      const tiers = Object.keys(weights).map(tier => ({ tier: Number(tier), weight: weights[tier] }));
+      const { tier } = this.pickWeighted(tiers, random);
+
+      const candidates = this.chunks.filter(chunk => chunk.tier === tier);
+      return this.pickWeighted(candidates, random);
+    }
+
+    /**
+     * Width of an item in pixels, including any width given in jump lengths
+     * @param {Object} item - Chunk item
+     * @param {number} jumpLength - Result of getJumpLength()
+     */
+    getItemWidth(item, jumpLength) {
+      if (item.widthJumps) return (item.width || 0) + item.widthJumps * jumpLength;
+      return item.width || ITEM_WIDTH;
+    }
+
+    /**
+     * Resolve a chunk into concrete item offsets and widths for the current speed
+     * Separated obstacles and pits are pushed apart so the player always has room to land
+     * @param {Object} chunk - Chunk definition from the library
+     * @param {number} jumpLength - Result of getJumpLength()
+     * @param {number} minGap - Minimum landing gap between separated obstacles (px)
+     * @returns {{ items: Array, width: number }}
+     */
+    layoutChunk(chunk, jumpLength, minGap) {
+      const items = chunk.items
+        .map(item => ({
+          ...item,
+          x: (item.x || 0) + (item.jumps || 0) * jumpLength,
+          width: this.getItemWidth(item, jumpLength)
+        }))
+        .sort((a, b) => a.x - b.x);
+
+      let shift = 0;
+      let lastObstacleEnd = null;
+
+      items.forEach(item => {
+        item.x += shift;
+        if (item.type !== 'obstacle' && item.type !== 'pit') return;
+
+        if (lastObstacleEnd !== null) {
+          const gap = item.x - lastObstacleEnd;
+          if (gap > 0 && gap < minGap) {
+            shift += minGap - gap;
+            item.x += minGap - gap;
+          }
+        }
+        lastObstacleEnd = item.x + item.width;
+      });
+
+      const width = items.reduce((max, item) => Math.max(max, item.x + item.width), 0);
+      return { items, width };
+    }
+
+    /**
+     * Gap between the end of one chunk and the start of the next
+     * @param {number} jumpLength - Result of getJumpLength()
+     * @param {number} gapJumps - Gap size in jump lengths for the current level
+     * @param {number} minGap - Absolute minimum gap (px)
+     */
+    getStitchGap(jumpLength, gapJumps, minGap) {
+      return Math.max(minGap, jumpLength * gapJumps);
+    }
+  }
+
+  // Export for use in other modules
+export default ChunkManager;
@@ -8,38 +8,92 @@
 // - Dynamic spawning with configurable timing
 // - Smooth movement animations across screen
 // - Pause/resume functionality for game states
-// - Memory-efficient cleanup and management
+// - Pooled cloud sprites and tweens (reused instead of recreated)
 // - Different opacity and speed settings per scene
+// - Swappable random source (seeded during game runs)
 // ============================================================================
 
 class CloudManager {
     /**
      * Constructor for the cloud manager
      * Initializes cloud system state and texture storage
+     * @param {PoolManager} poolManager - Shared object pools
      */
-    constructor() {
+    constructor(poolManager) {
+      this.poolManager = poolManager;
       this.clouds = [];           // Array to store active cloud objects
       this.isActive = false;      // Flag to track if cloud system is running
+      this.isPaused = false;      // Clouds frozen with a paused run
       this.spawnTimer = null;     // Timer for periodic cloud spawning
+      this.random = null;         // Random source, Phaser's global RNG unless a run seeds it
     }
   
     start(scene) {
       this.scene = scene;
       this.isActive = true;
+      this.isPaused = false;
+      this.clouds = [];
+      this.random = Phaser.Math.RND;
       this.createCloudTextures();
+      this.createCloudPool();
       this.spawnInitialClouds();
       this.startSpawning();
     }
   
     stop() {
       this.isActive = false;
-      this.clouds.forEach(cloud => {
-        if (cloud.tween && cloud.tween.isActive()) {
-          cloud.tween.stop();
+      this.poolManager.releaseAll('clouds');
+      this.clouds = [];
+    }
+
+    /**
+     * Registers the cloud pool for the current scene
+     * Each cloud keeps one persistent tween that is restarted on reuse
+     */
+    createCloudPool() {
+      this.poolManager.createPool('clouds', {
+        create: () => {
+          const cloud = { sprite: this.scene.add.sprite(0, 0, 'cloud_small').setDepth(1), tween: null, type: null };
+          cloud.tween = this.scene.tweens.add({
+            targets: cloud.sprite,
+            x: -100,
+            duration: (this.scene.game.config.width + 150) * 1000, // At 1px/s, scaled by timeScale
+            ease: 'Linear',
+            paused: true,
+            persist: true,
+            onComplete: () => this.releaseCloud(cloud)
+          });
+          return cloud;
+        },
+        activate: (cloud, cloudType, y, opacity, speed) => {
+          cloud.type = cloudType;
+          cloud.sprite
+            .setTexture(cloudType)
+            .setPosition(this.scene.game.config.width + 50, y)
+            .setAlpha(opacity)
+            .setVisible(true)
+            .setActive(true);
+          cloud.tween.timeScale = speed;
+          cloud.tween.restart();
+        },
+        deactivate: (cloud) => {
+          cloud.tween.pause();
+          cloud.sprite.setVisible(false).setActive(false);
         }
-        if (cloud.sprite) cloud.sprite.destroy();
       });
-      this.clouds = [];
+    }
+
+    /**
+     * Replaces the random source used for cloud types, positions and speeds
+     * @param {Phaser.Math.RandomDataGenerator} random - Seeded generator for the current run
+     */
+    setRandom(random) {
+      this.random = random;
+    }
+
+    releaseCloud(cloud) {
+      this.poolManager.release('clouds', cloud);
+      this.clouds = this.clouds.filter(c => c !== cloud);
     }
   
     createCloudTextures() {
@@ -75,7 +129,7 @@ class CloudManager {
   
     spawnInitialClouds() {
       // Spawn 3-5 initial clouds for immediate visual appeal
-      const initialCount = Phaser.Math.Between(3, 5);
+      const initialCount = this.random.between(3, 5);
       for (let i = 0; i < initialCount; i++) {
         this.spawnCloud();
       }
@@ -84,7 +138,7 @@ class CloudManager {
     startSpawning() {
       // Spawn new clouds every 3-8 seconds
       this.spawnTimer = this.scene.time.addEvent({
-        delay: Phaser.Math.Between(3000, 8000),
+        delay: this.random.between(3000, 8000),
         loop: true,
         callback: () => {
           if (this.isActive && this.clouds.length < 8) {
@@ -96,58 +150,46 @@ class CloudManager {
   
     spawnCloud() {
       const cloudTypes = ['cloud_small', 'cloud_medium', 'cloud_large'];
-      const cloudType = Phaser.Math.RND.pick(cloudTypes);
+      const cloudType = this.random.pick(cloudTypes);
       
       // Determine cloud properties based on type
       let speed, yRange, opacity;
       switch (cloudType) {
         case 'cloud_small':
-          speed = Phaser.Math.Between(20, 40);
+          speed = this.random.between(20, 40);
           yRange = { min: 50, max: 150 };
           opacity = 0.3;
           break;
         case 'cloud_medium':
-          speed = Phaser.Math.Between(15, 30);
+          speed = this.random.between(15, 30);
           yRange = { min: 30, max: 120 };
           opacity = 0.4;
           break;
         case 'cloud_large':
-          speed = Phaser.Math.Between(10, 25);
+          speed = this.random.between(10, 25);
           yRange = { min: 20, max: 100 };
           opacity = 0.5;
           break;
       }
   
-      // Create cloud sprite
-      const cloud = this.scene.add.sprite(
-        this.scene.game.config.width + 50,
-        Phaser.Math.Between(yRange.min, yRange.max),
-        cloudType
-      ).setAlpha(opacity).setDepth(1);
-  
-      // Create movement tween
-      const tween = this.scene.tweens.add({
-        targets: cloud,
-        x: -100,
-        duration: (this.scene.game.config.width + 150) / speed * 1000,
-        ease: 'Linear',
-        onComplete: () => {
-          cloud.destroy();
-          this.clouds = this.clouds.filter(c => c.sprite !== cloud);
-        }
-      });
+      // Take a cloud from the pool and start its movement tween
+      const cloud = this.poolManager.acquire(
+        'clouds',
+        cloudType,
+        this.random.between(yRange.min, yRange.max),
+        opacity,
+        speed
+      );
   
       // Store cloud data
-      this.clouds.push({
-        sprite: cloud,
-        tween: tween,
-        type: cloudType
-      });
+      this.clouds.push(cloud);
     }
   
     pause() {
+      if (this.isPaused) return;
+      this.isPaused = true;
       this.clouds.forEach(cloud => {
-        if (cloud.tween && cloud.tween.isActive()) {
+        if (cloud.tween && cloud.tween.isPlaying()) {
           cloud.tween.pause();
         }
       });
@@ -155,8 +197,10 @@ class CloudManager {
     }
   
     resume() {
+      if (!this.isPaused) return;
+      this.isPaused = false;
       this.clouds.forEach(cloud => {
-        if (cloud.tween && cloud.tween.isActive()) {
+        if (cloud.tween && cloud.tween.isPaused()) {
           cloud.tween.resume();
         }
       });
@@ -0,0 +1,401 @@
+// ============================================================================
+// CONTROLS MANAGER MODULE
+// ============================================================================
+// Remappable keyboard controls, gamepad buttons and focus navigation for menus
+// Features:
+// - Named actions for gameplay (jump, slide, pause, restart, revive, menu) and menus
+// - Key bindings persisted in localStorage, with defaults to reset to
+// - Conflict detection between actions that are active at the same time
+// - Capture of the next key press for rebinding
+// - Gamepad buttons (standard layout) mapped to the same actions
+// - Focus navigation over a scene's buttons with a visible focus highlight
+// ============================================================================
+
+// Actions - keys are KeyboardEvent.code values, so bindings don't depend on the keyboard layout
+// - group - actions in the same group are active together and can't share a key
+const CONTROL_ACTIONS = [
+  // Gameplay
+  { id: 'jump', group: 'game', label: 'Jump / Double jump', defaultKey: 'Space' },
+  { id: 'slide', group: 'game', label: 'Slide', defaultKey: 'ArrowDown' },
+  { id: 'pause', group: 'game', label: 'Pause / Resume', defaultKey: 'KeyP' },
+  { id: 'restart', group: 'game', label: 'Restart', defaultKey: 'KeyR' },
+  { id: 'revive', group: 'game', label: 'Revive', defaultKey: 'Enter' },
+  { id: 'menu', group: 'game', label: 'Main menu', defaultKey: 'KeyM' },
+
+  // Menus
+  { id: 'up', group: 'menu', label: 'Focus up', defaultKey: 'ArrowUp' },
+  { id: 'down', group: 'menu', label: 'Focus down', defaultKey: 'ArrowDown' },
+  { id: 'left', group: 'menu', label: 'Focus left', defaultKey: 'ArrowLeft' },
+  { id: 'right', group: 'menu', label: 'Focus right', defaultKey: 'ArrowRight' },
+  { id: 'select', group: 'menu', label: 'Select', defaultKey: 'Enter' },
+  { id: 'back', group: 'menu', label: 'Back', defaultKey: 'Escape' }
+];
+
+// Short names for keys whose code isn't readable on its own
+const KEY_LABELS = {
+  Space: 'SPACE',
+  Enter: 'ENTER',
+  Escape: 'ESC',
+  Backspace: 'BACKSPACE',
+  Tab: 'TAB',
+  ShiftLeft: 'L-SHIFT',
+  ShiftRight: 'R-SHIFT',
+  ControlLeft: 'L-CTRL',
+  ControlRight: 'R-CTRL',
+  AltLeft: 'L-ALT',
+  AltRight: 'R-ALT',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→'
+};
+
+// Gamepad buttons by index in the standard layout → action in each group
+const GAMEPAD_BUTTONS = {
+  0: { game: 'jump', menu: 'select' },     // A / Cross
+  1: { game: 'slide', menu: 'back' },      // B / Circle
+  2: { game: 'revive', menu: 'select' },   // X / Square
+  3: { game: 'restart' },                  // Y / Triangle
+  8: { game: 'menu', menu: 'back' },       // Back / Select
+  9: { game: 'pause', menu: 'select' },    // Start
+  12: { game: 'jump', menu: 'up' },        // D-pad up
+  13: { game: 'slide', menu: 'down' },     // D-pad down
+  14: { menu: 'left' },                    // D-pad left
+  15: { menu: 'right' }                    // D-pad right
+};
+
+const FOCUS_COLOR = 0xFFD700;    // Focus highlight outline
+
+class ControlsManager {
+    constructor() {
+      this.actions = CONTROL_ACTIONS;
+      this.bindings = this.loadBindings();
+      this.pendingCapture = null;   // Callback waiting for the next key press while rebinding
+      this.lastFocus = null;        // { sceneKey, x, y } of the focus when a menu scene shut down
+    }
+
+    loadBindings() {
+      const bindings = this.getDefaultBindings();
+      try {
+        const saved = JSON.parse(localStorage.getItem('keyBindings'));
+        if (saved) {
+          // Unknown actions are dropped, missing ones keep their default
+          this.actions.forEach(action => {
+            if (typeof saved[action.id] === 'string' && saved[action.id]) bindings[action.id] = saved[action.id];
+          });
+        }
+      } catch (error) {
+        console.error('Error parsing key bindings:', error);
+      }
+      return bindings;
+    }
+
+    saveBindings() {
+      localStorage.setItem('keyBindings', JSON.stringify(this.bindings));
+    }
+
+    getDefaultBindings() {
+      const bindings = {};
+      this.actions.forEach(action => {
+        bindings[action.id] = action.defaultKey;
+      });
+      return bindings;
+    }
+
+    getActions(group) {
+      return this.actions.filter(action => action.group === group);
+    }
+
+    getActionDefinition(id) {
+      return this.actions.find(action => action.id === id);
+    }
+
+    getKey(actionId) {
+      return this.bindings[actionId];
+    }
+
+    /**
+     * Action bound to a key
+     * @param {string} code - KeyboardEvent.code
+     * @param {string} group - 'game' or 'menu'
+     * @returns {string|null} Action id
+     */
+    getAction(code, group) {
+      const action = this.getActions(group).find(definition => this.bindings[definition.id] === code);
+      return action ? action.id : null;
+    }
+
+    /**
+     * Another action of the same group already bound to a key
+     * @returns {string|null} Conflicting action id
+     */
+    findConflict(actionId, code) {
+      const group = this.getActionDefinition(actionId).group;
+      const conflict = this.getActions(group).find(action => action.id !== actionId && this.bindings[action.id] === code);
+      return conflict ? conflict.id : null;
+    }
+
+    /**
+     * Binds a key to an action
+     * @param {string} actionId - Action to rebind
+     * @param {string} code - KeyboardEvent.code
+     * @param {boolean} swap - On a conflict, give the other action this action's old key
+     * @returns {Object} { success, conflict } - conflict is the clashing action id when not swapped
+     */
+    bind(actionId, code, swap = false) {
+      if (!this.getActionDefinition(actionId) || typeof code !== 'string' || !code) {
+        return { success: false, conflict: null };
+      }
+
+      const conflict = this.findConflict(actionId, code);
+      if (conflict && !swap) return { success: false, conflict: conflict };
+      if (conflict) this.bindings[conflict] = this.bindings[actionId];
+
+      this.bindings[actionId] = code;
+      this.saveBindings();
+      return { success: true, conflict: conflict };
+    }
+
+    resetBindings() {
+      this.bindings = this.getDefaultBindings();
+      this.saveBindings();
+    }
+
+    /**
+     * Readable key name, e.g. 'KeyP' → 'P', 'ArrowDown' → '↓'
+     */
+    formatKey(code) {
+      if (!code) return '-';
+      if (KEY_LABELS[code]) return KEY_LABELS[code];
+      if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+      if (/^Digit\d$/.test(code)) return code.slice(5);
+      if (/^Numpad/.test(code)) return `NUM ${code.slice(6).toUpperCase()}`;
+      return code.toUpperCase();
+    }
+
+    // Key name of an action, for instructions
+    describeKey(actionId) {
+      return this.formatKey(this.bindings[actionId]);
+    }
+
+    /**
+     * Action of a gamepad button
+     * @param {number} buttonIndex - Button index in the standard gamepad layout
+     * @param {string} group - 'game' or 'menu'
+     * @returns {string|null} Action id
+     */
+    getGamepadAction(buttonIndex, group) {
+      const mapping = GAMEPAD_BUTTONS[buttonIndex];
+      return (mapping && mapping[group]) || null;
+    }
+
+    /**
+     * Calls back with the action of every gamepad button pressed or released in a scene,
+     * until the scene shuts down. Needs the gamepad plugin (input.gamepad in the game config)
+     * @param {Phaser.Scene} scene - Scene to listen in
+     * @param {string} group - 'game' or 'menu'
+     * @param {Function} onDown - Called with the action id of a pressed button
+     * @param {Function} onUp - Called with the action id of a released button (optional)
+     */
+    listenToGamepad(scene, group, onDown, onUp) {
+      const gamepad = scene.input.gamepad;
+      if (!gamepad) return;
+
+      const toAction = callback => (pad, button) => {
+        const action = this.getGamepadAction(button.index, group);
+        if (action && callback) callback(action);
+      };
+      const onButtonDown = toAction(onDown);
+      const onButtonUp = toAction(onUp);
+      gamepad.on('down', onButtonDown);
+      gamepad.on('up', onButtonUp);
+
+      scene.events.once('shutdown', () => {
+        gamepad.off('down', onButtonDown);
+        gamepad.off('up', onButtonUp);
+      });
+    }
+
+    /**
+     * Hands the next key press in a navigable menu to a callback instead of navigating
+     * @param {Function} callback - Called with the KeyboardEvent.code
+     */
+    captureNextKey(callback) {
+      this.pendingCapture = callback;
+    }
+
+    cancelCapture() {
+      this.pendingCapture = null;
+    }
+
+    /**
+     * Makes a menu scene navigable with the menu keys and the gamepad D-pad
+     * Every visible button (interactive object with a hand cursor) can take the focus; while a
+     * full-screen modal blocker is open only the objects above it can. Select presses the
+     * focused button, back calls options.back. When the same scene starts again (e.g. a tab
+     * restarting it) the focus comes back to the button nearest to where it was
+     * @param {Phaser.Scene} scene - Menu scene
+     * @param {Object} options - { back: Function } called by the back action, { enabled: Function }
+     *   returning false while keys belong to something else (both optional)
+     * @returns {Object} Navigator with handleAction(action)
+     */
+    enableMenuNavigation(scene, options = {}) {
+      const highlight = scene.add.graphics().setDepth(1000);
+      const sceneKey = scene.sys.settings.key;
+      let focused = null;
+      let focusPoint = null;        // Center of the focused button, kept for restoring the focus
+      let restorePoint = this.lastFocus && this.lastFocus.sceneKey === sceneKey ? this.lastFocus : null;
+      this.lastFocus = null;
+
+      const setFocus = object => {
+        if (focused === object) return;
+        if (focused && focused.active) focused.emit('pointerout');
+        focused = object;
+        if (focused) focused.emit('pointerover');
+      };
+
+      const navigator = {
+        handleAction: action => {
+          const { items, blocked } = this.getFocusableObjects(scene);
+          if (focused && !items.some(item => item.object === focused)) setFocus(null);
+
+          if (action === 'select') {
+            if (!focused) return;
+            const pointer = scene.input.activePointer;
+            scene.input.emit('gameobjectdown', pointer, focused);
+            focused.emit('pointerdown', pointer);
+            focused.emit('pointerup', pointer);
+          } else if (action === 'back') {
+            if (!blocked && options.back) options.back();
+          } else if (['up', 'down', 'left', 'right'].includes(action) && items.length > 0) {
+            const current = items.find(item => item.object === focused);
+            const next = current ? this.findNeighbour(current, items, action) : items[0];
+            if (next) setFocus(next.object);
+          }
+        }
+      };
+
+      const onKeyDown = event => {
+        if (this.pendingCapture) {
+          const capture = this.pendingCapture;
+          this.pendingCapture = null;
+          capture(event.code);
+          return;
+        }
+        if (options.enabled && !options.enabled()) return;
+        const action = this.getAction(event.code, 'menu');
+        if (action) navigator.handleAction(action);
+      };
+      scene.input.keyboard.on('keydown', onKeyDown);
+      this.listenToGamepad(scene, 'menu', action => {
+        if (options.enabled && !options.enabled()) return;
+        navigator.handleAction(action);
+      });
+
+      // Redrawn every frame so the outline follows tweens. When the focused button is hidden
+      // or disabled the focus moves to the nearest button still available. While navigation is
+      // disabled nothing is drawn and the focus is kept for when it comes back
+      const drawHighlight = () => {
+        highlight.clear();
+        if (options.enabled && !options.enabled()) return;
+        if (focused && (!focused.active || !this.isShown(focused) || !focused.input || !focused.input.enabled)) {
+          setFocus(null);
+          restorePoint = focusPoint;
+        }
+        if (restorePoint) {
+          const { items } = this.getFocusableObjects(scene);
+          const nearest = items.reduce((best, item) => (!best ||
+            Math.hypot(item.x - restorePoint.x, item.y - restorePoint.y) <
+            Math.hypot(best.x - restorePoint.x, best.y - restorePoint.y) ? item : best), null);
+          if (nearest) setFocus(nearest.object);
+          restorePoint = null;
+        }
+        if (!focused) return;
+        const bounds = focused.getBounds();
+        focusPoint = { x: bounds.centerX, y: bounds.centerY };
+        highlight.lineStyle(3, FOCUS_COLOR, 0.6 + 0.4 * Math.abs(Math.sin(scene.time.now / 250)));
+        highlight.strokeRoundedRect(bounds.x - 4, bounds.y - 4, bounds.width + 8, bounds.height + 8, 8);
+      };
+      scene.events.on('postupdate', drawHighlight);
+
+      scene.events.once('shutdown', () => {
+        scene.input.keyboard.off('keydown', onKeyDown);
+        scene.events.off('postupdate', drawHighlight);
+        this.cancelCapture();
+        if (focused && focusPoint) this.lastFocus = { sceneKey: sceneKey, ...focusPoint };
+      });
+
+      return navigator;
+    }
+
+    /**
+     * Visible buttons of a scene, and whether a modal blocker is open
+     * @returns {Object} { items: [{ object, x, y }], blocked }
+     */
+    getFocusableObjects(scene) {
+      const found = [];
+      let blockerDepth = -Infinity;
+      const width = scene.scale.width;
+      const height = scene.scale.height;
+
+      const collect = (objects, depth) => {
+        objects.forEach(object => {
+          if (!object.visible) return;
+          // Children of containers are ordered by their top-level container's depth
+          const topDepth = depth === null ? object.depth : depth;
+          if (object.list && object.type === 'Container') {
+            collect(object.list, topDepth);
+            return;
+          }
+          if (!object.input || !object.input.enabled) return;
+
+          const bounds = object.getBounds();
+          if (object.input.cursor) {
+            found.push({ object: object, x: bounds.centerX, y: bounds.centerY, depth: topDepth });
+          } else if (bounds.width >= width && bounds.height >= height) {
+            blockerDepth = Math.max(blockerDepth, topDepth);
+          }
+        });
+      };
+      collect(scene.children.list, null);
+
+      const items = found
+        .filter(item => item.depth > blockerDepth)
+        .sort((a, b) => a.y - b.y || a.x - b.x);
+      return { items: items, blocked: blockerDepth > -Infinity };
+    }
+
+    // Visible including all parent containers
+    isShown(object) {
+      for (let current = object; current; current = current.parentContainer) {
+        if (!current.visible) return false;
+      }
+      return true;
+    }
+
+    /**
+     * Closest item in a direction, preferring items in line with the current one
+     */
+    findNeighbour(current, items, direction) {
+      const horizontal = direction === 'left' || direction === 'right';
+      const sign = direction === 'right' || direction === 'down' ? 1 : -1;
+
+      let best = null;
+      let bestScore = Infinity;
+      items.forEach(item => {
+        if (item === current) return;
+        const along = (horizontal ? item.x - current.x : item.y - current.y) * sign;
+        const across = Math.abs(horizontal ? item.y - current.y : item.x - current.x);
+        if (along <= 1) return;
+        const score = along + across * 2;
+        if (score < bestScore) {
+          best = item;
+          bestScore = score;
+        }
+      });
+      return best;
+    }
+  }
+
+  // Export for use in other modules
+export default ControlsManager;
@@ -0,0 +1,192 @@
+// ============================================================================
+// MISSION MANAGER MODULE
+// ============================================================================
+// Rotating missions with rewards
+// Features:
+// - Three active missions drawn from a data-defined pool
+// - Per-run goals (best run counts) and lifetime goals (progress adds up)
+// - Run conditions such as "without a revive"
+// - Coin or score-multiplier rewards, completed missions replaced from the pool
+// - Active missions, progress and the earned multiplier persisted in localStorage
+// ============================================================================
+
+const ACTIVE_MISSIONS = 3;       // Number of missions offered at a time
+
+// Mission pool:
+// - event     - game event the mission listens to
+// - scope     - 'run' needs the goal reached within one run, 'total' adds up across runs
+// - condition - optional run condition ('noRevive')
+// - reward    - { type: 'coins', amount } or { type: 'multiplier', value } (score multiplier for the next run)
+const MISSION_POOL = [
+  { id: 'coins_30', icon: '🪙', description: 'Collect 30 coins in one run',
+    event: 'coins', scope: 'run', goal: 30, reward: { type: 'coins', amount: 50 } },
+  { id: 'coins_150', icon: '💰', description: 'Collect 150 coins',
+    event: 'coins', scope: 'total', goal: 150, reward: { type: 'coins', amount: 75 } },
+  { id: 'double_jump_20', icon: '🦘', description: 'Double jump 20 times',
+    event: 'doubleJump', scope: 'total', goal: 20, reward: { type: 'coins', amount: 40 } },
+  { id: 'level_5_no_revive', icon: '🏔️', description: 'Reach level 5 without a revive',
+    event: 'level', scope: 'run', goal: 5, condition: 'noRevive', reward: { type: 'multiplier', value: 1.5 } },
+  { id: 'distance_500', icon: '📏', description: 'Run 500 m in one run',
+    event: 'distance', scope: 'run', goal: 500, reward: { type: 'coins', amount: 60 } },
+  { id: 'near_miss_15', icon: '⚡', description: 'Get 15 near misses',
+    event: 'nearMisses', scope: 'total', goal: 15, reward: { type: 'multiplier', value: 1.25 } },
+  { id: 'combo_4', icon: '🔗', description: 'Build a coin combo of 4',
+    event: 'coinCombo', scope: 'run', goal: 4, reward: { type: 'coins', amount: 40 } },
+  { id: 'slide_15', icon: '⬇️', description: 'Slide 15 times',
+    event: 'slide', scope: 'total', goal: 15, reward: { type: 'coins', amount: 30 } },
+  { id: 'runs_5', icon: '🎮', description: 'Play 5 runs',
+    event: 'runs', scope: 'total', goal: 5, reward: { type: 'coins', amount: 30 } },
+  { id: 'score_500', icon: '💯', description: 'Score 500 points in one run',
+    event: 'score', scope: 'run', goal: 500, reward: { type: 'multiplier', value: 1.5 } },
+  { id: 'power_ups_5', icon: '✨', description: 'Collect 5 power-ups',
+    event: 'powerUp', scope: 'total', goal: 5, reward: { type: 'coins', amount: 50 } }
+];
+
+class MissionManager {
+    constructor() {
+      this.pool = MISSION_POOL;
+      this.state = this.loadState();
+      this.run = { revived: false, values: {} }; // Conditions and last reported values of the current run
+      this.fillMissions();
+    }
+
+    loadState() {
+      try {
+        const state = JSON.parse(localStorage.getItem('missions'));
+        if (state && Array.isArray(state.active)) {
+          // Drop missions that were removed from the pool
+          state.active = state.active.filter(mission => this.getDefinition(mission.id));
+          return state;
+        }
+      } catch (error) {
+        console.error('Error parsing missions:', error);
+      }
+      return { active: [], completed: 0, multiplier: 1 };
+    }
+
+    saveState() {
+      localStorage.setItem('missions', JSON.stringify(this.state));
+    }
+
+    getDefinition(id) {
+      return this.pool.find(mission => mission.id === id);
+    }
+
+    /**
+     * Tops the active list up to ACTIVE_MISSIONS with random missions that aren't already active
+     * A 'run' mission drawn during a run only counts what happens after it was drawn - its
+     * baseline is the run's value of the event at that point
+     * @param {Array<string>} excludedIds - Missions that can't be drawn (e.g. just completed)
+     */
+    fillMissions(excludedIds = []) {
+      const activeIds = this.state.active.map(mission => mission.id);
+      const available = this.pool.filter(mission =>
+        !activeIds.includes(mission.id) && !excludedIds.includes(mission.id));
+
+      while (this.state.active.length < ACTIVE_MISSIONS && available.length > 0) {
+        const [mission] = available.splice(Math.floor(Math.random() * available.length), 1);
+        const entry = { id: mission.id, progress: 0 };
+        if (mission.scope === 'run' && this.run.values[mission.event]) entry.baseline = this.run.values[mission.event];
+        this.state.active.push(entry);
+      }
+      this.saveState();
+    }
+
+    /**
+     * Active missions with their definitions, for display
+     * @returns {Array<Object>} Definitions plus progress
+     */
+    getActiveMissions() {
+      return this.state.active.map(mission => ({ ...this.getDefinition(mission.id), progress: mission.progress }));
+    }
+
+    // Clears the per-run conditions, called at the start of every run
+    startRun() {
+      this.run = { revived: false, values: {} };
+      // Missions drawn during the last run count a new run from zero
+      if (this.state.active.some(mission => mission.baseline !== undefined)) {
+        this.state.active.forEach(mission => delete mission.baseline);
+        this.saveState();
+      }
+    }
+
+    /**
+     * Reports a game event, completing and replacing any missions it finishes
+     * Values are always the run's running count (e.g. coins collected so far this run);
+     * 'total' missions add the increase since the last report of the same event
+     * @param {string} event - Event name used in MISSION_POOL
+     * @param {number} value - Current value for this run
+     * @returns {Array<Object>} Completed mission definitions - their rewards still need to be paid
+     */
+    report(event, value = 1) {
+      if (event === 'revive') this.run.revived = true;
+      const increase = value - (this.run.values[event] || 0);
+      this.run.values[event] = value;
+
+      const completed = [];
+      let changed = false;
+      this.state.active.forEach(mission => {
+        const definition = this.getDefinition(mission.id);
+        if (definition.event !== event) return;
+        if (definition.condition === 'noRevive' && this.run.revived) return;
+
+        const progress = definition.scope === 'total'
+          ? mission.progress + Math.max(0, increase)
+          : Math.max(mission.progress, value - (mission.baseline || 0));
+        if (progress === mission.progress) return;
+
+        mission.progress = Math.min(progress, definition.goal);
+        changed = true;
+        if (mission.progress >= definition.goal) completed.push(definition);
+      });
+
+      if (completed.length > 0) {
+        this.state.active = this.state.active.filter(mission =>
+          !completed.some(definition => definition.id === mission.id));
+        this.state.completed += completed.length;
+        completed
+          .filter(definition => definition.reward.type === 'multiplier')
+          .forEach(definition => {
+            this.state.multiplier = Math.max(this.state.multiplier, definition.reward.value);
+          });
+        this.fillMissions(completed.map(definition => definition.id));
+      } else if (changed) {
+        this.saveState();
+      }
+      return completed;
+    }
+
+    /**
+     * Score multiplier earned from missions, waiting for the next run
+     */
+    getPendingMultiplier() {
+      return this.state.multiplier;
+    }
+
+    /**
+     * Takes the earned score multiplier for a run that is starting
+     * @returns {number} Multiplier for the run (1 if none was earned)
+     */
+    consumeMultiplier() {
+      const multiplier = this.state.multiplier;
+      if (multiplier !== 1) {
+        this.state.multiplier = 1;
+        this.saveState();
+      }
+      return multiplier;
+    }
+
+    getCompletedCount() {
+      return this.state.completed;
+    }
+
+    /**
+     * Reward as short text, e.g. "+50 🪙" or "x1.5 score next run"
+     */
+    describeReward(reward) {
+      return reward.type === 'coins' ? `+${reward.amount} 🪙` : `x${reward.value} score next run`;
+    }
+  }
+
+  // Export for use in other modules
+export default MissionManager;
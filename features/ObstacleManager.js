@@ -0,0 +1,112 @@
+// ============================================================================
+// OBSTACLE MANAGER MODULE
+// ============================================================================
+// Obstacle behaviour definitions for the game scene
+// Features:
+// - Data-driven behaviours (bouncing rocks, flying birds, rolling logs, falling crates)
+// - Each behaviour upgrades a ground obstacle type, optionally with its own texture
+// - Behaviours unlock progressively by level
+// - Motion helpers shared by the scene's per-step obstacle update
+// ============================================================================
+
+// Behaviour definitions:
+// - replaces    - ground obstacle textures the behaviour can upgrade
+// - texture     - texture used instead of the replaced one (optional)
+// - unlockLevel - first level the behaviour can appear on
+// - chance      - percentage chance a replaceable obstacle gets the behaviour
+// Distances are in pixels, times in seconds
+const OBSTACLE_BEHAVIOURS = {
+  bounce: {
+    key: 'bounce',
+    label: 'Bouncing rocks',
+    replaces: ['obstacle_star'],
+    unlockLevel: 2,
+    chance: 35,
+    height: 70,                  // Peak of each bounce above the ground
+    bouncesPerSecond: 1.1
+  },
+  fly: {
+    key: 'fly',
+    label: 'Birds',
+    replaces: ['obstacle_triangle'],
+    texture: 'obstacle_bird',
+    unlockLevel: 3,
+    chance: 30,
+    altitude: 425,               // Center Y of the flight path
+    amplitude: 35,               // Height of the sine wave either side of the altitude
+    wavesPerSecond: 0.8
+  },
+  roll: {
+    key: 'roll',
+    label: 'Rolling logs',
+    replaces: ['obstacle_rect'],
+    texture: 'obstacle_rolling_log',
+    unlockLevel: 4,
+    chance: 25,
+    acceleration: 140,           // Extra speed gained per second (px/s²)
+    maxExtraSpeed: 240           // Cap on speed above the world speed (px/s)
+  },
+  fall: {
+    key: 'fall',
+    label: 'Falling crates',
+    replaces: ['obstacle_circle'],
+    unlockLevel: 5,
+    chance: 40,
+    dropHeight: 280,             // Height above the ground the crate waits at
+    triggerDistance: 300,        // Horizontal distance from the player that releases the crate
+    gravity: 1400                // Fall acceleration (px/s²)
+  }
+};
+
+class ObstacleManager {
+    constructor() {
+      this.behaviours = OBSTACLE_BEHAVIOURS;
+    }
+
+    getDefinition(key) {
+      return this.behaviours[key];
+    }
+
+    /**
+     * Behaviours available at a level
+     * @param {number} level - Current level
+     * @returns {Array<Object>} Behaviour definitions
+     */
+    getUnlockedBehaviours(level) {
+      return Object.values(this.behaviours).filter(behaviour => level >= behaviour.unlockLevel);
+    }
+
+    /**
+     * Behaviours that unlock when going from one level to another
+     * @param {number} fromLevel - Previous level
+     * @param {number} toLevel - New level
+     */
+    getNewlyUnlocked(fromLevel, toLevel) {
+      return Object.values(this.behaviours).filter(behaviour =>
+        behaviour.unlockLevel > fromLevel && behaviour.unlockLevel <= toLevel);
+    }
+
+    /**
+     * Picks a behaviour for a ground obstacle
+     * @param {string} texture - Obstacle texture key
+     * @param {Array<Object>} unlocked - Result of getUnlockedBehaviours()
+     * @param {number} roll - Random number in [0, 100)
+     * @returns {Object|null} Behaviour definition, or null to keep the obstacle static
+     */
+    pickBehaviour(texture, unlocked, roll) {
+      const behaviour = unlocked.find(candidate => candidate.replaces.includes(texture));
+      return behaviour && roll < behaviour.chance ? behaviour : null;
+    }
+
+    // Height above the ground of a bouncing obstacle
+    getBounceOffset(behaviour, time) {
+      return Math.abs(Math.sin(Math.PI * behaviour.bouncesPerSecond * time)) * behaviour.height;
+    }
+
+    getFlightY(behaviour, time) {
+      return behaviour.altitude + Math.sin(2 * Math.PI * behaviour.wavesPerSecond * time) * behaviour.amplitude;
+    }
+  }
+
+  // Export for use in other modules
+export default ObstacleManager;
@@ -1,165 +1,367 @@
 // ============================================================================
 // PLAYER MANAGER MODULE
 // ============================================================================
-// Player management system for character customization and appearance
+// Player management system for character selection and appearance
 // Features:
-// - Gender selection (male/female)
-// - Dynamic player texture generation
-// - Player appearance customization
-// - Gender preference storage and retrieval
+// - Data-driven character roster (palette, hair style, accessories, hitbox)
+// - Procedural sprite sheet per character (run cycle, jump, fall, flip, hit and slide frames)
+// - Unlock rules (high score, achievements, coins from the wallet)
+// - Selected character storage and retrieval
 // - Player sprite creation and management
 // ============================================================================
 
+const DEFAULT_CHARACTER = 'max';
+
+// Character definitions:
+// - palette     - colors for skin, shirt, pants, shoes, hair and accessories (accent)
+// - hair        - 'short', 'long', 'spiky', 'ponytail', 'bun' or 'none'
+// - accessories - any of 'headband', 'cap', 'sunglasses', 'scarf', 'antenna', 'visor'
+// - hitbox      - collision box { width, height, slideHeight }, feet kept at the same line
+// - unlock      - null (always available), { type: 'highScore', value },
+//                 { type: 'achievement', id } or { type: 'coins', price }
+const CHARACTERS = [
+  { id: 'max', name: 'Max', icon: '🏃',
+    palette: { skin: 0xFFE4C4, shirt: 0x4169E1, pants: 0x000080, shoes: 0x000000, hair: 0x8B4513, accent: 0xFFFFFF },
+    hair: 'short', accessories: [],
+    hitbox: { width: 32, height: 40, slideHeight: 20 }, unlock: null },
+  { id: 'mia', name: 'Mia', icon: '🏃‍♀️',
+    palette: { skin: 0xFFE4C4, shirt: 0xFF69B4, pants: 0x9932CC, shoes: 0x000000, hair: 0x8B4513, accent: 0xFFFFFF },
+    hair: 'long', accessories: [],
+    hitbox: { width: 32, height: 40, slideHeight: 20 }, unlock: null },
+  { id: 'kai', name: 'Kai', icon: '🥋',
+    palette: { skin: 0xC68642, shirt: 0x2E8B57, pants: 0x3E2723, shoes: 0x212121, hair: 0x111111, accent: 0xE53935 },
+    hair: 'spiky', accessories: ['headband'],
+    hitbox: { width: 32, height: 40, slideHeight: 20 }, unlock: { type: 'highScore', value: 500 } },
+  { id: 'zoe', name: 'Zoe', icon: '🧢',
+    palette: { skin: 0xF1C27D, shirt: 0xFF8C00, pants: 0x1565C0, shoes: 0xFFFFFF, hair: 0xFFD54F, accent: 0x1E88E5 },
+    hair: 'ponytail', accessories: ['cap'],
+    hitbox: { width: 32, height: 40, slideHeight: 20 }, unlock: { type: 'achievement', id: 'coin_master' } },
+  { id: 'leo', name: 'Leo', icon: '😎',
+    palette: { skin: 0x8D5524, shirt: 0xECEFF1, pants: 0x37474F, shoes: 0xD32F2F, hair: 0x111111, accent: 0xD32F2F },
+    hair: 'none', accessories: ['sunglasses', 'scarf'],
+    hitbox: { width: 32, height: 40, slideHeight: 20 }, unlock: { type: 'achievement', id: 'long_runner' } },
+  { id: 'nova', name: 'Nova', icon: '🌟',
+    palette: { skin: 0xFFE0BD, shirt: 0x673AB7, pants: 0x212121, shoes: 0x673AB7, hair: 0xE91E63, accent: 0xFFD700 },
+    hair: 'bun', accessories: ['scarf'],
+    hitbox: { width: 32, height: 40, slideHeight: 20 }, unlock: { type: 'achievement', id: 'level_master' } },
+  { id: 'robo', name: 'Robo', icon: '🤖',
+    palette: { skin: 0xB0BEC5, shirt: 0x90A4AE, pants: 0x607D8B, shoes: 0x455A64, hair: 0x000000, accent: 0x00E5FF },
+    hair: 'none', accessories: ['antenna', 'visor'],
+    hitbox: { width: 28, height: 42, slideHeight: 20 }, unlock: { type: 'coins', price: 500 } }
+];
+
+const FRAME_WIDTH = 44;          // Size of one sprite sheet frame - feet on y = 48
+const FRAME_HEIGHT = 52;
+
+// Head anchors of an upright pose, used by the shared head, hair and accessory drawing
+const uprightHead = (bob = 0) => ({
+  head: { x: 22, y: 12 + bob, r: 8 },
+  eyes: [[19, 10 + bob], [25, 10 + bob]],
+  neck: { x: 13, y: 17 + bob, width: 18 }
+});
+
+// Run cycle pose - stride swings the legs (and arms the opposite way), lift raises a passing foot
+const runPose = (stride, liftLeft, liftRight, bob) => {
+  const swing = stride * 4;
+  return {
+    parts: [
+      ['pants', 14 + swing, 36, 6, 12 - liftLeft], ['pants', 24 - swing, 36, 6, 12 - liftRight],
+      ['shoes', 12 + swing, 48 - liftLeft, 8, 3], ['shoes', 24 - swing, 48 - liftRight, 8, 3],
+      ['shirt', 12, 18 + bob, 20, 18],
+      ['shirt', 6, 20 + bob - stride * 2, 6, 12], ['shirt', 32, 20 + bob + stride * 2, 6, 12]
+    ],
+    ...uprightHead(bob)
+  };
+};
+
+// Sprite sheet frames in sheet order - body parts are [palette color, x, y, width, height]
+const PLAYER_FRAMES = {
+  run0: runPose(1, 0, 0, 0),
+  run1: runPose(0, 4, 0, -1),
+  run2: runPose(-1, 0, 0, 0),
+  run3: runPose(0, 0, 4, -1),
+  jump: {                          // Rising - knee up, arms raised
+    parts: [
+      ['pants', 14, 33, 6, 9], ['shoes', 14, 42, 8, 3], ['pants', 26, 36, 6, 11], ['shoes', 26, 46, 8, 3],
+      ['shirt', 12, 18, 20, 18], ['shirt', 6, 10, 6, 12], ['shirt', 32, 10, 6, 12]
+    ],
+    ...uprightHead()
+  },
+  fall: {                          // Falling - legs apart, arms out for balance
+    parts: [
+      ['pants', 12, 36, 6, 12], ['shoes', 10, 48, 8, 3], ['pants', 26, 36, 6, 12], ['shoes', 26, 48, 8, 3],
+      ['shirt', 12, 18, 20, 18], ['shirt', 2, 19, 10, 5], ['shirt', 32, 19, 10, 5]
+    ],
+    ...uprightHead()
+  },
+  flip: {                          // Tucked for the double-jump flip (the sprite is rotated)
+    parts: [
+      ['pants', 14, 34, 18, 6], ['shoes', 30, 30, 5, 9],
+      ['shirt', 12, 20, 20, 14], ['shirt', 20, 28, 12, 4]
+    ],
+    ...uprightHead(2)
+  },
+  hit: {                           // Knocked out - arms flung up, crossed-out eyes
+    parts: [
+      ['pants', 14, 36, 6, 12], ['shoes', 12, 48, 8, 3], ['pants', 24, 36, 6, 12], ['shoes', 24, 48, 8, 3],
+      ['shirt', 12, 18, 20, 18], ['shirt', 4, 6, 6, 14], ['shirt', 34, 6, 6, 14]
+    ],
+    ...uprightHead(),
+    dizzy: true
+  },
+  slide: {                         // Legs forward, figure kept below the slide hitbox line
+    parts: [
+      ['pants', 18, 40, 18, 7], ['shoes', 36, 39, 5, 9],
+      ['shirt', 8, 36, 14, 11], ['shirt', 2, 40, 8, 5]
+    ],
+    head: { x: 16, y: 31, r: 7 },
+    eyes: [[18, 30], [22, 30]],
+    neck: { x: 9, y: 35, width: 13 }
+  }
+};
+
 class PlayerManager {
     constructor() {
-      this.currentGender = this.getStoredGender();
+      this.characters = CHARACTERS;
+      this.frames = Object.keys(PLAYER_FRAMES);
+    }
+
+    /**
+     * Character definition by id, falling back to the default character
+     * @param {string} id - Character id (defaults to the selected character)
+     */
+    getCharacter(id = this.getSelectedId()) {
+      return this.characters.find(character => character.id === id) ||
+        this.characters.find(character => character.id === DEFAULT_CHARACTER);
+    }
+
+    getSelectedId() {
+      return localStorage.getItem('playerCharacter') || DEFAULT_CHARACTER;
+    }
+
+    /**
+     * Selects a character if it is unlocked
+     * @param {string} id - Character id
+     * @param {Object} unlockState - See isUnlocked()
+     * @returns {boolean} Whether the character was selected
+     */
+    selectCharacter(id, unlockState) {
+      const character = this.characters.find(candidate => candidate.id === id);
+      if (!character || !this.isUnlocked(character, unlockState)) return false;
+
+      localStorage.setItem('playerCharacter', id);
+      return true;
+    }
+
+    /**
+     * Whether a character's unlock rule is met
+     * @param {Object} character - Character definition
+     * @param {Object} unlockState - { highScore, achievements (id → unlock date), inventory (wallet) }
+     */
+    isUnlocked(character, unlockState) {
+      const unlock = character.unlock;
+      if (!unlock) return true;
+
+      switch (unlock.type) {
+        case 'highScore':
+          return unlockState.highScore >= unlock.value;
+        case 'achievement':
+          return Boolean(unlockState.achievements[unlock.id]);
+        case 'coins':
+          return (unlockState.inventory[this.getInventoryId(character)] || 0) > 0;
+        default:
+          return false;
+      }
     }
-  
-    getStoredGender() {
-      return localStorage.getItem('playerGender') || 'male';
+
+    // Wallet inventory key of a character bought with coins
+    getInventoryId(character) {
+      return `character_${character.id}`;
     }
-  
-    setStoredGender(gender) {
-      localStorage.setItem('playerGender', gender);
-      this.currentGender = gender;
+
+    /**
+     * Unlock rule as short text, e.g. "Score 500 points"
+     * @param {Object} character - Character definition
+     * @param {Function} getAchievementName - Maps an achievement id to its name
+     */
+    describeUnlock(character, getAchievementName) {
+      const unlock = character.unlock;
+      if (!unlock) return 'Available';
+
+      switch (unlock.type) {
+        case 'highScore':
+          return `Score ${unlock.value} points`;
+        case 'achievement':
+          return `Unlock "${getAchievementName(unlock.id)}"`;
+        case 'coins':
+          return `Buy for 🪙 ${unlock.price}`;
+        default:
+          return 'Locked';
+      }
     }
-  
+
+    /**
+     * Draws a sprite sheet for every character, one named frame per entry in PLAYER_FRAMES
+     */
     createPlayerTextures(scene) {
       const gfx = scene.make.graphics({ x: 0, y: 0, add: false });
-  
-      // Male player texture (person/runner) - larger size
-      gfx.clear();
-      
-      // Body (torso) - larger
-      gfx.fillStyle(0x4169E1, 1); // Royal blue shirt
-      gfx.fillRect(12, 18, 20, 18);
-      
-      // Head - larger
-      gfx.fillStyle(0xFFE4C4, 1); // Skin tone
-      gfx.fillCircle(22, 12, 8);
-      
-      // Arms - larger
-      gfx.fillStyle(0x4169E1, 1); // Blue shirt sleeves
-      gfx.fillRect(6, 20, 6, 12);  // Left arm
-      gfx.fillRect(32, 20, 6, 12); // Right arm
-      
-      // Legs - larger
-      gfx.fillStyle(0x000080, 1); // Dark blue pants
-      gfx.fillRect(14, 36, 6, 12); // Left leg
-      gfx.fillRect(24, 36, 6, 12); // Right leg
-      
-      // Shoes - larger
-      gfx.fillStyle(0x000000, 1); // Black shoes
-      gfx.fillRect(12, 48, 8, 3);  // Left shoe
-      gfx.fillRect(24, 48, 8, 3);  // Right shoe
-      
-      // Eyes - larger
-      gfx.fillStyle(0x000000, 1); // Black eyes
-      gfx.fillCircle(19, 10, 1.5);   // Left eye
-      gfx.fillCircle(25, 10, 1.5);   // Right eye
-      
-      // Hair - larger (short male hair)
-      gfx.fillStyle(0x8B4513, 1); // Brown hair
-      gfx.fillRect(14, 4, 16, 6);
-      gfx.fillCircle(22, 6, 6);
-      
-      gfx.generateTexture('player_male', 44, 52);
-  
-      // Female player texture - larger size
-      gfx.clear();
-      
-      // Body (torso) - larger with slightly different shape
-      gfx.fillStyle(0xFF69B4, 1); // Pink shirt
-      gfx.fillRect(12, 18, 20, 18);
-      
-      // Head - larger
-      gfx.fillStyle(0xFFE4C4, 1); // Skin tone
-      gfx.fillCircle(22, 12, 8);
-      
-      // Arms - larger
-      gfx.fillStyle(0xFF69B4, 1); // Pink shirt sleeves
-      gfx.fillRect(6, 20, 6, 12);  // Left arm
-      gfx.fillRect(32, 20, 6, 12); // Right arm
-      
-      // Legs - larger
-      gfx.fillStyle(0x9932CC, 1); // Purple pants
-      gfx.fillRect(14, 36, 6, 12); // Left leg
-      gfx.fillRect(24, 36, 6, 12); // Right leg
-      
-      // Shoes - larger
-      gfx.fillStyle(0x000000, 1); // Black shoes
-      gfx.fillRect(12, 48, 8, 3);  // Left shoe
-      gfx.fillRect(24, 48, 8, 3);  // Right shoe
-      
-      // Eyes - larger
-      gfx.fillStyle(0x000000, 1); // Black eyes
-      gfx.fillCircle(19, 10, 1.5);   // Left eye
-      gfx.fillCircle(25, 10, 1.5);   // Right eye
-      
-      // Hair - larger (longer female hair)
-      gfx.fillStyle(0x8B4513, 1); // Brown hair
-      gfx.fillRect(14, 4, 16, 8); // Longer hair
-      gfx.fillCircle(22, 6, 6);
-      // Hair extensions for longer look
-      gfx.fillRect(10, 8, 4, 6);  // Left hair extension
-      gfx.fillRect(30, 8, 4, 6);  // Right hair extension
-      
-      gfx.generateTexture('player_female', 44, 52);
-  
-      // Legacy player texture (for backward compatibility)
-      gfx.clear();
-      
-      // Body (torso) - larger
-      gfx.fillStyle(0x4169E1, 1); // Royal blue shirt
-      gfx.fillRect(12, 18, 20, 18);
-      
-      // Head - larger
-      gfx.fillStyle(0xFFE4C4, 1); // Skin tone
-      gfx.fillCircle(22, 12, 8);
-      
-      // Arms - larger
-      gfx.fillStyle(0x4169E1, 1); // Blue shirt sleeves
-      gfx.fillRect(6, 20, 6, 12);  // Left arm
-      gfx.fillRect(32, 20, 6, 12); // Right arm
-      
-      // Legs - larger
-      gfx.fillStyle(0x000080, 1); // Dark blue pants
-      gfx.fillRect(14, 36, 6, 12); // Left leg
-      gfx.fillRect(24, 36, 6, 12); // Right leg
-      
-      // Shoes - larger
-      gfx.fillStyle(0x000000, 1); // Black shoes
-      gfx.fillRect(12, 48, 8, 3);  // Left shoe
-      gfx.fillRect(24, 48, 8, 3);  // Right shoe
-      
-      // Eyes - larger
-      gfx.fillStyle(0x000000, 1); // Black eyes
-      gfx.fillCircle(19, 10, 1.5);   // Left eye
-      gfx.fillCircle(25, 10, 1.5);   // Right eye
-      
-      // Hair - larger
-      gfx.fillStyle(0x8B4513, 1); // Brown hair
-      gfx.fillRect(14, 4, 16, 6);
-      gfx.fillCircle(22, 6, 6);
-      
-      gfx.generateTexture('player', 44, 52);
-    }
-  
-    getPlayerTexture() {
-      const gender = this.getStoredGender();
-      return gender === 'female' ? 'player_female' : 'player_male';
-    }
-  
-    createPlayer(scene, x, y) {
-      const texture = this.getPlayerTexture();
-      return scene.physics.add.sprite(x, y, texture);
-    }
-  
-    updatePlayerTexture(player) {
-      const texture = this.getPlayerTexture();
-      player.setTexture(texture);
+
+      this.characters.forEach(character => {
+        gfx.clear();
+        this.frames.forEach((frame, index) => {
+          gfx.save();
+          gfx.translateCanvas(index * FRAME_WIDTH, 0);
+          this.drawFrame(gfx, character, PLAYER_FRAMES[frame]);
+          gfx.restore();
+        });
+
+        const key = this.getPlayerTexture(character.id);
+        gfx.generateTexture(key, FRAME_WIDTH * this.frames.length, FRAME_HEIGHT);
+        const texture = scene.textures.get(key);
+        this.frames.forEach((frame, index) => {
+          if (!texture.has(frame)) texture.add(frame, 0, index * FRAME_WIDTH, 0, FRAME_WIDTH, FRAME_HEIGHT);
+        });
+      });
+
+      gfx.destroy();
+    }
+
+    drawFrame(gfx, character, pose) {
+      pose.parts.forEach(([color, x, y, width, height]) => {
+        gfx.fillStyle(character.palette[color], 1);
+        gfx.fillRect(x, y, width, height);
+      });
+      this.drawHead(gfx, character, pose);
+    }
+
+    /**
+     * Head, face, hair and accessories - shared by all frames through the pose anchors
+     */
+    drawHead(gfx, character, pose) {
+      const palette = character.palette;
+      const { x, y, r } = pose.head;
+
+      if (character.accessories.includes('scarf')) {
+        gfx.fillStyle(palette.accent, 1);
+        gfx.fillRect(pose.neck.x, pose.neck.y, pose.neck.width, 3);
+        gfx.fillRect(pose.neck.x - 4, pose.neck.y + 1, 5, 3); // Loose end trailing behind
+      }
+
+      gfx.fillStyle(palette.skin, 1);
+      gfx.fillCircle(x, y, r);
+
+      gfx.fillStyle(0x000000, 1);
+      pose.eyes.forEach(([eyeX, eyeY]) => {
+        if (pose.dizzy) {
+          gfx.lineStyle(1.5, 0x000000, 1);
+          gfx.lineBetween(eyeX - 1.5, eyeY - 1.5, eyeX + 1.5, eyeY + 1.5);
+          gfx.lineBetween(eyeX - 1.5, eyeY + 1.5, eyeX + 1.5, eyeY - 1.5);
+        } else {
+          gfx.fillCircle(eyeX, eyeY, 1.5);
+        }
+      });
+
+      this.drawHair(gfx, character.hair, palette.hair, pose.head);
+      character.accessories.forEach(accessory => this.drawAccessory(gfx, accessory, palette.accent, pose));
+    }
+
+    drawHair(gfx, style, color, head) {
+      const { x, y, r } = head;
+      gfx.fillStyle(color, 1);
+
+      switch (style) {
+        case 'short':
+          gfx.fillRect(x - r, y - r, r * 2, r * 0.75);
+          gfx.fillCircle(x, y - r * 0.75, r * 0.75);
+          break;
+        case 'long':
+          gfx.fillRect(x - r, y - r, r * 2, r);
+          gfx.fillCircle(x, y - r * 0.75, r * 0.75);
+          gfx.fillRect(x - r * 1.5, y - r / 2, r / 2, r * 0.75); // Left hair extension
+          gfx.fillRect(x + r, y - r / 2, r / 2, r * 0.75);       // Right hair extension
+          break;
+        case 'spiky':
+          gfx.fillRect(x - r, y - r, r * 2, r * 0.6);
+          for (let spike = -1; spike <= 1; spike++) {
+            const spikeX = x + spike * r * 0.7;
+            gfx.fillTriangle(spikeX - r * 0.4, y - r * 0.6, spikeX + r * 0.4, y - r * 0.6, spikeX, y - r * 1.6);
+          }
+          break;
+        case 'ponytail':
+          gfx.fillRect(x - r, y - r, r * 2, r * 0.75);
+          gfx.fillCircle(x, y - r * 0.75, r * 0.75);
+          gfx.fillCircle(x - r - 2, y - r * 0.4, r * 0.4);         // Tie
+          gfx.fillRect(x - r - 6, y - r * 0.4, 5, r);              // Tail
+          break;
+        case 'bun':
+          gfx.fillRect(x - r, y - r, r * 2, r * 0.75);
+          gfx.fillCircle(x, y - r * 0.75, r * 0.75);
+          gfx.fillCircle(x, y - r * 1.5, r * 0.45);
+          break;
+        default:
+          break; // 'none'
+      }
+    }
+
+    drawAccessory(gfx, accessory, color, pose) {
+      const { x, y, r } = pose.head;
+      const eyeY = pose.eyes[0][1];
+
+      switch (accessory) {
+        case 'headband':
+          gfx.fillStyle(color, 1);
+          gfx.fillRect(x - r, y - r * 0.5, r * 2, 2.5);
+          gfx.fillRect(x - r - 4, y - r * 0.5, 4, 2);              // Knot ends
+          break;
+        case 'cap':
+          gfx.fillStyle(color, 1);
+          gfx.fillRect(x - r, y - r - 1, r * 2, r * 0.6);
+          gfx.fillCircle(x, y - r * 0.8, r * 0.7);
+          gfx.fillRect(x, y - r * 0.5, r + 4, 2);                  // Brim
+          break;
+        case 'sunglasses':
+          gfx.fillStyle(0x000000, 1);
+          gfx.fillRect(pose.eyes[0][0] - 2.5, eyeY - 1.5, 5, 3);
+          gfx.fillRect(pose.eyes[1][0] - 2.5, eyeY - 1.5, 5, 3);
+          gfx.fillRect(pose.eyes[0][0], eyeY - 1, pose.eyes[1][0] - pose.eyes[0][0], 1);
+          break;
+        case 'antenna':
+          gfx.fillStyle(0x455A64, 1);
+          gfx.fillRect(x - 1, y - r - 6, 2, 6);
+          gfx.fillStyle(color, 1);
+          gfx.fillCircle(x, y - r - 7, 2);
+          break;
+        case 'visor':
+          gfx.fillStyle(color, 1);
+          gfx.fillRect(x - r + 1, eyeY - 2, r * 2 - 2, 4);
+          break;
+        default:
+          break;
+      }
+    }
+
+    // Sprite sheet key of a character
+    getPlayerTexture(id = this.getSelectedId()) {
+      return `player_${this.getCharacter(id).id}`;
+    }
+
+    /**
+     * Run cycle frame for a distance run, so the legs keep pace with the ground
+     * @param {number} distance - Distance run (px)
+     * @param {number} frameDistance - Distance per frame (px)
+     */
+    getRunFrame(distance, frameDistance) {
+      return `run${Math.floor(distance / frameDistance) % 4}`;
+    }
+
+    createPlayer(scene, x, y, id = this.getSelectedId()) {
+      return scene.physics.add.sprite(x, y, this.getPlayerTexture(id), 'run0');
+    }
+
+    updatePlayerTexture(player, id = this.getSelectedId()) {
+      player.setTexture(this.getPlayerTexture(id), 'run0');
     }
   }
-  
+
   // Export for use in other modules
-export default PlayerManager;
\ No newline at end of file
+export default PlayerManager;
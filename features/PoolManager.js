@@ -0,0 +1,110 @@
+// ============================================================================
+// POOL MANAGER MODULE
+// ============================================================================
+// Named object pools for frequently spawned game objects
+// Features:
+// - Acquire/release instead of create/destroy to avoid GC hitches
+// - Per-pool create, activate and deactivate handlers
+// - Objects keep their tweens between uses (paused while released)
+// - Pools are re-registered by each scene so objects never outlive their scene
+// - Pool size stats for debug overlays
+// ============================================================================
+
+class PoolManager {
+    /**
+     * Constructor for the pool manager
+     * Pools are registered later by the scenes that own their objects
+     */
+    constructor() {
+      this.pools = {};            // Pool state by key
+    }
+
+    /**
+     * Registers a pool, replacing any pool left over from a previous scene
+     * @param {string} key - Pool name
+     * @param {Object} handlers - Pool callbacks
+     * @param {Function} handlers.create - Builds a new object when the pool is empty
+     * @param {Function} handlers.activate - Prepares an object for use, receives acquire() arguments
+     * @param {Function} handlers.deactivate - Hides an object and pauses its tweens
+     */
+    createPool(key, handlers) {
+      this.pools[key] = {
+        create: handlers.create,
+        activate: handlers.activate,
+        deactivate: handlers.deactivate,
+        free: [],
+        active: new Set(),
+        created: 0,
+        reused: 0
+      };
+    }
+
+    /**
+     * Takes an object from the pool (creating one if none are free) and activates it
+     * @param {string} key - Pool name
+     * @param {...*} args - Passed on to the pool's activate handler
+     * @returns {Object} The activated object
+     */
+    acquire(key, ...args) {
+      const pool = this.pools[key];
+      let object = pool.free.pop();
+
+      if (object) {
+        pool.reused++;
+      } else {
+        object = pool.create();
+        pool.created++;
+      }
+
+      pool.active.add(object);
+      pool.activate(object, ...args);
+      return object;
+    }
+
+    /**
+     * Returns an object to the pool - releasing an object twice is ignored
+     * @param {string} key - Pool name
+     * @param {Object} object - Object previously returned by acquire()
+     */
+    release(key, object) {
+      const pool = this.pools[key];
+      if (!pool || !pool.active.has(object)) return;
+
+      pool.active.delete(object);
+      pool.deactivate(object);
+      pool.free.push(object);
+    }
+
+    releaseAll(key) {
+      const pool = this.pools[key];
+      if (!pool) return;
+
+      Array.from(pool.active).forEach(object => this.release(key, object));
+    }
+
+    getActive(key) {
+      const pool = this.pools[key];
+      return pool ? Array.from(pool.active) : [];
+    }
+
+    /**
+     * Pool sizes for debug display
+     * @returns {Object} Stats by pool key: active, free, created and reused counts
+     */
+    getStats() {
+      const stats = {};
+      Object.keys(this.pools).forEach(key => {
+        const pool = this.pools[key];
+        stats[key] = {
+          active: pool.active.size,
+          free: pool.free.length,
+          created: pool.created,
+          reused: pool.reused
+        };
+      });
+      return stats;
+    }
+  }
+
+  // Export for use in other modules
+export default PoolManager;
@@ -0,0 +1,129 @@
+// ============================================================================
+// POWER-UP MANAGER MODULE
+// ============================================================================
+// Power-up definitions and stacking rules for the game scene
+// Features:
+// - Data-driven power-up types (pickup texture, duration, HUD icon and color)
+// - Revive power-up kept until used, all others timed
+// - Stacking rules when a power-up is collected while already active (durations scaled by upgrades)
+// - Random selection of timed power-ups for pickups
+// - Countdown formatting for the HUD
+// ============================================================================
+
+// Stacking rules:
+// - 'single'  - only one can be held, collecting another does nothing
+// - 'refresh' - collecting again resets the remaining time to the full duration
+// - 'extend'  - collecting again adds the duration, capped at maxDuration
+const POWER_UP_TYPES = {
+  revive: {
+    key: 'revive',
+    texture: 'coin_revive',
+    icon: '❤️',
+    label: 'REVIVE',
+    color: '#ff69b4',
+    duration: null,
+    stacking: 'single',
+    weight: 0
+  },
+  shield: {
+    key: 'shield',
+    texture: 'powerup_shield',
+    icon: '🛡️',
+    label: 'SHIELD',
+    color: '#1E90FF',
+    duration: 10000,
+    stacking: 'refresh',
+    weight: 3
+  },
+  magnet: {
+    key: 'magnet',
+    texture: 'powerup_magnet',
+    icon: '🧲',
+    label: 'MAGNET',
+    color: '#DC143C',
+    duration: 8000,
+    maxDuration: 20000,
+    stacking: 'extend',
+    weight: 3
+  },
+  slowMotion: {
+    key: 'slowMotion',
+    texture: 'powerup_slow',
+    icon: '🐢',
+    label: 'SLOW-MO',
+    color: '#228B22',
+    duration: 5000,
+    stacking: 'refresh',
+    weight: 2
+  },
+  multiplier: {
+    key: 'multiplier',
+    texture: 'powerup_multiplier',
+    icon: '✨',
+    label: '2X SCORE',
+    color: '#DAA520',
+    duration: 10000,
+    maxDuration: 25000,
+    stacking: 'extend',
+    weight: 2
+  }
+};
+
+class PowerUpManager {
+    constructor() {
+      this.types = POWER_UP_TYPES;
+    }
+
+    getDefinition(type) {
+      return this.types[type];
+    }
+
+    getAllTypes() {
+      return Object.keys(this.types);
+    }
+
+    // Types that count down while active (everything except revive)
+    getTimedTypes() {
+      return this.getAllTypes().filter(type => this.types[type].duration !== null);
+    }
+
+    /**
+     * Remaining time after collecting a power-up, following its stacking rule
+     * @param {string} type - Power-up type key
+     * @param {number} remaining - Current remaining time in ms (0 if inactive)
+     * @param {number} durationScale - Duration multiplier from shop upgrades
+     * @returns {number} New remaining time in ms
+     */
+    applyStacking(type, remaining, durationScale = 1) {
+      const definition = this.types[type];
+      const duration = Math.round(definition.duration * durationScale);
+
+      switch (definition.stacking) {
+        case 'extend':
+          return Math.min(remaining + duration, Math.round(definition.maxDuration * durationScale));
+        case 'refresh':
+          return duration;
+        default:
+          return remaining > 0 ? remaining : duration;
+      }
+    }
+
+    pickTimedType(random = () => Phaser.Math.RND.frac()) {
+      const candidates = this.getTimedTypes().map(type => this.types[type]);
+      const total = candidates.reduce((sum, definition) => sum + definition.weight, 0);
+      let roll = random() * total;
+
+      for (const definition of candidates) {
+        roll -= definition.weight;
+        if (roll < 0) return definition.key;
+      }
+      return candidates[candidates.length - 1].key;
+    }
+
+    formatRemaining(ms) {
+      return `${(Math.max(0, ms) / 1000).toFixed(1)}s`;
+    }
+  }
+
+  // Export for use in other modules
+export default PowerUpManager;
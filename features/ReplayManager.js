@@ -0,0 +1,226 @@
+// ============================================================================
+// REPLAY MANAGER MODULE
+// ============================================================================
+// Run recording, storage and file export/import for replays
+// Features:
+// - Recording of the run seed plus timestamped player inputs
+// - Position track of each run for the ghost runner
+// - Storage of the last few runs and the personal-best run
+// - Compact JSON format ([time, code] input pairs)
+// - Export to a downloadable file and import with validation
+// ============================================================================
+
+const REPLAY_VERSION = 1;        // Bumped when the replay format changes
+const REPLAY_HISTORY = 5;        // Number of recent runs kept
+
+// Input codes stored in replays
+const REPLAY_INPUTS = {
+  JUMP: 'j',
+  JUMP_RELEASE: 'J',
+  SLIDE: 's',
+  SLIDE_RELEASE: 'S',
+  SWIPE: 'w',
+  PAUSE: 'p',
+  REVIVE: 'r'
+};
+
+class ReplayManager {
+    constructor() {
+      this.inputs = REPLAY_INPUTS;
+      this.initializeStorage();
+    }
+
+    initializeStorage() {
+      if (!localStorage.getItem('replays')) {
+        localStorage.setItem('replays', JSON.stringify({ recent: [], best: null }));
+      }
+    }
+
+    /**
+     * Starts a new recording for a run
+     * @param {string} seed - Run seed
+     * @param {string} mode - 'normal' or 'daily'
+     */
+    createRecording(seed, mode) {
+      return {
+        v: REPLAY_VERSION,
+        id: `${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`,
+        seed: seed,
+        mode: mode,
+        inputs: [],
+        track: []
+      };
+    }
+
+    /**
+     * Adds an input to a recording
+     * @param {Object} recording - Recording from createRecording()
+     * @param {number} time - Run time of the input (ms of simulated play)
+     * @param {string} code - One of REPLAY_INPUTS
+     */
+    addInput(recording, time, code) {
+      recording.inputs.push([Math.round(time), code]);
+    }
+
+    /**
+     * Adds a position sample to a recording's track
+     * @param {Object} recording - Recording from createRecording()
+     * @param {number} time - Run time of the sample (ms)
+     * @param {number} distance - Distance run so far (px)
+     * @param {number} y - Player Y position
+     * @param {boolean} sliding - Player is sliding
+     */
+    addTrackPoint(recording, time, distance, y, sliding) {
+      recording.track.push([Math.round(time), Math.round(distance), Math.round(y), sliding ? 1 : 0]);
+    }
+
+    /**
+     * Position on a track at a run time, interpolated between samples
+     * @param {Array} track - Track from a replay
+     * @param {number} time - Run time (ms)
+     * @returns {{ distance: number, y: number, sliding: boolean, finished: boolean }}
+     */
+    getTrackState(track, time) {
+      const last = track[track.length - 1];
+      if (time >= last[0]) {
+        return { distance: last[1], y: last[2], sliding: last[3] === 1, finished: true };
+      }
+
+      // Samples are evenly spaced, so start the search near the expected index
+      let index = Math.min(track.length - 2, Math.max(0, Math.floor(time / (last[0] / track.length))));
+      while (index > 0 && track[index][0] > time) index--;
+      while (track[index + 1][0] <= time) index++;
+
+      const from = track[index];
+      const to = track[index + 1];
+      const progress = Phaser.Math.Clamp((time - from[0]) / (to[0] - from[0]), 0, 1);
+      return {
+        distance: Phaser.Math.Linear(from[1], to[1], progress),
+        y: Phaser.Math.Linear(from[2], to[2], progress),
+        sliding: from[3] === 1,
+        finished: false
+      };
+    }
+
+    finishRecording(recording, result) {
+      return {
+        ...recording,
+        score: result.score,
+        level: result.level,
+        duration: Math.round(result.duration),
+        username: result.username || 'Anonymous',
+        date: new Date().toLocaleDateString()
+      };
+    }
+
+    getStore() {
+      try {
+        const store = JSON.parse(localStorage.getItem('replays'));
+        return store && Array.isArray(store.recent) ? store : { recent: [], best: null };
+      } catch (error) {
+        console.error('Error parsing replays:', error);
+        return { recent: [], best: null };
+      }
+    }
+
+    /**
+     * Stores a finished replay in the recent list, and as the best run if it beats it
+     * @returns {boolean} True if the replay is the new personal best
+     */
+    saveReplay(replay) {
+      const store = this.getStore();
+
+      store.recent.unshift(replay);
+      store.recent.splice(REPLAY_HISTORY);
+
+      const isBest = !store.best || replay.score > store.best.score;
+      if (isBest) store.best = replay;
+
+      localStorage.setItem('replays', JSON.stringify(store));
+      return isBest;
+    }
+
+    getRecentReplays() {
+      return this.getStore().recent;
+    }
+
+    getBestReplay() {
+      return this.getStore().best;
+    }
+
+    getReplay(id) {
+      if (!id) return null;
+      const store = this.getStore();
+      if (store.best && store.best.id === id) return store.best;
+      return store.recent.find(replay => replay.id === id) || null;
+    }
+
+    exportReplay(replay) {
+      return JSON.stringify(replay);
+    }
+
+    /**
+     * Parses and validates replay JSON
+     * @param {string} json - Replay file contents
+     * @returns {{ success: boolean, replay?: Object, message: string }}
+     */
+    importReplay(json) {
+      try {
+        const replay = JSON.parse(json);
+        const validInputs = Array.isArray(replay.inputs) && replay.inputs.every(input =>
+          Array.isArray(input) && typeof input[0] === 'number' && Object.values(REPLAY_INPUTS).includes(input[1]));
+
+        const validTrack = replay.track === undefined || (Array.isArray(replay.track) && replay.track.every(point =>
+          Array.isArray(point) && point.length === 4 && point.every(value => typeof value === 'number')));
+
+        const validMultiplier = replay.scoreMultiplier === undefined || typeof replay.scoreMultiplier === 'number';
+        const validShop = replay.shop === undefined || (replay.shop !== null &&
+          typeof replay.shop.reviveChance === 'number' && typeof replay.shop.powerUpDurationScale === 'number' &&
+          Array.isArray(replay.shop.startPowerUps));
+
+        const validCharacter = replay.character === undefined || typeof replay.character === 'string';
+
+        if (replay.v !== REPLAY_VERSION || typeof replay.seed !== 'string' || !validInputs || !validTrack ||
+          !validMultiplier || !validShop || !validCharacter) {
+          return { success: false, message: 'Not a valid replay file' };
+        }
+        return { success: true, replay: replay, message: 'Replay imported successfully' };
+      } catch (error) {
+        return { success: false, message: 'Not a valid replay file' };
+      }
+    }
+
+    downloadReplay(replay) {
+      const blob = new Blob([this.exportReplay(replay)], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `replay-${replay.seed}-${replay.score}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      // Some browsers start the download after click() returns, so the URL has to outlive it
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    /**
+     * Opens a file picker and imports the chosen replay file
+     * @param {Function} callback - Called with the importReplay() result
+     */
+    pickReplayFile(callback) {
+      const fileInput = document.createElement('input');
+      fileInput.type = 'file';
+      fileInput.accept = '.json,application/json';
+      fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => callback(this.importReplay(reader.result));
+        reader.readAsText(file);
+      });
+      fileInput.click();
+    }
+  }
+
+  // Export for use in other modules
+export default ReplayManager;
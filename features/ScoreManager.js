@@ -6,10 +6,29 @@
 // - Score tracking and persistence
 // - High score management
 // - Leaderboard operations (add, get, clear)
+// - Daily challenge board (one counted attempt per local day)
+// - Run history (capped list of finished runs) with averages and streaks
+// - Day streak of days played in a row, kept apart from the capped run history
+// - Coin wallet (balance, owned shop items and a ledger of every change)
 // - Score formatting and display
 // - Statistics tracking
 // ============================================================================
 
+const DAILY_BOARD_DAYS = 7;      // Number of most recent days kept on the daily board
+const RUN_HISTORY_LIMIT = 100;   // Number of most recent runs kept in the run history
+const WALLET_LEDGER_LIMIT = 50;  // Number of most recent wallet transactions kept in the ledger
+
+// Labels for the causes of death stored in run records
+const RUN_CAUSES = {
+  obstacle: '💥 Obstacle',
+  overhead: '⛓️ Hanging obstacle',
+  pit: '🕳️ Pit',
+  bounce: '🪨 Bouncing rock',
+  fly: '🐦 Bird',
+  roll: '🪵 Rolling log',
+  fall: '📦 Falling crate'
+};
+
 class ScoreManager {
     constructor() {
       this.initializeLocalStorage();
@@ -32,6 +51,18 @@ class ScoreManager {
       if (!localStorage.getItem('adViewCount')) {
         localStorage.setItem('adViewCount', '0');
       }
+      if (!localStorage.getItem('dailyLeaderboard')) {
+        localStorage.setItem('dailyLeaderboard', '{}');
+      }
+      if (!localStorage.getItem('runHistory')) {
+        localStorage.setItem('runHistory', '[]');
+      }
+      if (!localStorage.getItem('wallet')) {
+        // Carry over the balance from before the wallet existed
+        const balance = parseInt(localStorage.getItem('coinBalance')) || 0;
+        localStorage.setItem('wallet', JSON.stringify({ balance: balance, inventory: {}, ledger: [] }));
+        localStorage.removeItem('coinBalance');
+      }
     }
   
     getCurrentScore() {
@@ -59,13 +90,18 @@ class ScoreManager {
       return false; // No new high score
     }
   
-    addToLeaderboard(score, level, username) {
+    /**
+     * Adds a score to the all-time leaderboard
+     * @returns {number|null} 1-based rank of the new entry, null if it fell off the board
+     */
+    addToLeaderboard(score, level, username, replayId = null) {
       const leaderboard = this.getLeaderboard();
       const newEntry = {
         score: score,
         date: new Date().toLocaleDateString(),
         level: level,
-        username: username || 'Anonymous'
+        username: username || 'Anonymous',
+        replayId: replayId
       };
       
       leaderboard.push(newEntry);
@@ -79,6 +115,9 @@ class ScoreManager {
       }
       
       localStorage.setItem('leaderboard', JSON.stringify(leaderboard));
+
+      const index = leaderboard.indexOf(newEntry);
+      return index === -1 ? null : index + 1;
     }
   
     getLeaderboard() {
@@ -92,6 +131,8 @@ class ScoreManager {
   
     clearLeaderboard() {
       localStorage.setItem('leaderboard', '[]');
+      localStorage.setItem('dailyLeaderboard', '{}');
+      localStorage.removeItem('dailyAttemptDate');
     }
   
     updateLeaderboardUsernames(oldUsername, newUsername) {
@@ -108,21 +149,306 @@ class ScoreManager {
       if (updated) {
         localStorage.setItem('leaderboard', JSON.stringify(leaderboard));
       }
+
+      const dailyBoards = this.getDailyBoards();
+      Object.values(dailyBoards).forEach(entries => {
+        entries.forEach(entry => {
+          if (entry.username === oldUsername) entry.username = newUsername;
+        });
+      });
+      localStorage.setItem('dailyLeaderboard', JSON.stringify(dailyBoards));
     }
   
     getLeaderboardPage(page, entriesPerPage = 6) {
-      const leaderboard = this.getLeaderboard();
+      return this.paginateEntries(this.getLeaderboard(), page, entriesPerPage);
+    }
+
+    paginateEntries(entries, page, entriesPerPage) {
       const startIndex = page * entriesPerPage;
       const endIndex = startIndex + entriesPerPage;
       
       return {
-        entries: leaderboard.slice(startIndex, endIndex),
-        totalPages: Math.ceil(leaderboard.length / entriesPerPage),
+        entries: entries.slice(startIndex, endIndex),
+        totalPages: Math.ceil(entries.length / entriesPerPage),
         currentPage: page,
-        totalEntries: leaderboard.length
+        totalEntries: entries.length
+      };
+    }
+
+    // Daily challenge - boards are keyed by local date (YYYY-MM-DD)
+    getTodayKey(date = new Date()) {
+      const month = String(date.getMonth() + 1).padStart(2, '0');
+      const day = String(date.getDate()).padStart(2, '0');
+      return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    hasDailyAttempt(dateKey) {
+      return localStorage.getItem('dailyAttemptDate') === dateKey;
+    }
+
+    markDailyAttempt(dateKey) {
+      localStorage.setItem('dailyAttemptDate', dateKey);
+    }
+
+    getDailyBoards() {
+      try {
+        return JSON.parse(localStorage.getItem('dailyLeaderboard')) || {};
+      } catch (error) {
+        console.error('Error parsing daily leaderboard:', error);
+        return {};
+      }
+    }
+
+    getDailyLeaderboard(dateKey) {
+      return this.getDailyBoards()[dateKey] || [];
+    }
+
+    /**
+     * Adds a score to a day's leaderboard
+     * @returns {number} 1-based rank of the new entry on that day's board
+     */
+    addToDailyLeaderboard(score, level, username, dateKey, replayId = null) {
+      const dailyBoards = this.getDailyBoards();
+      const board = dailyBoards[dateKey] || [];
+
+      const newEntry = {
+        score: score,
+        date: new Date().toLocaleDateString(),
+        level: level,
+        username: username || 'Anonymous',
+        replayId: replayId
+      };
+      board.push(newEntry);
+      board.sort((a, b) => b.score - a.score);
+      dailyBoards[dateKey] = board;
+
+      // Drop boards older than the most recent days
+      Object.keys(dailyBoards)
+        .sort()
+        .slice(0, -DAILY_BOARD_DAYS)
+        .forEach(key => delete dailyBoards[key]);
+
+      localStorage.setItem('dailyLeaderboard', JSON.stringify(dailyBoards));
+      return board.indexOf(newEntry) + 1;
+    }
+
+    getDailyLeaderboardPage(page, entriesPerPage = 6, dateKey = this.getTodayKey()) {
+      return this.paginateEntries(this.getDailyLeaderboard(dateKey), page, entriesPerPage);
+    }
+  
+    // Run history - newest run first
+    /**
+     * Adds a finished run to the history
+     * @param {Object} record - { score, level, duration, coins, distance, cause, mode, timestamp }
+     */
+    addRunRecord(record) {
+      const history = this.getRunHistory();
+      history.unshift(record);
+      history.splice(RUN_HISTORY_LIMIT);
+      localStorage.setItem('runHistory', JSON.stringify(history));
+      this.recordPlayDay(new Date(record.timestamp));
+    }
+
+    getRunHistory() {
+      try {
+        const history = JSON.parse(localStorage.getItem('runHistory'));
+        return Array.isArray(history) ? history : [];
+      } catch (error) {
+        console.error('Error parsing run history:', error);
+        return [];
+      }
+    }
+
+    clearRunHistory() {
+      localStorage.setItem('runHistory', '[]');
+      localStorage.setItem('dayStreak', JSON.stringify({ lastDay: null, current: 0, longest: 0 }));
+    }
+
+    // Day streak - the run history only keeps the last RUN_HISTORY_LIMIT runs, which can all be
+    // from the same day, so days played in a row are counted as they happen
+    dayNumber(dateKey) {
+      return Math.round(new Date(`${dateKey}T00:00:00`).getTime() / 86400000);
+    }
+
+    /**
+     * Stored day streak, worked out from the run history the first time
+     * @returns {Object} { lastDay, current, longest } - lastDay is the last date key played
+     */
+    getDayStreakRecord() {
+      try {
+        const record = JSON.parse(localStorage.getItem('dayStreak'));
+        if (record && typeof record.current === 'number') return record;
+      } catch (error) {
+        console.error('Error parsing day streak:', error);
+      }
+
+      // Players from before the streak was stored keep the streak their history shows
+      const days = [...new Set(this.getRunHistory().map(run => this.getTodayKey(new Date(run.timestamp))))].sort();
+      const record = { lastDay: null, current: 0, longest: 0 };
+      days.forEach(day => {
+        record.current = record.lastDay && this.dayNumber(day) - this.dayNumber(record.lastDay) === 1 ? record.current + 1 : 1;
+        record.longest = Math.max(record.longest, record.current);
+        record.lastDay = day;
+      });
+      localStorage.setItem('dayStreak', JSON.stringify(record));
+      return record;
+    }
+
+    /**
+     * Counts a day played - continues the streak from yesterday or starts a new one
+     * @param {Date} date - When the run finished
+     */
+    recordPlayDay(date = new Date()) {
+      const record = this.getDayStreakRecord();
+      const day = this.getTodayKey(date);
+      if (record.lastDay === day) return;
+
+      const continues = record.lastDay && this.dayNumber(day) - this.dayNumber(record.lastDay) === 1;
+      record.current = continues ? record.current + 1 : 1;
+      record.longest = Math.max(record.longest, record.current);
+      record.lastDay = day;
+      localStorage.setItem('dayStreak', JSON.stringify(record));
+    }
+
+    /**
+     * Days played in a row - the current streak must include today or yesterday
+     * @returns {Object} { current, longest }
+     */
+    getDayStreak() {
+      const record = this.getDayStreakRecord();
+      const alive = record.lastDay && this.dayNumber(this.getTodayKey()) - this.dayNumber(record.lastDay) <= 1;
+      return { current: alive ? record.current : 0, longest: record.longest };
+    }
+
+    getCauseLabel(cause) {
+      return RUN_CAUSES[cause] || '❔ Unknown';
+    }
+
+    /**
+     * Averages and streaks over the run history
+     * @param {Array<Object>} history - Result of getRunHistory()
+     * @returns {Object} Averages (score, level, duration, coins), day streaks (from the stored day
+     *   streak, not the history) and the improving streak
+     */
+    getRunHistoryStats(history = this.getRunHistory()) {
+      const count = history.length;
+      const average = key => count > 0 ? history.reduce((sum, run) => sum + (run[key] || 0), 0) / count : 0;
+      const dayStreak = this.getDayStreak();
+
+      // Most recent runs in a row that each beat the run before
+      let improvingStreak = 0;
+      while (improvingStreak + 1 < count && history[improvingStreak].score > history[improvingStreak + 1].score) {
+        improvingStreak++;
+      }
+
+      return {
+        runs: count,
+        averageScore: Math.round(average('score')),
+        averageLevel: average('level'),
+        averageDuration: average('duration'),
+        averageCoins: average('coins'),
+        bestScore: count > 0 ? Math.max(...history.map(run => run.score)) : 0,
+        currentDayStreak: dayStreak.current,
+        longestDayStreak: dayStreak.longest,
+        improvingStreak: improvingStreak
       };
     }
   
+    // Coin wallet - balance, inventory (shop item id → amount owned) and ledger share one
+    // key, so every transaction is a single localStorage write that happens completely or not at all
+    getWallet() {
+      try {
+        const wallet = JSON.parse(localStorage.getItem('wallet'));
+        if (wallet && typeof wallet.balance === 'number' && wallet.inventory && Array.isArray(wallet.ledger)) {
+          return wallet;
+        }
+      } catch (error) {
+        console.error('Error parsing wallet:', error);
+      }
+      return { balance: 0, inventory: {}, ledger: [] };
+    }
+
+    /**
+     * Applies a transaction to the wallet and records it in the ledger
+     * Balance, inventory and ledger are written in a single setItem, so a reload keeps
+     * all of the transaction or none of it. A transaction id already in the ledger is
+     * ignored, so repeated taps on the same shop row (one id per row) can't charge twice
+     * @param {Object} transaction - { id, type: 'earn'|'purchase'|'use', amount, item?, reason? }
+     * @returns {Object} { success, duplicate, wallet }
+     */
+    commitTransaction(transaction) {
+      const wallet = this.getWallet();
+      if (wallet.ledger.some(entry => entry.id === transaction.id)) {
+        return { success: true, duplicate: true, wallet: wallet };
+      }
+      if (wallet.balance + transaction.amount < 0) {
+        return { success: false, duplicate: false, wallet: wallet };
+      }
+
+      wallet.balance += transaction.amount;
+      if (transaction.item) {
+        const change = transaction.type === 'use' ? -1 : 1;
+        wallet.inventory[transaction.item] = Math.max(0, (wallet.inventory[transaction.item] || 0) + change);
+      }
+      wallet.ledger.unshift({ ...transaction, date: Date.now() });
+      wallet.ledger = wallet.ledger.slice(0, WALLET_LEDGER_LIMIT);
+
+      localStorage.setItem('wallet', JSON.stringify(wallet));
+      return { success: true, duplicate: false, wallet: wallet };
+    }
+
+    createTransactionId() {
+      return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    getCoinBalance() {
+      return this.getWallet().balance;
+    }
+
+    getInventory() {
+      return this.getWallet().inventory;
+    }
+
+    getLedger() {
+      return this.getWallet().ledger;
+    }
+
+    /**
+     * Adds earned coins to the wallet
+     * @param {number} amount - Coins earned
+     * @param {string} reason - Where they came from ('run', 'mission')
+     * @returns {number} New balance
+     */
+    addCoins(amount, reason = 'reward') {
+      if (amount <= 0) return this.getCoinBalance();
+      const transaction = { id: this.createTransactionId(), type: 'earn', amount: amount, reason: reason };
+      return this.commitTransaction(transaction).wallet.balance;
+    }
+
+    /**
+     * Buys one of a shop item
+     * @param {string} transactionId - From createTransactionId(), created once per purchase attempt
+     * @param {string} itemId - Shop item id
+     * @param {number} price - Price in coins
+     * @returns {Object} { success, message, balance }
+     */
+    purchaseItem(transactionId, itemId, price) {
+      const result = this.commitTransaction({ id: transactionId, type: 'purchase', amount: -price, item: itemId });
+      let message = 'Purchased!';
+      if (!result.success) message = 'Not enough coins';
+      else if (result.duplicate) message = 'Already purchased';
+      return { success: result.success, message: message, balance: result.wallet.balance };
+    }
+
+    /**
+     * Uses up one of a consumable shop item (starting power-ups)
+     * @returns {boolean} Whether there was one to use
+     */
+    useItem(itemId) {
+      if (!(this.getInventory()[itemId] > 0)) return false;
+      return this.commitTransaction({ id: this.createTransactionId(), type: 'use', amount: 0, item: itemId }).success;
+    }
+  
     incrementGamePlayCount() {
       const count = parseInt(localStorage.getItem('gamePlayCount')) || 0;
       localStorage.setItem('gamePlayCount', (count + 1).toString());
@@ -144,6 +470,12 @@ class ScoreManager {
     formatScore(score) {
       return score.toLocaleString();
     }
+
+    // Run time in milliseconds as m:ss
+    formatDuration(ms) {
+      const seconds = Math.floor(ms / 1000);
+      return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
   
     getMedalForRank(rank) {
       switch (rank) {
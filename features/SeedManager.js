@@ -0,0 +1,75 @@
+// ============================================================================
+// SEED MANAGER MODULE
+// ============================================================================
+// Seeded random sources so a run's course can be reproduced
+// Features:
+// - Run seed from the URL (?seed=...), the settings field or a fresh random code
+// - Daily challenge seed derived from the local date
+// - Seed normalisation (trimmed, upper-case, letters/digits/dashes only)
+// - Independent random streams per seed (course, clouds) so cosmetic
+//   randomness never shifts the course
+// ============================================================================
+
+const SEED_LENGTH = 6;           // Length of generated seed codes
+const SEED_MAX_LENGTH = 16;      // Longest seed accepted from the URL or settings
+const SEED_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I to keep codes readable
+
+class SeedManager {
+    /**
+     * Cleans up a seed typed by a player or passed in the URL
+     * @param {string} seed - Raw seed text
+     * @returns {string} Normalised seed, empty if nothing usable was given
+     */
+    normalizeSeed(seed) {
+      if (!seed) return '';
+      return String(seed)
+        .trim()
+        .toUpperCase()
+        .replace(/[^A-Z0-9-]/g, '')
+        .slice(0, SEED_MAX_LENGTH);
+    }
+
+    getUrlSeed() {
+      if (typeof window === 'undefined') return '';
+      const params = new URLSearchParams(window.location.search);
+      return this.normalizeSeed(params.get('seed'));
+    }
+
+    generateSeed() {
+      let seed = '';
+      for (let i = 0; i < SEED_LENGTH; i++) {
+        seed += SEED_CHARS.charAt(Math.floor(Math.random() * SEED_CHARS.length));
+      }
+      return seed;
+    }
+
+    /**
+     * Picks the seed for a new run
+     * A URL seed wins over the settings seed, otherwise a new code is generated
+     * @param {string} settingsSeed - Seed saved in settings ('' for random)
+     */
+    resolveRunSeed(settingsSeed) {
+      return this.getUrlSeed() || this.normalizeSeed(settingsSeed) || this.generateSeed();
+    }
+
+    /**
+     * Seed shared by every player for a day's challenge
+     * @param {string} dateKey - Local date as YYYY-MM-DD
+     */
+    getDailySeed(dateKey) {
+      return `DAILY-${dateKey.replace(/-/g, '')}`;
+    }
+
+    /**
+     * Creates a random source for one stream of a seed
+     * @param {string} seed - Run seed
+     * @param {string} stream - Stream name, each stream gives an independent sequence
+     * @returns {Phaser.Math.RandomDataGenerator}
+     */
+    createRandom(seed, stream = 'course') {
+      return new Phaser.Math.RandomDataGenerator([`${seed}:${stream}`]);
+    }
+  }
+
+  // Export for use in other modules
+export default SeedManager;
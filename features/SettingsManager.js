@@ -6,6 +6,11 @@
 // - Username management and validation
 // - Ad preferences storage
 // - Display settings (fullscreen, orientation)
+// - Course seed for reproducible runs
+// - Ghost runner toggle and ghost source
+// - Audio volumes (master, music, SFX) and mute
+// - Auto-pause when the game loses focus
+// - Fixed timestep (identical runs on every display, needed for replays)
 // - Settings persistence and retrieval
 // - Settings validation and defaults
 // ============================================================================
@@ -23,8 +28,11 @@ class SettingsManager {
       if (!localStorage.getItem('showAds')) {
         localStorage.setItem('showAds', 'true');
       }
-      if (!localStorage.getItem('playerGender')) {
-        localStorage.setItem('playerGender', 'male');
+      if (!localStorage.getItem('playerCharacter')) {
+        // Players from before the character roster keep the look they picked
+        const gender = localStorage.getItem('playerGender');
+        localStorage.setItem('playerCharacter', gender === 'female' ? 'mia' : 'max');
+        localStorage.removeItem('playerGender');
       }
       if (!localStorage.getItem('preferredOrientation')) {
         localStorage.setItem('preferredOrientation', 'portrait');
@@ -75,14 +83,14 @@ class SettingsManager {
       localStorage.setItem('showAds', show.toString());
     }
   
-    // Player gender
-    getPlayerGender() {
-      return localStorage.getItem('playerGender') || 'male';
+    // Player character - id from the PlayerManager roster (unlocks are checked by PlayerManager)
+    getPlayerCharacter() {
+      return localStorage.getItem('playerCharacter') || 'max';
     }
   
-    setPlayerGender(gender) {
-      if (gender === 'male' || gender === 'female') {
-        localStorage.setItem('playerGender', gender);
+    setPlayerCharacter(id) {
+      if (typeof id === 'string' && /^[a-z]+$/.test(id)) {
+        localStorage.setItem('playerCharacter', id);
         return true;
       }
       return false;
@@ -101,6 +109,88 @@ class SettingsManager {
       return false;
     }
   
+    // Course seed - empty means a new random seed every run
+    getRunSeed() {
+      return localStorage.getItem('runSeed') || '';
+    }
+  
+    setRunSeed(seed) {
+      localStorage.setItem('runSeed', seed || '');
+    }
+  
+    // Ghost runner - races the personal best ('pb') or the top leaderboard entry ('top')
+    getShowGhost() {
+      return localStorage.getItem('showGhost') !== 'false'; // Default to true
+    }
+  
+    setShowGhost(show) {
+      localStorage.setItem('showGhost', show.toString());
+    }
+  
+    getGhostSource() {
+      return localStorage.getItem('ghostSource') === 'top' ? 'top' : 'pb';
+    }
+  
+    setGhostSource(source) {
+      if (source === 'pb' || source === 'top') {
+        localStorage.setItem('ghostSource', source);
+        return true;
+      }
+      return false;
+    }
+  
+    // Auto-pause - pause a run when the tab is hidden, the window loses focus or the screen rotates
+    getAutoPause() {
+      return localStorage.getItem('autoPause') !== 'false'; // Default to true
+    }
+  
+    setAutoPause(enabled) {
+      localStorage.setItem('autoPause', enabled.toString());
+    }
+  
+    // Fixed timestep - runs advance in fixed steps so they play out the same at any frame rate;
+    // off follows the display's frame time and the run isn't recorded as a replay
+    getFixedTimestep() {
+      return localStorage.getItem('fixedTimestep') !== 'false'; // Default to true
+    }
+  
+    setFixedTimestep(enabled) {
+      localStorage.setItem('fixedTimestep', enabled.toString());
+    }
+  
+    // Audio - volumes are 0-1, stored per channel
+    getVolume(channel) {
+      const volume = parseFloat(localStorage.getItem(`${channel}Volume`));
+      return isNaN(volume) ? 1 : Math.min(1, Math.max(0, volume)); // Default to full volume
+    }
+  
+    setVolume(channel, volume) {
+      if (!['master', 'music', 'sfx'].includes(channel) || typeof volume !== 'number' || isNaN(volume)) {
+        return false;
+      }
+      // Rounded so repeated +/- steps don't drift
+      localStorage.setItem(`${channel}Volume`, (Math.round(Math.min(1, Math.max(0, volume)) * 100) / 100).toString());
+      return true;
+    }
+  
+    getMuted() {
+      return localStorage.getItem('audioMuted') === 'true'; // Default to false
+    }
+  
+    setMuted(muted) {
+      localStorage.setItem('audioMuted', muted.toString());
+    }
+  
+    // Audio settings in the form AudioManager.applySettings() takes
+    getAudioSettings() {
+      return {
+        masterVolume: this.getVolume('master'),
+        musicVolume: this.getVolume('music'),
+        sfxVolume: this.getVolume('sfx'),
+        muted: this.getMuted()
+      };
+    }
+  
     // Fullscreen support detection
     isFullscreenSupported() {
       return !!(
@@ -121,8 +211,14 @@ class SettingsManager {
       return {
         username: this.getUsername(),
         showAds: this.getShowAds(),
-        playerGender: this.getPlayerGender(),
+        playerCharacter: this.getPlayerCharacter(),
         preferredOrientation: this.getPreferredOrientation(),
+        runSeed: this.getRunSeed(),
+        showGhost: this.getShowGhost(),
+        ghostSource: this.getGhostSource(),
+        autoPause: this.getAutoPause(),
+        fixedTimestep: this.getFixedTimestep(),
+        ...this.getAudioSettings(),
         isMobile: this.isMobileDevice(),
         fullscreenSupported: this.isFullscreenSupported()
       };
@@ -132,8 +228,17 @@ class SettingsManager {
     resetToDefaults() {
       localStorage.setItem('username', '');
       localStorage.setItem('showAds', 'true');
-      localStorage.setItem('playerGender', 'male');
+      localStorage.setItem('playerCharacter', 'max');
       localStorage.setItem('preferredOrientation', 'portrait');
+      localStorage.setItem('runSeed', '');
+      localStorage.setItem('showGhost', 'true');
+      localStorage.setItem('ghostSource', 'pb');
+      localStorage.setItem('autoPause', 'true');
+      localStorage.setItem('fixedTimestep', 'true');
+      localStorage.setItem('masterVolume', '1');
+      localStorage.setItem('musicVolume', '1');
+      localStorage.setItem('sfxVolume', '1');
+      localStorage.setItem('audioMuted', 'false');
     }
   
     // Export settings (for backup)
@@ -141,8 +246,11 @@ class SettingsManager {
       const settings = {
         username: this.getUsername(),
         showAds: this.getShowAds(),
-        playerGender: this.getPlayerGender(),
+        playerCharacter: this.getPlayerCharacter(),
         preferredOrientation: this.getPreferredOrientation(),
+        autoPause: this.getAutoPause(),
+        fixedTimestep: this.getFixedTimestep(),
+        audio: this.getAudioSettings(),
         highScore: localStorage.getItem('highScore') || '0',
         gamePlayCount: localStorage.getItem('gamePlayCount') || '0',
         exportDate: new Date().toISOString()
@@ -162,12 +270,26 @@ class SettingsManager {
         if (settings.showAds !== undefined) {
           this.setShowAds(settings.showAds);
         }
-        if (settings.playerGender !== undefined) {
-          this.setPlayerGender(settings.playerGender);
+        if (settings.playerCharacter !== undefined) {
+          this.setPlayerCharacter(settings.playerCharacter);
         }
         if (settings.preferredOrientation !== undefined) {
           this.setPreferredOrientation(settings.preferredOrientation);
         }
+        if (settings.autoPause !== undefined) {
+          this.setAutoPause(settings.autoPause === true);
+        }
+        if (settings.fixedTimestep !== undefined) {
+          this.setFixedTimestep(settings.fixedTimestep === true);
+        }
+        if (settings.audio !== undefined) {
+          ['master', 'music', 'sfx'].forEach(channel => {
+            if (settings.audio[`${channel}Volume`] !== undefined) {
+              this.setVolume(channel, settings.audio[`${channel}Volume`]);
+            }
+          });
+          if (settings.audio.muted !== undefined) this.setMuted(settings.audio.muted === true);
+        }
         
         return { success: true, message: 'Settings imported successfully' };
       } catch (error) {
@@ -0,0 +1,142 @@
+// ============================================================================
+// SHOP MANAGER MODULE
+// ============================================================================
+// Shop catalog and the effects of owned items
+// Features:
+// - Data-driven catalog in three categories (skins, starting power-ups, upgrades)
+// - Prices per level for permanent upgrades, stock limits for consumables
+// - Equipped skin persisted in localStorage
+// - Run effects (revive chance, power-up duration, starting power-ups) from the inventory
+// - Ownership and coins live in the ScoreManager wallet, so purchases stay transactional
+// ============================================================================
+
+const STARTING_POWER_UP_LIMIT = 5;   // Most of each starting power-up that can be held
+const DEFAULT_SKIN = 'skin_classic';
+
+const SHOP_CATEGORIES = {
+  skins: { label: '🎨 SKINS', color: '#E91E63' },
+  powerUps: { label: '⚡ POWER-UPS', color: '#FF9800' },
+  upgrades: { label: '⬆️ UPGRADES', color: '#3F51B5' }
+};
+
+// Shop items:
+// - price    - cost in coins ('prices' per level for upgrades)
+// - tint     - skins: color multiplied over the player texture (null for none)
+// - powerUp  - starting power-ups: PowerUpManager type given at the start of a run
+// - durationBonus / reviveBonus - upgrades: bonus added per level
+const SHOP_ITEMS = [
+  // Skins - bought once, then equipped
+  { id: 'skin_classic', category: 'skins', icon: '🎽', name: 'Classic', description: 'The original look',
+    price: 0, tint: null },
+  { id: 'skin_mint', category: 'skins', icon: '🍃', name: 'Mint', description: 'Fresh green outfit',
+    price: 150, tint: 0x98FB98 },
+  { id: 'skin_shadow', category: 'skins', icon: '🌑', name: 'Shadow', description: 'Runs in the dark',
+    price: 200, tint: 0x7B68EE },
+  { id: 'skin_ember', category: 'skins', icon: '🔥', name: 'Ember', description: 'Glowing hot',
+    price: 250, tint: 0xFF8C69 },
+  { id: 'skin_gold', category: 'skins', icon: '👑', name: 'Gold', description: 'For true champions',
+    price: 400, tint: 0xFFD700 },
+
+  // Starting power-ups - one of each held is used at the start of the next normal run
+  { id: 'start_shield', category: 'powerUps', icon: '🛡️', name: 'Head Start Shield',
+    description: 'Start a run with a shield', price: 60, powerUp: 'shield' },
+  { id: 'start_magnet', category: 'powerUps', icon: '🧲', name: 'Head Start Magnet',
+    description: 'Start a run with a magnet', price: 50, powerUp: 'magnet' },
+  { id: 'start_multiplier', category: 'powerUps', icon: '✨', name: 'Head Start 2X',
+    description: 'Start a run with 2X score', price: 80, powerUp: 'multiplier' },
+  { id: 'start_revive', category: 'powerUps', icon: '❤️', name: 'Spare Revive',
+    description: 'Start a run holding a revive', price: 120, powerUp: 'revive' },
+
+  // Upgrades - permanent, bought level by level
+  { id: 'upgrade_duration', category: 'upgrades', icon: '⏳', name: 'Power-up Duration',
+    description: '+20% power-up duration per level', prices: [100, 200, 400], durationBonus: 0.2 },
+  { id: 'upgrade_revive', category: 'upgrades', icon: '💖', name: 'Revive Chance',
+    description: '+5% revive coin chance per level', prices: [150, 300, 600], reviveBonus: 5 }
+];
+
+class ShopManager {
+    constructor() {
+      this.items = SHOP_ITEMS;
+      this.categories = SHOP_CATEGORIES;
+    }
+
+    getItem(id) {
+      return this.items.find(item => item.id === id);
+    }
+
+    getItems(category) {
+      return this.items.filter(item => item.category === category);
+    }
+
+    getCategory(category) {
+      return this.categories[category];
+    }
+
+    /**
+     * Most of an item that can be owned (skins 1, upgrades their level count)
+     */
+    getMaxOwned(item) {
+      if (item.category === 'upgrades') return item.prices.length;
+      if (item.category === 'powerUps') return STARTING_POWER_UP_LIMIT;
+      return 1;
+    }
+
+    /**
+     * Price of the next purchase of an item
+     * @param {Object} item - Shop item
+     * @param {number} owned - Amount owned (upgrade level, power-up stock)
+     * @returns {number|null} Price in coins, or null when no more can be bought
+     */
+    getPrice(item, owned) {
+      if (owned >= this.getMaxOwned(item)) return null;
+      return item.category === 'upgrades' ? item.prices[owned] : item.price;
+    }
+
+    getEquippedSkin() {
+      const skin = this.getItem(localStorage.getItem('equippedSkin'));
+      return skin && skin.category === 'skins' ? skin.id : DEFAULT_SKIN;
+    }
+
+    equipSkin(id) {
+      localStorage.setItem('equippedSkin', id);
+    }
+
+    // The classic skin is always owned
+    isSkinOwned(id, inventory) {
+      return id === DEFAULT_SKIN || (inventory[id] || 0) > 0;
+    }
+
+    /**
+     * Tint of the equipped skin, falling back to none if it isn't owned
+     * @param {Object} inventory - Wallet inventory (item id → amount)
+     * @returns {number|null} Tint color
+     */
+    getSkinTint(inventory) {
+      const skin = this.getItem(this.getEquippedSkin());
+      return this.isSkinOwned(skin.id, inventory) ? skin.tint : null;
+    }
+
+    /**
+     * Gameplay effects of the inventory for a run
+     * @param {Object} inventory - Wallet inventory (item id → amount)
+     * @param {number} baseReviveChance - Revive coin chance without upgrades (%)
+     * @returns {Object} { reviveChance, powerUpDurationScale, startPowerUps: [itemId] }
+     */
+    getRunEffects(inventory, baseReviveChance) {
+      const level = id => Math.min(inventory[id] || 0, this.getMaxOwned(this.getItem(id)));
+
+      return {
+        reviveChance: baseReviveChance + level('upgrade_revive') * this.getItem('upgrade_revive').reviveBonus,
+        powerUpDurationScale: 1 + level('upgrade_duration') * this.getItem('upgrade_duration').durationBonus,
+        startPowerUps: this.getItems('powerUps').filter(item => (inventory[item.id] || 0) > 0).map(item => item.id)
+      };
+    }
+
+    // Effects for runs the shop doesn't apply to (daily challenge)
+    getDefaultRunEffects(baseReviveChance) {
+      return { reviveChance: baseReviveChance, powerUpDurationScale: 1, startPowerUps: [] };
+    }
+  }
+
+  // Export for use in other modules
+export default ShopManager;
@@ -5,8 +5,9 @@
 // Features:
 // - Programmatic texture generation for all game elements
 // - Obstacle texture creation (rectangles, circles, triangles, stars)
-// - Coin and power-up texture generation
-// - Ground and background texture creation
+// - Overhead obstacle textures that must be passed by sliding
+// - Coin and power-up texture generation (revive, shield, magnet, slow-motion, multiplier)
+// - Ground segment, platform and background texture creation
 // - Texture optimization and caching
 // ============================================================================
 
@@ -20,7 +21,9 @@ class TextureManager {
       
       this.createGroundTextures(scene);
       this.createObstacleTextures(scene);
+      this.createOverheadObstacleTextures(scene);
       this.createCoinTextures(scene);
+      this.createPowerUpTextures(scene);
       this.createUITextures(scene);
       
       this.texturesCreated = true;
@@ -29,11 +32,23 @@ class TextureManager {
     createGroundTextures(scene) {
       const gfx = scene.make.graphics({ x: 0, y: 0, add: false });
   
-      // Ground texture (green rectangle)
+      // Ground segment texture (green block with a grass edge) - stretched to each segment's width
       gfx.clear(); 
       gfx.fillStyle(0x228b22, 1); 
-      gfx.fillRect(0, 0, 800, 40); 
-      gfx.generateTexture('ground', 800, 40);
+      gfx.fillRect(0, 0, 200, 40); 
+      gfx.fillStyle(0x32CD32, 1);
+      gfx.fillRect(0, 0, 200, 5);
+      gfx.generateTexture('ground', 200, 40);
+
+      // Raised platform texture (wooden ledge with a grass edge)
+      gfx.clear();
+      gfx.fillStyle(0x8B5A2B, 1);
+      gfx.fillRect(0, 0, 100, 16);
+      gfx.fillStyle(0x654321, 1);
+      gfx.fillRect(0, 12, 100, 4);
+      gfx.fillStyle(0x32CD32, 1);
+      gfx.fillRect(0, 0, 100, 4);
+      gfx.generateTexture('platform', 100, 16);
     }
   
     createObstacleTextures(scene) {
@@ -98,6 +113,68 @@ class TextureManager {
       gfx.fillRect(6, 22, 2, 2);
       gfx.fillRect(22, 22, 2, 2);
       gfx.generateTexture('obstacle_circle', 30, 30);
+
+      // Bird - flies along a wave instead of sitting on the ground
+      gfx.clear();
+      gfx.fillStyle(0x4B0082, 1); // Indigo body
+      gfx.fillEllipse(16, 14, 22, 12);
+      gfx.fillStyle(0x6A5ACD, 1); // Lighter wing
+      gfx.fillTriangle(10, 12, 22, 12, 14, 0);
+      gfx.fillStyle(0xFFA500, 1); // Orange beak
+      gfx.fillTriangle(0, 14, 6, 11, 6, 17);
+      gfx.fillStyle(0xFFFFFF, 1); // Eye
+      gfx.fillCircle(9, 12, 2);
+      gfx.fillStyle(0x000000, 1);
+      gfx.fillCircle(8, 12, 1);
+      gfx.fillStyle(0x4B0082, 1); // Tail feathers
+      gfx.fillTriangle(26, 12, 32, 8, 32, 20);
+      gfx.generateTexture('obstacle_bird', 32, 24);
+
+      // Rolling log seen end-on - rings make the spin visible
+      gfx.clear();
+      gfx.fillStyle(0x8B4513, 1); // Bark
+      gfx.fillCircle(15, 15, 15);
+      gfx.fillStyle(0xDEB887, 1); // Cut face
+      gfx.fillCircle(15, 15, 12);
+      gfx.lineStyle(2, 0xA0522D, 1); // Growth rings
+      gfx.strokeCircle(15, 15, 8);
+      gfx.strokeCircle(15, 15, 4);
+      gfx.fillStyle(0x654321, 1); // Crack
+      gfx.fillRect(14, 3, 2, 12);
+      gfx.generateTexture('obstacle_rolling_log', 30, 30);
+    }
+  
+    createOverheadObstacleTextures(scene) {
+      const gfx = scene.make.graphics({ x: 0, y: 0, add: false });
+  
+      // Hanging log - too tall to jump over, only passable by sliding
+      gfx.clear();
+      gfx.fillStyle(0xA0522D, 1); // Rope
+      gfx.fillRect(12, 0, 3, 180);
+      gfx.fillRect(45, 0, 3, 180);
+      gfx.fillStyle(0x8B4513, 1); // Brown log
+      gfx.fillRoundedRect(0, 176, 60, 24, 6);
+      gfx.fillStyle(0x654321, 1); // Darker bark lines
+      gfx.fillRect(4, 182, 52, 3);
+      gfx.fillRect(4, 191, 52, 3);
+      gfx.fillStyle(0xDEB887, 1); // Cut log ends
+      gfx.fillCircle(6, 188, 5);
+      gfx.fillCircle(54, 188, 5);
+      gfx.generateTexture('obstacle_overhead_log', 60, 200);
+  
+      // Hanging spike block on a chain
+      gfx.clear();
+      gfx.fillStyle(0x808080, 1); // Gray chain links
+      for (let y = 0; y < 170; y += 12) {
+        gfx.fillRect(18, y, 4, 8);
+      }
+      gfx.fillStyle(0x555555, 1); // Dark metal block
+      gfx.fillRect(0, 170, 40, 18);
+      gfx.fillStyle(0xC0C0C0, 1); // Silver spikes pointing down
+      for (let i = 0; i < 4; i++) {
+        gfx.fillTriangle(i * 10, 188, i * 10 + 10, 188, i * 10 + 5, 200);
+      }
+      gfx.generateTexture('obstacle_overhead_spikes', 40, 200);
     }
   
     createCoinTextures(scene) {
@@ -122,6 +199,63 @@ class TextureManager {
       gfx.generateTexture('coin_revive', 20, 20);
     }
   
+    createPowerUpTextures(scene) {
+      const gfx = scene.make.graphics({ x: 0, y: 0, add: false });
+  
+      // Shield pickup (blue badge with white shield)
+      gfx.clear();
+      gfx.fillStyle(0x1E90FF, 1);
+      gfx.fillCircle(12, 12, 12);
+      gfx.fillStyle(0xffffff, 1);
+      gfx.beginPath();
+      gfx.moveTo(6, 6);
+      gfx.lineTo(18, 6);
+      gfx.lineTo(18, 12);
+      gfx.lineTo(12, 19);
+      gfx.lineTo(6, 12);
+      gfx.closePath();
+      gfx.fillPath();
+      gfx.generateTexture('powerup_shield', 24, 24);
+  
+      // Magnet pickup (red horseshoe with silver tips)
+      gfx.clear();
+      gfx.fillStyle(0xDC143C, 1);
+      gfx.fillRect(3, 4, 6, 14);   // Left arm
+      gfx.fillRect(15, 4, 6, 14);  // Right arm
+      gfx.fillRect(3, 16, 18, 6);  // Bend
+      gfx.fillStyle(0xC0C0C0, 1);
+      gfx.fillRect(3, 0, 6, 5);    // Left tip
+      gfx.fillRect(15, 0, 6, 5);   // Right tip
+      gfx.generateTexture('powerup_magnet', 24, 24);
+  
+      // Slow-motion pickup (green clock)
+      gfx.clear();
+      gfx.fillStyle(0x228B22, 1);
+      gfx.fillCircle(12, 12, 12);
+      gfx.fillStyle(0xffffff, 1);
+      gfx.fillCircle(12, 12, 9);
+      gfx.fillStyle(0x000000, 1);
+      gfx.fillRect(11, 5, 2, 8);   // Minute hand
+      gfx.fillRect(11, 11, 6, 2);  // Hour hand
+      gfx.generateTexture('powerup_slow', 24, 24);
+  
+      // Score multiplier pickup (gold star)
+      gfx.clear();
+      gfx.fillStyle(0xDAA520, 1);
+      this.drawStar(gfx, 12, 12, 5, 12, 5);
+      gfx.fillStyle(0xFFF8DC, 1);
+      this.drawStar(gfx, 12, 12, 5, 6, 2.5);
+      gfx.generateTexture('powerup_multiplier', 24, 24);
+  
+      // Shield bubble shown around the player while the shield is active
+      gfx.clear();
+      gfx.fillStyle(0x1E90FF, 0.2);
+      gfx.fillCircle(32, 32, 31);
+      gfx.lineStyle(2, 0x87CEFA, 0.9);
+      gfx.strokeCircle(32, 32, 30);
+      gfx.generateTexture('shield_bubble', 64, 64);
+    }
+  
     createUITextures(scene) {
       const gfx = scene.make.graphics({ x: 0, y: 0, add: false });
   
@@ -175,8 +309,11 @@ class TextureManager {
     // Clear all textures (for memory management)
     clearTextures(scene) {
       const textureKeys = [
-        'ground', 'obstacle_rect', 'obstacle_star', 'obstacle_triangle', 
-        'obstacle_circle', 'coin', 'coin_revive', 'button_bg', 'panel_bg'
+        'ground', 'platform', 'obstacle_rect', 'obstacle_star', 'obstacle_triangle', 
+        'obstacle_circle', 'obstacle_bird', 'obstacle_rolling_log',
+        'obstacle_overhead_log', 'obstacle_overhead_spikes',
+        'coin', 'coin_revive', 'powerup_shield', 'powerup_magnet', 'powerup_slow',
+        'powerup_multiplier', 'shield_bubble', 'button_bg', 'panel_bg'
       ];
       
       textureKeys.forEach(key => {
@@ -6,32 +6,66 @@
 // ============================================================================
 
 // Import all feature modules
+import AchievementManager from './AchievementManager.js';
+import AudioManager from './AudioManager.js';
+import ChunkManager from './ChunkManager.js';
 import CloudManager from './CloudManager.js';
+import ControlsManager from './ControlsManager.js';
+import MissionManager from './MissionManager.js';
+import ObstacleManager from './ObstacleManager.js';
 import OrientationManager from './OrientationManager.js';
 import PlayerManager from './PlayerManager.js';
+import PoolManager from './PoolManager.js';
+import PowerUpManager from './PowerUpManager.js';
+import ReplayManager from './ReplayManager.js';
 import ScoreManager from './ScoreManager.js';
+import SeedManager from './SeedManager.js';
 import SettingsManager from './SettingsManager.js';
+import ShopManager from './ShopManager.js';
 import TextureManager from './TextureManager.js';
 
 // Export all modules
 export {
+  AchievementManager,
+  AudioManager,
+  ChunkManager,
   CloudManager,
+  ControlsManager,
+  MissionManager,
+  ObstacleManager,
   OrientationManager,
   PlayerManager,
+  PoolManager,
+  PowerUpManager,
+  ReplayManager,
   ScoreManager,
+  SeedManager,
   SettingsManager,
+  ShopManager,
   TextureManager
 };
 
 // Create global instances for easy access
 if (typeof window !== 'undefined') {
   // Initialize global managers
+  const poolManager = new PoolManager();
   window.gameManagers = {
-    cloudManager: new CloudManager(),
+    achievementManager: new AchievementManager(),
+    audioManager: new AudioManager(),
+    chunkManager: new ChunkManager(),
+    cloudManager: new CloudManager(poolManager),
+    controlsManager: new ControlsManager(),
+    missionManager: new MissionManager(),
+    obstacleManager: new ObstacleManager(),
     orientationManager: new OrientationManager(),
     playerManager: new PlayerManager(),
+    poolManager: poolManager,
+    powerUpManager: new PowerUpManager(),
+    replayManager: new ReplayManager(),
     scoreManager: new ScoreManager(),
+    seedManager: new SeedManager(),
     settingsManager: new SettingsManager(),
+    shopManager: new ShopManager(),
     textureManager: new TextureManager()
   };
 }
\ No newline at end of file
@@ -6,11 +6,22 @@
 // ============================================================================
 
 import { 
+  AchievementManager, 
+  AudioManager, 
+  ChunkManager, 
   CloudManager, 
+  ControlsManager, 
+  MissionManager, 
+  ObstacleManager, 
   OrientationManager, 
   PlayerManager, 
+  PoolManager, 
+  PowerUpManager, 
+  ReplayManager, 
   ScoreManager, 
+  SeedManager, 
   SettingsManager, 
+  ShopManager, 
   TextureManager 
 } from './features/index.js';
 
@@ -24,7 +35,7 @@ import {
 // - Dynamic level progression with increasing difficulty
 // - Power-up system with revive functionality
 // - Ad integration with detailed statistics tracking
-// - Multiple scenes: Main Menu, Game, Settings, Leaderboard, Statistics
+// - Multiple scenes: Main Menu, Game, Settings, Leaderboard, Statistics, Achievements, Shop
 // - Animated backgrounds with dynamic cloud system
 // - Mobile-responsive design with orientation support
 // - Fullscreen and display settings management
@@ -38,12 +49,26 @@ import {
 // These managers provide centralized functionality for game features
 // ============================================================================
 
+// Object pools are shared between the game scene and the cloud system
+const poolManager = new PoolManager();
+
 const globalManagers = {
-  cloudManager: new CloudManager(),
+  achievementManager: new AchievementManager(),
+  audioManager: new AudioManager(),
+  chunkManager: new ChunkManager(),
+  cloudManager: new CloudManager(poolManager),
+  controlsManager: new ControlsManager(),
+  missionManager: new MissionManager(),
+  obstacleManager: new ObstacleManager(),
   orientationManager: new OrientationManager(),
   playerManager: new PlayerManager(),
+  poolManager: poolManager,
+  powerUpManager: new PowerUpManager(),
+  replayManager: new ReplayManager(),
   scoreManager: new ScoreManager(),
+  seedManager: new SeedManager(),
   settingsManager: new SettingsManager(),
+  shopManager: new ShopManager(),
   textureManager: new TextureManager()
 };
 
@@ -67,32 +92,90 @@ const GAME_CONFIG = {
   PLAYER_START_X: 100,           // Initial player X position
   PLAYER_START_Y: 300,           // Initial player Y position
   GROUND_Y: 520,                 // Y position of the ground surface
+  GROUND_TOP: 500,               // Y of the top edge of the ground (GROUND_Y is its center)
   
   // Obstacle and coin spawning
   OBSTACLE_SPAWN_X: 800,         // X position where obstacles spawn (off-screen right)
   OBSTACLE_Y: 490,               // Y position where obstacles are placed
+  OVERHEAD_OBSTACLE_Y: 372,      // Center Y of hanging obstacles (bottom edge at 472, clears a sliding player)
   COIN_SPAWN_X: 800,             // X position where coins spawn (off-screen right)
   COIN_MIN_Y: 340,               // Minimum Y position for coin spawning
   COIN_MAX_Y: 400,               // Maximum Y position for coin spawning
   
+  // Ground segments, pits and platforms
+  GROUND_SEGMENT_WIDTH: 200,     // Widest ground segment (px), pits cut segments shorter
+  PIT_DEATH_Y: 580,              // Player Y below which a fall into a pit ends the run
+  PLATFORM_COIN_CLEARANCE: 15,   // Coins less than this above a platform's top are lifted onto it
+  
   // Game progression settings
   INITIAL_SPEED: 150,            // Starting speed of obstacles and coins (reduced for easier start)
-  INITIAL_SPAWN_DELAY: 1500,     // Initial delay between obstacle spawns (ms)
-  SPEED_INCREMENT: 0.005,        // How much speed increases per frame
-  LEVEL_SPEED_BONUS: 20,         // Speed bonus when leveling up
-  SPAWN_DELAY_REDUCTION: 150,    // How much spawn delay decreases per level
-  MIN_SPAWN_DELAY: 500,          // Minimum spawn delay (prevents impossible gameplay)
+  SPEED_INCREMENT: 0.3,          // How much speed increases per second of play
+  LEVEL_SPEED_BONUS: 20,         // Speed bonus when the course level goes up
+  COURSE_LEVEL_DISTANCE: 150,    // Distance (m) per course level - course difficulty never depends on score
+  
+  // Simulation timing
+  FIXED_STEP_MS: 1000 / 60,      // Length of one fixed simulation step (ms)
+  MAX_STEPS_PER_FRAME: 5,        // Cap on fixed steps per frame (avoids spiralling after a stall)
+  SHOW_POOL_STATS: false,        // Show object pool sizes in a debug overlay
+  
+  // Chunk spawning (distances scale with jump length = speed * jump air time)
+  CHUNK_LEAD_IN: 300,            // Distance (px) scrolled before the first chunk appears
+  CHUNK_GAP_JUMPS: 2.2,          // Initial gap between chunks in jump lengths
+  CHUNK_GAP_REDUCTION: 0.15,     // How much the chunk gap shrinks per level (jump lengths)
+  MIN_CHUNK_GAP_JUMPS: 1.1,      // Smallest gap between chunks (prevents impossible gameplay)
+  MIN_CHUNK_GAP: 120,            // Absolute minimum gap between chunks (px)
+  FAIR_GAP_JUMPS: 0.8,           // Minimum landing room between separated obstacles (jump lengths)
   
   // Scoring system
   SCORE_PER_COIN: 10,            // Points awarded for collecting a coin
   SCORE_PER_LEVEL: 100,          // Bonus points for reaching a new level
+  METERS_PER_POINT: 2,           // Distance run for each distance point (m)
+  NEAR_MISS_MARGIN: 12,          // Largest gap to a passed obstacle that counts as a near miss (px)
+  NEAR_MISS_BONUS: 25,           // Points for a near miss
+  COIN_COMBO_BONUS: 5,           // Extra points per coin in a chain collected without touching the ground
+  POPUP_RISE: 40,                // Distance score popups float up (px)
+  POPUP_DURATION: 800,           // Score popup lifetime (ms)
   
   // Power-up settings
   REVIVE_CHANCE: 20,             // Percentage chance to get a revive coin
+  POWER_UP_CHANCE: 12,           // Percentage chance a chunk's last coin becomes a timed power-up
+  POWER_UP_TICK: 100,            // Power-up countdown interval (ms)
+  MAGNET_RADIUS: 220,            // Distance within which the magnet pulls coins (px)
+  MAGNET_PULL_SPEED: 450,        // Speed at which pulled coins fly to the player
+  SLOW_MOTION_SCALE: 0.6,        // World speed and tween time scale during slow-motion
+  SCORE_MULTIPLIER: 2,           // Coin score multiplier while 2x score is active
+  
+  // Daily challenge modifiers
+  DAILY_SPEED_BONUS: 60,         // Extra starting speed in the daily challenge
+  DAILY_REVIVE_COINS: false,     // Whether revive coins can appear in the daily challenge
+  
+  // Replays and ghost runner
+  REPLAY_FAST_RATE: 2,           // Playback rate of the fast-forward replay control
+  REPLAY_OVERRUN: 2000,          // Time (ms) a replay keeps running past its recorded end
+  GHOST_SAMPLE_MS: 100,          // Interval between recorded position samples (ms of run time)
+  GHOST_ALPHA: 0.4,              // Opacity of the ghost runner
+  PIXELS_PER_METER: 50,          // Scale for distances shown to the player
   
   // Player movement
   JUMP_VELOCITY: -420,           // Initial jump velocity (negative = upward)
-  DOUBLE_JUMP_VELOCITY: -360     // Velocity for double jump (slightly weaker)
+  DOUBLE_JUMP_VELOCITY: -360,    // Velocity for double jump (slightly weaker)
+  JUMP_CUT_MULTIPLIER: 0.45,     // Upward velocity kept when jump is released early
+  COYOTE_TIME: 100,              // Time after leaving the ground a jump still counts as grounded (ms)
+  JUMP_BUFFER_TIME: 120,         // Time before landing a jump press is remembered (ms)
+  SLIDE_DURATION: 600,           // How long a swipe-down slide lasts (ms)
+  SLIDE_DROP_VELOCITY: 500,      // Downward velocity applied when sliding in mid-air
+  SWIPE_THRESHOLD: 50,           // Minimum downward drag (px) recognised as a swipe
+  
+  // Player animation - driven by run time and distance so replays look the same
+  RUN_FRAME_DISTANCE: 18,        // Distance run (px) per run-cycle frame
+  FLIP_DURATION: 360,            // Double-jump flip rotation time (ms)
+  LAND_SQUASH: 0.25,             // Squash on a hard landing (fraction of height)
+  LAND_SQUASH_TIME: 140,         // How long the landing squash lasts (ms)
+  AIR_STRETCH: 0.12,             // Most stretch while rising or falling fast
+  STRETCH_SPEED: 800,            // Vertical speed (px/s) that gives the full squash or stretch
+  
+  // Pause menu
+  RESUME_COUNTDOWN: 3            // Seconds counted down before a paused run continues
 };
 
 // ============================================================================
@@ -179,9 +262,14 @@ class MainMenuScene extends Phaser.Scene {
   create() {
     this.createBackground();        // Create the sky blue background
     globalManagers.cloudManager.start(this); // Start animated cloud system
+    globalManagers.audioManager.bindClickSounds(this); // Click sound on every button
+    globalManagers.controlsManager.enableMenuNavigation(this); // Keyboard and gamepad focus navigation
     this.createTitle();             // Create animated title and subtitle
     this.createHighScoreDisplay();  // Show persistent high score
     this.createButtons();           // Create navigation buttons
+    this.createAchievementsButton(); // Corner button to the achievement gallery
+    this.createShopButton();        // Corner button to the coin shop
+    this.createMissions();          // Show the active missions
     this.createInstructions();      // Add game instructions
   }
 
@@ -510,8 +598,8 @@ class MainMenuScene extends Phaser.Scene {
       this.scene.start('LeaderboardScene');
     });
     
-    // Settings Button - positioned below the main buttons
-    const settingsButton = this.add.text(GAME_CONFIG.WIDTH / 2, 340, '⚙️ SETTINGS', {
+    // Settings Button - below the play button
+    const settingsButton = this.add.text(startX, 340, '⚙️ SETTINGS', {
       fontSize: '24px',
       fill: '#ffffff',
       fontFamily: 'Arial',
@@ -581,14 +669,96 @@ class MainMenuScene extends Phaser.Scene {
         ease: 'Power2'
       });
     });
+
+    // Daily Challenge Button - below the leaderboard button
+    const dailyButton = this.add.text(startX + buttonWidth + gap, 340, '📅 DAILY CHALLENGE', {
+      fontSize: '24px',
+      fill: '#ffffff',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      stroke: '#000000',
+      strokeThickness: 2,
+      backgroundColor: '#FF5722',
+      padding: { x: 25, y: 12 },
+      borderRadius: 15,
+      shadow: {
+        offsetX: 2,
+        offsetY: 2,
+        color: '#000000',
+        blur: 4,
+        fill: true
+      }
+    }).setOrigin(0.5).setInteractive({ useHandCursor: true }).setDepth(10);
+
+    // Daily status - whether today's counted attempt has been used
+    const scoreManager = globalManagers.scoreManager;
+    const today = scoreManager.getTodayKey();
+    const todayBest = scoreManager.getDailyLeaderboard(today)[0];
+    let dailyStatus = 'Today\'s attempt is ready - no revives, faster start!';
+    if (scoreManager.hasDailyAttempt(today)) {
+      dailyStatus = todayBest ? `Today's score: ${todayBest.score} - practice only` : 'Today\'s attempt used - practice only';
+    }
+    const dailyStatusText = this.add.text(startX + buttonWidth + gap, 380, dailyStatus, {
+      fontSize: '13px',
+      fill: '#000',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      stroke: '#ffffff',
+      strokeThickness: 2
+    }).setOrigin(0.5).setDepth(10);
+
+    // Daily button interaction events
+    dailyButton.on('pointerover', () => {
+      this.tweens.add({
+        targets: dailyButton,
+        scaleX: 1.05,
+        scaleY: 1.05,
+        duration: 150,
+        ease: 'Power2'
+      });
+      dailyButton.setStyle({ 
+        fill: '#ffff00', 
+        backgroundColor: '#E64A19' 
+      });
+    });
+    
+    dailyButton.on('pointerout', () => {
+      this.tweens.add({
+        targets: dailyButton,
+        scaleX: 1,
+        scaleY: 1,
+        duration: 150,
+        ease: 'Power2'
+      });
+      dailyButton.setStyle({ 
+        fill: '#ffffff', 
+        backgroundColor: '#FF5722' 
+      });
+    });
+    
+    dailyButton.on('pointerdown', () => {
+      this.tweens.add({
+        targets: dailyButton,
+        scaleX: 0.95,
+        scaleY: 0.95,
+        duration: 100,
+        ease: 'Power2'
+      });
+      // Trigger mobile fullscreen on first user interaction
+      this.triggerMobileFullscreen();
+      this.scene.start('GameScene', { mode: 'daily' });
+    });
     
     // Add entrance animations for buttons
     playButton.setAlpha(0);
     leaderboardButton.setAlpha(0);
     settingsButton.setAlpha(0);
+    dailyButton.setAlpha(0);
+    dailyStatusText.setAlpha(0);
     playButton.setY(260);
     leaderboardButton.setY(260);
     settingsButton.setY(320);
+    dailyButton.setY(320);
     
     this.tweens.add({
       targets: playButton,
@@ -616,14 +786,112 @@ class MainMenuScene extends Phaser.Scene {
       delay: 1300,
       ease: 'Back.easeOut'
     });
+
+    this.tweens.add({
+      targets: dailyButton,
+      alpha: 1,
+      y: 340,
+      duration: 800,
+      delay: 1500,
+      ease: 'Back.easeOut'
+    });
+
+    this.tweens.add({
+      targets: dailyStatusText,
+      alpha: 1,
+      duration: 600,
+      delay: 1900
+    });
+  }
+
+  createAchievementsButton() {
+    const achievementManager = globalManagers.achievementManager;
+    const achievementsButton = this.add.text(GAME_CONFIG.WIDTH - 16, 16,
+      `🏅 ${achievementManager.getUnlockedCount()}/${achievementManager.achievements.length}`, {
+        fontSize: '20px',
+        fill: '#ffffff',
+        fontFamily: 'Arial',
+        fontStyle: 'bold',
+        stroke: '#000000',
+        strokeThickness: 2,
+        backgroundColor: '#9C27B0',
+        padding: { x: 15, y: 8 }
+      }).setOrigin(1, 0).setInteractive({ useHandCursor: true }).setDepth(10);
+
+    achievementsButton.on('pointerover', () => achievementsButton.setStyle({ fill: '#ffff00', backgroundColor: '#7B1FA2' }));
+    achievementsButton.on('pointerout', () => achievementsButton.setStyle({ fill: '#ffffff', backgroundColor: '#9C27B0' }));
+    achievementsButton.on('pointerdown', () => {
+      this.triggerMobileFullscreen();
+      this.scene.start('AchievementsScene');
+    });
+  }
+
+  createShopButton() {
+    const shopButton = this.add.text(16, 16, `🛒 SHOP  🪙 ${globalManagers.scoreManager.getCoinBalance()}`, {
+      fontSize: '20px',
+      fill: '#ffffff',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      stroke: '#000000',
+      strokeThickness: 2,
+      backgroundColor: '#FF9800',
+      padding: { x: 15, y: 8 }
+    }).setOrigin(0, 0).setInteractive({ useHandCursor: true }).setDepth(10);
+
+    shopButton.on('pointerover', () => shopButton.setStyle({ fill: '#ffff00', backgroundColor: '#F57C00' }));
+    shopButton.on('pointerout', () => shopButton.setStyle({ fill: '#ffffff', backgroundColor: '#FF9800' }));
+    shopButton.on('pointerdown', () => {
+      this.triggerMobileFullscreen();
+      this.scene.start('ShopScene');
+    });
+  }
+
+  /**
+   * Active missions panel - left of the instructions
+   */
+  createMissions() {
+    const missionManager = globalManagers.missionManager;
+    const panelX = GAME_CONFIG.WIDTH / 2 - 165;
+
+    const missionsBg = this.add.rectangle(panelX, 490, 320, 140, 0xffffff, 0.8).setDepth(1);
+    missionsBg.setStrokeStyle(3, 0x000000, 0.4);
+    const shadowBg = this.add.rectangle(panelX + 3, 493, 320, 140, 0x000000, 0.25).setDepth(0);
+
+    const lines = [`🎯 MISSIONS   🪙 ${globalManagers.scoreManager.getCoinBalance()}`];
+    missionManager.getActiveMissions().forEach(mission => {
+      lines.push(`${mission.icon} ${mission.description}`);
+      lines.push(`     ${mission.progress}/${mission.goal}  ·  ${missionManager.describeReward(mission.reward)}`);
+    });
+    if (missionManager.getPendingMultiplier() > 1) {
+      lines.push(`✨ x${missionManager.getPendingMultiplier()} score on your next run`);
+    }
+
+    const missionsText = this.add.text(panelX, 490, lines.join('\n'), {
+      fontSize: '12px',
+      fill: '#000',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      lineSpacing: 2
+    }).setOrigin(0.5).setDepth(2);
+
+    // Add entrance animation
+    [missionsBg, shadowBg, missionsText].forEach(element => element.setAlpha(0));
+    this.tweens.add({
+      targets: [missionsBg, shadowBg, missionsText],
+      alpha: 1,
+      duration: 1200,
+      delay: 1300,
+      ease: 'Power2'
+    });
   }
 
   createInstructions() {
-    // Add modern background panel for instructions with transparency - moved 20px down
+    // Add modern background panel for instructions with transparency - right of the missions
+    const panelX = GAME_CONFIG.WIDTH / 2 + 165;
     const instructionsBg = this.add.rectangle(
-      GAME_CONFIG.WIDTH / 2, 
+      panelX, 
       490, 
-      650, 
+      320, 
       140, 
       0xffffff, 
       0.8
@@ -632,9 +900,9 @@ class MainMenuScene extends Phaser.Scene {
     
     // Add subtle shadow effect
     const shadowBg = this.add.rectangle(
-      GAME_CONFIG.WIDTH / 2 + 3, 
+      panelX + 3, 
       493, 
-      650, 
+      320, 
       140, 
       0x000000, 
       0.25
@@ -642,16 +910,18 @@ class MainMenuScene extends Phaser.Scene {
     shadowBg.setDepth(0);
     instructionsBg.setDepth(1);
     
-    const instructionsText = this.add.text(GAME_CONFIG.WIDTH / 2, 560, 
-      '🎮 CONTROLS 🎮\n\nSPACE or 🚀 JUMP - Jump/Double Jump\nP or ⏸ PAUSE - Pause Game\n\n💰 Collect coins to score points!\n⚠️ Avoid obstacles to survive!', {
-      fontSize: '15px',
+    // Keys come from the remappable controls
+    const controlsManager = globalManagers.controlsManager;
+    const instructionsText = this.add.text(panelX, 560, 
+      `🎮 CONTROLS 🎮\n${controlsManager.describeKey('jump')} or 🚀 JUMP - Jump/Double Jump\n${controlsManager.describeKey('slide')}, swipe down or ⬇️ SLIDE - Slide\n${controlsManager.describeKey('pause')} or ⏸ PAUSE - Pause Game\n💰 Collect coins to score points!\n⚠️ Avoid obstacles to survive!`, {
+      fontSize: '13px',
       fill: '#000',
       fontFamily: 'Arial',
       align: 'center',
       fontStyle: 'bold',
       lineSpacing: 1,
-      wordWrap: { width: 580 },
-      padding: { x: 20, y: 15 }
+      wordWrap: { width: 300 },
+      padding: { x: 10, y: 10 }
     }).setOrigin(0.5).setDepth(2);
     
     // Add enhanced entrance animation
@@ -741,6 +1011,11 @@ class SettingsScene extends Phaser.Scene {
   create() {
     this.createBackground();        // Create the sky blue background
     globalManagers.cloudManager.start(this); // Start animated cloud system
+    globalManagers.audioManager.bindClickSounds(this); // Click sound on every button
+    globalManagers.controlsManager.enableMenuNavigation(this, {
+      back: () => this.scene.start('MainMenuScene'),
+      enabled: () => !this.textInputKeyHandler // Typed keys belong to an open text input
+    });
     this.createTitle();             // Create animated title
     this.createSettings();          // Create all settings sections
     this.createBackButton();        // Create navigation back button
@@ -798,13 +1073,14 @@ class SettingsScene extends Phaser.Scene {
   /**
    * Creates the main settings interface with tabbed navigation
    * Initializes all settings tabs and their content
-   * Features: Profile, Display, Ads, and Data management
+   * Features: Profile, Display, Audio, Controls, Ads, and Data management
    */
   createSettings() {
     // Get current settings using SettingsManager
     const currentUsername = globalManagers.settingsManager.getUsername();
     const showAds = globalManagers.settingsManager.getShowAds();
-    const playerGender = globalManagers.settingsManager.getPlayerGender();
+
+    this.textInputKeyHandler = null; // Keyboard listener of an open text input
 
     // Initialize tab system
     this.currentTab = 'profile';
@@ -815,8 +1091,10 @@ class SettingsScene extends Phaser.Scene {
     this.createTabNavigation();
 
     // Create tab content
-    this.createProfileTab(currentUsername, playerGender);
+    this.createProfileTab(currentUsername);
     this.createDisplayTab();
+    this.createAudioTab();
+    this.createControlsTab();
     this.createAdsTab(showAds);
     this.createDataTab();
 
@@ -847,20 +1125,22 @@ class SettingsScene extends Phaser.Scene {
 
   /**
    * Creates the tab navigation system for settings
-   * Features four tabs: Profile, Display, Ads, and Data
+   * Features six tabs: Profile, Display, Audio, Controls, Ads, and Data
    * Each tab has unique colors and hover effects
    */
   createTabNavigation() {
     const tabConfigs = [
       { key: 'profile', text: '👤 PROFILE', color: '#2196F3' },
       { key: 'display', text: '🖥️ DISPLAY', color: '#9C27B0' },
+      { key: 'audio', text: '🔊 AUDIO', color: '#009688' },
+      { key: 'controls', text: '🎮 CONTROLS', color: '#3F51B5' },
       { key: 'ads', text: '📺 ADS', color: '#FF9800' },
       { key: 'data', text: '🗄️ DATA', color: '#F44336' }
     ];
 
-    const tabWidth = 150;
+    const tabWidth = 122;
     const tabHeight = 40;
-    const tabGap = 10;
+    const tabGap = 8;
     const totalWidth = tabConfigs.length * tabWidth + (tabConfigs.length - 1) * tabGap;
     const startX = (GAME_CONFIG.WIDTH - totalWidth) / 2;
     const tabY = 150;
@@ -870,14 +1150,14 @@ class SettingsScene extends Phaser.Scene {
       
       // Create tab button
       const tab = this.add.text(x, tabY, config.text, {
-        fontSize: '16px',
+        fontSize: '14px',
         fill: '#ffffff',
         fontFamily: 'Arial',
         fontStyle: 'bold',
         stroke: '#000000',
         strokeThickness: 2,
         backgroundColor: this.currentTab === config.key ? config.color : '#666666',
-        padding: { x: 15, y: 8 },
+        padding: { x: 10, y: 8 },
         borderRadius: 8
       }).setOrigin(0.5).setInteractive({ useHandCursor: true });
 
@@ -904,19 +1184,19 @@ class SettingsScene extends Phaser.Scene {
 
   /**
    * Creates the Profile tab with user settings
-   * Features: Username management and gender selection
+   * Features: Username management, character picker and course seed
    * Uses modern UI design with clean typography and spacing
    */
-  createProfileTab(currentUsername, playerGender) {
+  createProfileTab(currentUsername) {
     const content = this.add.container(0, 220);
     this.tabContent['profile'] = content;
 
     // Create background panel for profile content
     const contentBg = this.add.rectangle(
       GAME_CONFIG.WIDTH / 2,
-      120,
+      155,
       500,
-      320,
+      390,
       0xffffff,
       0.95
     ).setStrokeStyle(3, 0x2196F3, 0.8);
@@ -970,8 +1250,8 @@ class SettingsScene extends Phaser.Scene {
       borderRadius: 25
     }).setOrigin(0.5).setInteractive({ useHandCursor: true });
 
-    // Player gender section - modern design
-    const genderTitle = this.add.text(GAME_CONFIG.WIDTH / 2, 170, 'GENDER', {
+    // Character section - picker with a live preview of the selected or browsed character
+    const characterTitle = this.add.text(GAME_CONFIG.WIDTH / 2, 165, 'CHARACTER', {
       fontSize: '18px',
       fill: '#2C3E50',
       fontFamily: 'Arial',
@@ -979,58 +1259,171 @@ class SettingsScene extends Phaser.Scene {
       letterSpacing: 2
     }).setOrigin(0.5);
 
-    // Gender selection buttons - modern toggle design
-    const genderButtonWidth = 110;
-    const genderGap = 40;
-    const genderStartX = GAME_CONFIG.WIDTH / 2 - (genderButtonWidth + genderGap) / 2;
+    const characterElements = this.createCharacterPicker(210);
 
-    const maleButton = this.add.text(genderStartX, 210, '👨 MALE', {
-      fontSize: '14px',
+    // Course seed section - players with the same seed race the same course
+    const seedTitle = this.add.text(GAME_CONFIG.WIDTH / 2, 255, 'COURSE SEED', {
+      fontSize: '18px',
+      fill: '#2C3E50',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      letterSpacing: 2
+    }).setOrigin(0.5);
+
+    const seedBg = this.add.rectangle(
+      GAME_CONFIG.WIDTH / 2,
+      295,
+      300,
+      44,
+      0xF8F9FA,
+      1
+    ).setStrokeStyle(2, 0xE9ECEF, 1).setOrigin(0.5);
+
+    const runSeed = globalManagers.settingsManager.getRunSeed();
+    this.seedText = this.add.text(GAME_CONFIG.WIDTH / 2, 295, runSeed || 'Random every run (tap to set)', {
+      fontSize: '16px',
+      fill: runSeed ? '#495057' : '#ADB5BD',
+      fontFamily: 'Arial',
+      fontStyle: runSeed ? 'bold' : 'normal',
+      align: 'center'
+    }).setOrigin(0.5);
+
+    // Username interactions
+    usernameBg.setInteractive({ useHandCursor: true });
+    usernameBg.on('pointerdown', () => this.startUsernameInput());
+    changeUsernameButton.on('pointerdown', () => this.startUsernameInput());
+
+    // Seed interactions
+    seedBg.setInteractive({ useHandCursor: true });
+    seedBg.on('pointerdown', () => this.startSeedInput());
+
+    // Add all elements to content container
+    content.add([contentBg, profileTitle, usernameTitle, usernameBg, this.usernameText, changeUsernameButton, characterTitle, ...characterElements, seedTitle, seedBg, this.seedText]);
+  }
+
+  /**
+   * Character picker: arrows browse the roster, the preview runs in place and
+   * the action button selects an unlocked character or buys a coin-unlocked one
+   * @param {number} y - Row position inside the profile container
+   * @returns {Array} Game objects to add to the container
+   */
+  createCharacterPicker(y) {
+    const playerManager = globalManagers.playerManager;
+    const scoreManager = globalManagers.scoreManager;
+    const achievementManager = globalManagers.achievementManager;
+    const centerX = GAME_CONFIG.WIDTH / 2;
+    playerManager.createPlayerTextures(this);
+
+    const getUnlockState = () => ({
+      highScore: scoreManager.getHighScore(),
+      achievements: achievementManager.state.unlocked,
+      inventory: scoreManager.getInventory()
+    });
+    const getAchievementName = id => achievementManager.achievements.find(achievement => achievement.id === id).name;
+    const characters = playerManager.characters;
+    let index = characters.indexOf(playerManager.getCharacter());
+    let transactionId = scoreManager.createTransactionId();
+
+    const arrowStyle = {
+      fontSize: '22px',
       fill: '#FFFFFF',
       fontFamily: 'Arial',
       fontStyle: 'bold',
-      backgroundColor: playerGender === 'male' ? '#28A745' : '#6C757D',
-      padding: { x: 20, y: 12 },
-      borderRadius: 20
-    }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+      backgroundColor: '#6C757D',
+      padding: { x: 12, y: 6 }
+    };
+    const previousButton = this.add.text(centerX - 215, y, '◀', arrowStyle).setOrigin(0.5).setInteractive({ useHandCursor: true });
+    const nextButton = this.add.text(centerX + 215, y, '▶', arrowStyle).setOrigin(0.5).setInteractive({ useHandCursor: true });
+
+    const previewBg = this.add.rectangle(centerX - 145, y, 70, 64, 0xF8F9FA, 1).setStrokeStyle(2, 0xE9ECEF, 1);
+    const preview = this.add.image(centerX - 145, y - 4, playerManager.getPlayerTexture(), 'run0');
+    let previewStep = 0;
+    this.time.addEvent({
+      delay: 100,
+      loop: true,
+      callback: () => {
+        previewStep++;
+        preview.setFrame(playerManager.getRunFrame(previewStep, 1));
+      }
+    });
 
-    const femaleButton = this.add.text(genderStartX + genderButtonWidth + genderGap, 210, '👩 FEMALE', {
+    const nameText = this.add.text(centerX - 95, y - 12, '', {
+      fontSize: '18px',
+      fill: '#2C3E50',
+      fontFamily: 'Arial',
+      fontStyle: 'bold'
+    }).setOrigin(0, 0.5);
+    const statusText = this.add.text(centerX - 95, y + 12, '', {
+      fontSize: '13px',
+      fill: '#6C757D',
+      fontFamily: 'Arial'
+    }).setOrigin(0, 0.5);
+
+    const actionButton = this.add.text(centerX + 110, y, '', {
       fontSize: '14px',
       fill: '#FFFFFF',
       fontFamily: 'Arial',
       fontStyle: 'bold',
-      backgroundColor: playerGender === 'female' ? '#DC3545' : '#6C757D',
-      padding: { x: 20, y: 12 },
+      backgroundColor: '#6C757D',
+      padding: { x: 14, y: 10 },
       borderRadius: 20
     }).setOrigin(0.5).setInteractive({ useHandCursor: true });
 
-    // Gender button interactions
-    maleButton.on('pointerdown', () => {
-      globalManagers.settingsManager.setPlayerGender('male');
-      globalManagers.playerManager.setStoredGender('male');
-      maleButton.setStyle({ backgroundColor: '#2196F3' });
-      femaleButton.setStyle({ backgroundColor: '#666' });
-    });
+    const refresh = () => {
+      const character = characters[index];
+      const unlockState = getUnlockState();
+      const unlocked = playerManager.isUnlocked(character, unlockState);
+      const selected = character.id === playerManager.getSelectedId();
+
+      preview.setTexture(playerManager.getPlayerTexture(character.id), playerManager.getRunFrame(previewStep, 1));
+      // Equipped shop skin once unlocked, a silhouette before
+      const skinTint = globalManagers.shopManager.getSkinTint(unlockState.inventory);
+      preview.setTint(unlocked ? (skinTint === null ? 0xffffff : skinTint) : 0x333333);
+      nameText.setText(`${character.icon} ${character.name}  (${index + 1}/${characters.length})`);
+      statusText.setText(unlocked ? (selected ? 'Your runner' : 'Unlocked') : `🔒 ${playerManager.describeUnlock(character, getAchievementName)}`);
+
+      if (selected) {
+        actionButton.setText('✅ SELECTED').setStyle({ backgroundColor: '#28A745' });
+      } else if (unlocked) {
+        actionButton.setText('SELECT').setStyle({ backgroundColor: '#007BFF' });
+      } else if (character.unlock.type === 'coins') {
+        const affordable = scoreManager.getCoinBalance() >= character.unlock.price;
+        actionButton.setText(`🪙 ${character.unlock.price}`).setStyle({ backgroundColor: affordable ? '#FF9800' : '#6C757D' });
+      } else {
+        actionButton.setText('🔒 LOCKED').setStyle({ backgroundColor: '#6C757D' });
+      }
+    };
 
-    femaleButton.on('pointerdown', () => {
-      globalManagers.settingsManager.setPlayerGender('female');
-      globalManagers.playerManager.setStoredGender('female');
-      femaleButton.setStyle({ backgroundColor: '#E91E63' });
-      maleButton.setStyle({ backgroundColor: '#666' });
+    const browse = step => {
+      index = (index + step + characters.length) % characters.length;
+      transactionId = scoreManager.createTransactionId();
+      refresh();
+    };
+    previousButton.on('pointerdown', () => browse(-1));
+    nextButton.on('pointerdown', () => browse(1));
+
+    actionButton.on('pointerdown', () => {
+      const character = characters[index];
+      if (!playerManager.isUnlocked(character, getUnlockState()) && character.unlock.type === 'coins') {
+        const result = scoreManager.purchaseItem(transactionId, playerManager.getInventoryId(character), character.unlock.price);
+        if (!result.success) {
+          statusText.setText(`⚠️ ${result.message}`);
+          return;
+        }
+      }
+      if (playerManager.selectCharacter(character.id, getUnlockState())) {
+        globalManagers.settingsManager.setPlayerCharacter(character.id);
+        refresh();
+      }
     });
 
-    // Username interactions
-    usernameBg.setInteractive({ useHandCursor: true });
-    usernameBg.on('pointerdown', () => this.startUsernameInput());
-    changeUsernameButton.on('pointerdown', () => this.startUsernameInput());
-
-    // Add all elements to content container
-    content.add([contentBg, profileTitle, usernameTitle, usernameBg, this.usernameText, changeUsernameButton, genderTitle, maleButton, femaleButton]);
+    refresh();
+    return [previousButton, nextButton, previewBg, preview, nameText, statusText, actionButton];
   }
 
   /**
    * Creates the Display tab with screen and orientation settings
-   * Features: Fullscreen mode control and mobile device information
+   * Features: Fullscreen mode control, mobile device information, the ghost runner and auto-pause
    * Provides immersive gaming experience options
    */
   createDisplayTab() {
@@ -1040,9 +1433,9 @@ class SettingsScene extends Phaser.Scene {
     // Create background panel for display content
     const contentBg = this.add.rectangle(
       GAME_CONFIG.WIDTH / 2,
-      100,
+      170,
       500,
-      240,
+      380,
       0xffffff,
       0.95
     ).setStrokeStyle(3, 0x9C27B0, 0.8);
@@ -1110,63 +1503,429 @@ class SettingsScene extends Phaser.Scene {
     this.addOrientationListeners(fullscreenButton, null);
     this.initializeButtonStates(fullscreenButton, null);
 
+    // Ghost runner section - toggle plus which run the ghost replays
+    const ghostTitle = this.add.text(GAME_CONFIG.WIDTH / 2, 225, '👻 GHOST RUNNER', {
+      fontSize: '20px',
+      fill: '#333',
+      fontFamily: 'Arial',
+      fontStyle: 'bold'
+    }).setOrigin(0.5);
+
+    const settingsManager = globalManagers.settingsManager;
+    const ghostButtonStyle = {
+      fontSize: '14px',
+      fill: '#ffffff',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      stroke: '#000000',
+      strokeThickness: 2,
+      backgroundColor: '#666',
+      padding: { x: 10, y: 6 },
+      borderRadius: 6
+    };
+
+    const ghostToggle = this.add.text(GAME_CONFIG.WIDTH / 2 - 150, 265, '', ghostButtonStyle)
+      .setOrigin(0.5).setInteractive({ useHandCursor: true });
+    const pbButton = this.add.text(GAME_CONFIG.WIDTH / 2, 265, '🏅 MY BEST', ghostButtonStyle)
+      .setOrigin(0.5).setInteractive({ useHandCursor: true });
+    const topButton = this.add.text(GAME_CONFIG.WIDTH / 2 + 150, 265, '🏆 TOP SCORE', ghostButtonStyle)
+      .setOrigin(0.5).setInteractive({ useHandCursor: true });
+
+    const refreshGhostButtons = () => {
+      const showGhost = settingsManager.getShowGhost();
+      const source = settingsManager.getGhostSource();
+      ghostToggle.setText(showGhost ? '👻 GHOST: ON' : '👻 GHOST: OFF');
+      ghostToggle.setStyle({ backgroundColor: showGhost ? '#9C27B0' : '#666' });
+      pbButton.setStyle({ backgroundColor: showGhost && source === 'pb' ? '#4CAF50' : '#666' });
+      topButton.setStyle({ backgroundColor: showGhost && source === 'top' ? '#4CAF50' : '#666' });
+    };
+    refreshGhostButtons();
+
+    ghostToggle.on('pointerdown', () => {
+      settingsManager.setShowGhost(!settingsManager.getShowGhost());
+      refreshGhostButtons();
+    });
+
+    pbButton.on('pointerdown', () => {
+      settingsManager.setGhostSource('pb');
+      settingsManager.setShowGhost(true);
+      refreshGhostButtons();
+    });
+
+    topButton.on('pointerdown', () => {
+      settingsManager.setGhostSource('top');
+      settingsManager.setShowGhost(true);
+      refreshGhostButtons();
+    });
+
+    // Auto-pause and fixed timestep toggles
+    const autoPauseToggle = this.add.text(GAME_CONFIG.WIDTH / 2 - 110, 305, '', ghostButtonStyle)
+      .setOrigin(0.5).setInteractive({ useHandCursor: true });
+    const autoPauseDesc = this.add.text(GAME_CONFIG.WIDTH / 2, 332, 'Auto-pause: pause when you switch apps, leave the window or rotate the screen', {
+      fontSize: '12px',
+      fill: '#999',
+      fontFamily: 'Arial',
+      align: 'center'
+    }).setOrigin(0.5);
+
+    const refreshAutoPause = () => {
+      const autoPause = settingsManager.getAutoPause();
+      autoPauseToggle.setText(autoPause ? '⏸ AUTO-PAUSE: ON' : '⏸ AUTO-PAUSE: OFF');
+      autoPauseToggle.setStyle({ backgroundColor: autoPause ? '#9C27B0' : '#666' });
+    };
+    refreshAutoPause();
+
+    autoPauseToggle.on('pointerdown', () => {
+      settingsManager.setAutoPause(!settingsManager.getAutoPause());
+      refreshAutoPause();
+    });
+
+    const fixedStepToggle = this.add.text(GAME_CONFIG.WIDTH / 2 + 110, 305, '', ghostButtonStyle)
+      .setOrigin(0.5).setInteractive({ useHandCursor: true });
+    const fixedStepDesc = this.add.text(GAME_CONFIG.WIDTH / 2, 350, 'Fixed steps: the same run at any frame rate - off saves no replays or ghosts', {
+      fontSize: '12px',
+      fill: '#999',
+      fontFamily: 'Arial',
+      align: 'center'
+    }).setOrigin(0.5);
+
+    const refreshFixedStep = () => {
+      const fixedStep = settingsManager.getFixedTimestep();
+      fixedStepToggle.setText(fixedStep ? '⏱ FIXED STEPS: ON' : '⏱ FIXED STEPS: OFF');
+      fixedStepToggle.setStyle({ backgroundColor: fixedStep ? '#9C27B0' : '#666' });
+    };
+    refreshFixedStep();
+
+    fixedStepToggle.on('pointerdown', () => {
+      settingsManager.setFixedTimestep(!settingsManager.getFixedTimestep());
+      refreshFixedStep();
+    });
+
     // Add elements to content container
-    content.add([contentBg, displayTitle, fullscreenTitle, fullscreenButton, fullscreenDesc, mobileInfo]);
+    content.add([contentBg, displayTitle, fullscreenTitle, fullscreenButton, fullscreenDesc, mobileInfo,
+      ghostTitle, ghostToggle, pbButton, topButton, autoPauseToggle, autoPauseDesc, fixedStepToggle, fixedStepDesc]);
   }
 
   /**
-   * Creates the Ads tab with advertisement control settings
-   * Features: Enable/disable ads, view statistics, and ad frequency information
-   * Provides user control over advertising experience
+   * Creates the Audio tab with volume controls
+   * Features: Master, music and SFX volume in 10% steps, mute toggle and a test sound
+   * Changes are saved through SettingsManager and applied to AudioManager straight away
    */
-  createAdsTab(showAds) {
+  createAudioTab() {
     const content = this.add.container(0, 200);
-    this.tabContent['ads'] = content;
+    this.tabContent['audio'] = content;
+    const settingsManager = globalManagers.settingsManager;
+    const audioManager = globalManagers.audioManager;
+    const centerX = GAME_CONFIG.WIDTH / 2;
 
-    // Create background panel for ads content
+    // Create background panel for audio content
     const contentBg = this.add.rectangle(
-      GAME_CONFIG.WIDTH / 2,
-      85,
+      centerX,
+      115,
       500,
-      210,
+      270,
       0xffffff,
       0.95
-    ).setStrokeStyle(3, 0xFF9800, 0.8);
+    ).setStrokeStyle(3, 0x009688, 0.8);
 
-    // Ads title within the box
-    const adsTitle = this.add.text(GAME_CONFIG.WIDTH / 2, 20, '📺 ADS SETTINGS', {
+    // Audio title within the box
+    const audioTitle = this.add.text(centerX, 20, '🔊 AUDIO SETTINGS', {
       fontSize: '20px',
-      fill: '#FF9800',
+      fill: '#009688',
       fontFamily: 'Arial',
       fontStyle: 'bold',
       stroke: '#000000',
       strokeThickness: 2
     }).setOrigin(0.5);
 
-    // Ads description
-    const adsDesc = this.add.text(GAME_CONFIG.WIDTH / 2, 50, 'Control ad display preferences and view statistics', {
-      fontSize: '12px',
-      fill: '#666',
-      fontFamily: 'Arial',
-      align: 'center'
-    }).setOrigin(0.5);
-
-    // Calculate button positions for ads section
-    const adsButtonWidth = 120;
-    const adsGap = 20;
-    const adsTotalWidth = adsButtonWidth * 3 + adsGap * 2;
-    const adsStartX = (GAME_CONFIG.WIDTH - adsTotalWidth) / 2 + adsButtonWidth / 2;
-
-    // Enable ads button
-    const enableAdsButton = this.add.text(adsStartX, 90, '✅ ENABLE ADS', {
-      fontSize: '14px',
+    const stepButtonStyle = {
+      fontSize: '18px',
       fill: '#ffffff',
       fontFamily: 'Arial',
       fontStyle: 'bold',
-      stroke: '#000000',
-      strokeThickness: 2,
-      backgroundColor: showAds ? '#4CAF50' : '#666',
-      padding: { x: 10, y: 6 },
+      backgroundColor: '#009688',
+      padding: { x: 12, y: 2 }
+    };
+    const applyAudio = () => audioManager.applySettings(settingsManager.getAudioSettings());
+    const elements = [contentBg, audioTitle];
+
+    // One row per channel: label, -, volume bar, +, percentage
+    const channels = [
+      { key: 'master', label: '🎚️ Master' },
+      { key: 'music', label: '🎵 Music' },
+      { key: 'sfx', label: '💥 Effects' }
+    ];
+    channels.forEach((channel, index) => {
+      const y = 65 + index * 48;
+      const label = this.add.text(centerX - 220, y, channel.label, {
+        fontSize: '16px',
+        fill: '#333',
+        fontFamily: 'Arial',
+        fontStyle: 'bold'
+      }).setOrigin(0, 0.5);
+      const minusButton = this.add.text(centerX - 60, y, '−', stepButtonStyle).setOrigin(0.5).setInteractive({ useHandCursor: true });
+      const barBg = this.add.rectangle(centerX + 45, y, 160, 14, 0xE0E0E0, 1).setStrokeStyle(1, 0xBDBDBD, 1);
+      const barFill = this.add.rectangle(centerX - 35, y, 160, 14, 0x009688, 1).setOrigin(0, 0.5);
+      const plusButton = this.add.text(centerX + 150, y, '+', stepButtonStyle).setOrigin(0.5).setInteractive({ useHandCursor: true });
+      const percentText = this.add.text(centerX + 180, y, '', {
+        fontSize: '14px',
+        fill: '#666',
+        fontFamily: 'Arial'
+      }).setOrigin(0, 0.5);
+
+      const refresh = () => {
+        const volume = settingsManager.getVolume(channel.key);
+        barFill.width = 160 * volume;
+        percentText.setText(`${Math.round(volume * 100)}%`);
+      };
+      const step = change => {
+        settingsManager.setVolume(channel.key, settingsManager.getVolume(channel.key) + change);
+        applyAudio();
+        refresh();
+      };
+      minusButton.on('pointerdown', () => step(-0.1));
+      plusButton.on('pointerdown', () => step(0.1));
+      refresh();
+
+      elements.push(label, minusButton, barBg, barFill, plusButton, percentText);
+    });
+
+    const toggleStyle = {
+      fontSize: '16px',
+      fill: '#ffffff',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      stroke: '#000000',
+      strokeThickness: 2,
+      backgroundColor: '#666',
+      padding: { x: 15, y: 8 },
+      borderRadius: 6
+    };
+
+    // Mute toggle - keeps the volumes, silences everything
+    const muteButton = this.add.text(centerX - 90, 215, '', toggleStyle).setOrigin(0.5).setInteractive({ useHandCursor: true });
+    const refreshMute = () => {
+      const muted = settingsManager.getMuted();
+      muteButton.setText(muted ? '🔇 SOUND: OFF' : '🔊 SOUND: ON');
+      muteButton.setStyle({ backgroundColor: muted ? '#666' : '#009688' });
+    };
+    muteButton.on('pointerdown', () => {
+      settingsManager.setMuted(!settingsManager.getMuted());
+      applyAudio();
+      refreshMute();
+    });
+    refreshMute();
+
+    // Test sound at the current volume
+    const testButton = this.add.text(centerX + 90, 215, '🎶 TEST SOUND', { ...toggleStyle, backgroundColor: '#4CAF50' })
+      .setOrigin(0.5).setInteractive({ useHandCursor: true });
+    testButton.on('pointerdown', () => audioManager.playSfx('levelUp'));
+
+    // Add elements to content container
+    content.add([...elements, muteButton, testButton]);
+  }
+
+  /**
+   * Creates the Controls tab with the key bindings
+   * Clicking a key waits for the next key press; a key another action of the same kind
+   * already uses is reported, and pressing it again swaps the two keys
+   */
+  createControlsTab() {
+    const content = this.add.container(0, 200);
+    this.tabContent['controls'] = content;
+    const controlsManager = globalManagers.controlsManager;
+    const centerX = GAME_CONFIG.WIDTH / 2;
+
+    // Create background panel for controls content
+    const contentBg = this.add.rectangle(
+      centerX,
+      170,
+      660,
+      360,
+      0xffffff,
+      0.95
+    ).setStrokeStyle(3, 0x3F51B5, 0.8);
+
+    // Controls title within the box
+    const controlsTitle = this.add.text(centerX, 15, '🎮 CONTROLS', {
+      fontSize: '20px',
+      fill: '#3F51B5',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      stroke: '#000000',
+      strokeThickness: 2
+    }).setOrigin(0.5);
+
+    const statusText = this.add.text(centerX, 292, 'Click a key to change it', {
+      fontSize: '13px',
+      fill: '#666',
+      fontFamily: 'Arial',
+      align: 'center'
+    }).setOrigin(0.5);
+
+    const elements = [contentBg, controlsTitle, statusText];
+    const keyButtons = {};
+    let capture = null;          // { actionId, swapCode } while waiting for a key
+
+    const refresh = () => {
+      Object.keys(keyButtons).forEach(actionId => {
+        const waiting = capture && capture.actionId === actionId;
+        keyButtons[actionId].setText(waiting ? '...' : controlsManager.describeKey(actionId));
+        keyButtons[actionId].setStyle({ backgroundColor: waiting ? '#FF9800' : '#3F51B5' });
+      });
+    };
+    const label = actionId => controlsManager.getActionDefinition(actionId).label;
+
+    this.cancelControlsCapture = () => {
+      if (!capture) return;
+      capture = null;
+      controlsManager.cancelCapture();
+      statusText.setText('Click a key to change it');
+      refresh();
+    };
+
+    const onKey = code => {
+      const result = controlsManager.bind(capture.actionId, code, code === capture.swapCode);
+      if (!result.success && result.conflict) {
+        capture.swapCode = code;
+        controlsManager.captureNextKey(onKey);
+        statusText.setText(`⚠️ ${controlsManager.formatKey(code)} is already used for ${label(result.conflict)}\n` +
+          'Press it again to swap the keys, or press another key');
+        return;
+      }
+
+      const actionId = capture.actionId;
+      capture = null;
+      statusText.setText(result.conflict
+        ? `✅ Swapped: ${label(actionId)} is ${controlsManager.describeKey(actionId)}, ${label(result.conflict)} is ${controlsManager.describeKey(result.conflict)}`
+        : `✅ ${label(actionId)} is now ${controlsManager.describeKey(actionId)}`);
+      refresh();
+    };
+
+    const startCapture = actionId => {
+      // Clicking the waiting key again cancels
+      if (capture && capture.actionId === actionId) {
+        this.cancelControlsCapture();
+        return;
+      }
+      capture = { actionId: actionId, swapCode: null };
+      controlsManager.captureNextKey(onKey);
+      statusText.setText(`Press a key for ${label(actionId)} (click it again to cancel)`);
+      refresh();
+    };
+
+    // Gameplay keys on the left, menu navigation keys on the right
+    const columns = [
+      { group: 'game', title: '🏃 IN GAME', x: centerX - 165 },
+      { group: 'menu', title: '🧭 MENUS', x: centerX + 165 }
+    ];
+    columns.forEach(column => {
+      elements.push(this.add.text(column.x, 50, column.title, {
+        fontSize: '16px',
+        fill: '#333',
+        fontFamily: 'Arial',
+        fontStyle: 'bold'
+      }).setOrigin(0.5));
+
+      controlsManager.getActions(column.group).forEach((action, index) => {
+        const y = 85 + index * 34;
+        const actionLabel = this.add.text(column.x - 150, y, action.label, {
+          fontSize: '14px',
+          fill: '#333',
+          fontFamily: 'Arial'
+        }).setOrigin(0, 0.5);
+        const keyButton = this.add.text(column.x + 105, y, '', {
+          fontSize: '14px',
+          fill: '#ffffff',
+          fontFamily: 'Arial',
+          fontStyle: 'bold',
+          backgroundColor: '#3F51B5',
+          padding: { x: 8, y: 5 },
+          fixedWidth: 90,
+          align: 'center'
+        }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+        keyButton.on('pointerdown', () => startCapture(action.id));
+
+        keyButtons[action.id] = keyButton;
+        elements.push(actionLabel, keyButton);
+      });
+    });
+
+    const resetButton = this.add.text(centerX, 322, '↩️ RESET TO DEFAULTS', {
+      fontSize: '14px',
+      fill: '#ffffff',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      stroke: '#000000',
+      strokeThickness: 2,
+      backgroundColor: '#F44336',
+      padding: { x: 12, y: 6 },
+      borderRadius: 6
+    }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+    resetButton.on('pointerdown', () => {
+      this.cancelControlsCapture();
+      controlsManager.resetBindings();
+      statusText.setText('✅ Controls reset to defaults');
+      refresh();
+    });
+
+    refresh();
+    content.add([...elements, resetButton]);
+  }
+
+  /**
+   * Creates the Ads tab with advertisement control settings
+   * Features: Enable/disable ads, view statistics, and ad frequency information
+   * Provides user control over advertising experience
+   */
+  createAdsTab(showAds) {
+    const content = this.add.container(0, 200);
+    this.tabContent['ads'] = content;
+
+    // Create background panel for ads content
+    const contentBg = this.add.rectangle(
+      GAME_CONFIG.WIDTH / 2,
+      85,
+      500,
+      210,
+      0xffffff,
+      0.95
+    ).setStrokeStyle(3, 0xFF9800, 0.8);
+
+    // Ads title within the box
+    const adsTitle = this.add.text(GAME_CONFIG.WIDTH / 2, 20, '📺 ADS SETTINGS', {
+      fontSize: '20px',
+      fill: '#FF9800',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      stroke: '#000000',
+      strokeThickness: 2
+    }).setOrigin(0.5);
+
+    // Ads description
+    const adsDesc = this.add.text(GAME_CONFIG.WIDTH / 2, 50, 'Control ad display preferences and view statistics', {
+      fontSize: '12px',
+      fill: '#666',
+      fontFamily: 'Arial',
+      align: 'center'
+    }).setOrigin(0.5);
+
+    // Calculate button positions for ads section
+    const adsButtonWidth = 120;
+    const adsGap = 20;
+    const adsTotalWidth = adsButtonWidth * 3 + adsGap * 2;
+    const adsStartX = (GAME_CONFIG.WIDTH - adsTotalWidth) / 2 + adsButtonWidth / 2;
+
+    // Enable ads button
+    const enableAdsButton = this.add.text(adsStartX, 90, '✅ ENABLE ADS', {
+      fontSize: '14px',
+      fill: '#ffffff',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      stroke: '#000000',
+      strokeThickness: 2,
+      backgroundColor: showAds ? '#4CAF50' : '#666',
+      padding: { x: 10, y: 6 },
       borderRadius: 6
     }).setOrigin(0.5).setInteractive({ useHandCursor: true });
 
@@ -1304,9 +2063,12 @@ class SettingsScene extends Phaser.Scene {
   /**
    * Switches between different settings tabs
    * Updates tab button appearances and shows/hides content
-   * @param {string} tabKey - The tab to switch to ('profile', 'display', 'ads', 'data')
+   * @param {string} tabKey - The tab to switch to ('profile', 'display', 'audio', 'controls', 'ads', 'data')
    */
   showTab(tabKey) {
+    // Stop waiting for a key when leaving the Controls tab
+    if (this.cancelControlsCapture) this.cancelControlsCapture();
+
     // Update current tab
     this.currentTab = tabKey;
 
@@ -1314,6 +2076,8 @@ class SettingsScene extends Phaser.Scene {
     const tabConfigs = [
       { key: 'profile', color: '#2196F3' },
       { key: 'display', color: '#9C27B0' },
+      { key: 'audio', color: '#009688' },
+      { key: 'controls', color: '#3F51B5' },
       { key: 'ads', color: '#FF9800' },
       { key: 'data', color: '#F44336' }
     ];
@@ -1378,12 +2142,25 @@ class SettingsScene extends Phaser.Scene {
     }
   }
 
+  startUsernameInput() {
+    this.startTextInput('Enter your username:', globalManagers.settingsManager.getUsername(), 20,
+      (value, elements) => this.saveUsername(value, elements));
+  }
+
+  startSeedInput() {
+    this.startTextInput('Enter a seed (empty = random):', globalManagers.settingsManager.getRunSeed(), 16,
+      (value, elements) => this.saveRunSeed(value, elements));
+  }
+
   /**
-   * Creates an interactive username input overlay
+   * Creates an interactive text input overlay
    * Features: Modal dialog with input field, real-time text input, and validation
-   * Provides smooth user experience for username changes
+   * @param {string} label - Prompt shown above the input box
+   * @param {string} initialValue - Text the input starts with
+   * @param {number} maxLength - Maximum number of characters
+   * @param {Function} onSave - Called with (value, elements) when the player saves
    */
-  startUsernameInput() {
+  startTextInput(label, initialValue, maxLength, onSave) {
     // Create input field overlay with better visibility
     const inputBg = this.add.rectangle(
       GAME_CONFIG.WIDTH / 2,
@@ -1412,7 +2189,7 @@ class SettingsScene extends Phaser.Scene {
     const inputLabel = this.add.text(
       GAME_CONFIG.WIDTH / 2,
       GAME_CONFIG.HEIGHT / 2 - 70,
-      'Enter your username:',
+      label,
       {
         fontSize: '24px',
         fill: '#ffffff',
@@ -1495,7 +2272,7 @@ class SettingsScene extends Phaser.Scene {
     ).setOrigin(0.5).setInteractive({ useHandCursor: true }).setDepth(21);
 
     // Handle keyboard input
-    let currentInput = localStorage.getItem('username') || '';
+    let currentInput = initialValue || '';
     inputText.setText(currentInput);
     
     // Position cursor at the end of existing text
@@ -1517,7 +2294,7 @@ class SettingsScene extends Phaser.Scene {
     hiddenInput.style.opacity = '0';
     hiddenInput.style.pointerEvents = 'none';
     hiddenInput.value = currentInput;
-    hiddenInput.maxLength = 20;
+    hiddenInput.maxLength = maxLength;
     document.body.appendChild(hiddenInput);
     
     // Focus hidden input to trigger mobile keyboard (only on mobile)
@@ -1537,33 +2314,34 @@ class SettingsScene extends Phaser.Scene {
     
     // Handle keyboard input for desktop (only if not on mobile)
     if (!this.isMobileDevice()) {
-      this.input.keyboard.on('keydown', (event) => {
+      this.textInputKeyHandler = (event) => {
         if (event.key === 'Enter') {
-          this.saveUsername(currentInput, [inputBg, inputBox, inputLabel, inputText, cursor, saveButton, cancelButton, hiddenInput]);
+          onSave(currentInput, [inputBg, inputBox, inputLabel, inputText, cursor, saveButton, cancelButton, hiddenInput]);
         } else if (event.key === 'Escape') {
-          this.cancelUsernameInput([inputBg, inputBox, inputLabel, inputText, cursor, saveButton, cancelButton, hiddenInput]);
+          this.closeTextInput([inputBg, inputBox, inputLabel, inputText, cursor, saveButton, cancelButton, hiddenInput]);
         } else if (event.key === 'Backspace') {
           currentInput = currentInput.slice(0, -1);
           inputText.setText(currentInput);
           hiddenInput.value = currentInput;
           updateCursorPosition();
-        } else if (event.key.length === 1 && currentInput.length < 20) {
+        } else if (event.key.length === 1 && currentInput.length < maxLength) {
           currentInput += event.key;
           inputText.setText(currentInput);
           hiddenInput.value = currentInput;
           updateCursorPosition();
         }
-      });
+      };
+      this.input.keyboard.on('keydown', this.textInputKeyHandler);
     }
 
     // Save button interaction
     saveButton.on('pointerdown', () => {
-      this.saveUsername(currentInput, [inputBg, inputBox, inputLabel, inputText, cursor, saveButton, cancelButton, hiddenInput]);
+      onSave(currentInput, [inputBg, inputBox, inputLabel, inputText, cursor, saveButton, cancelButton, hiddenInput]);
     });
 
     // Cancel button interaction
     cancelButton.on('pointerdown', () => {
-      this.cancelUsernameInput([inputBg, inputBox, inputLabel, inputText, cursor, saveButton, cancelButton, hiddenInput]);
+      this.closeTextInput([inputBg, inputBox, inputLabel, inputText, cursor, saveButton, cancelButton, hiddenInput]);
     });
 
     // Focus on input
@@ -1584,7 +2362,16 @@ class SettingsScene extends Phaser.Scene {
         this.updateLeaderboardUsernames(oldUsername, newUsername);
       }
     }
-    this.cancelUsernameInput(elements);
+    this.closeTextInput(elements);
+  }
+
+  saveRunSeed(seed, elements) {
+    const runSeed = globalManagers.seedManager.normalizeSeed(seed);
+    globalManagers.settingsManager.setRunSeed(runSeed);
+
+    this.seedText.setText(runSeed || 'Random every run (tap to set)');
+    this.seedText.setStyle({ fill: runSeed ? '#495057' : '#ADB5BD', fontStyle: runSeed ? 'bold' : 'normal' });
+    this.closeTextInput(elements);
   }
 
   updateLeaderboardUsernames(oldUsername, newUsername) {
@@ -1593,7 +2380,7 @@ class SettingsScene extends Phaser.Scene {
     globalManagers.scoreManager.updateLeaderboardUsernames(oldUsername, newUsername);
   }
 
-  cancelUsernameInput(elements) {
+  closeTextInput(elements) {
     elements.forEach(element => {
       if (element && typeof element.destroy === 'function') {
         element.destroy();
@@ -1602,7 +2389,9 @@ class SettingsScene extends Phaser.Scene {
         element.remove();
       }
     });
-    this.input.keyboard.off('keydown');
+    // Only the text input's own listener - menu navigation keeps listening
+    this.input.keyboard.off('keydown', this.textInputKeyHandler);
+    this.textInputKeyHandler = null;
   }
 
   showClearConfirmation(clearButton) {
@@ -1692,6 +2481,7 @@ class SettingsScene extends Phaser.Scene {
     yesButton.on('pointerdown', () => {
       // Clear leaderboard and reset high score using ScoreManager
       globalManagers.scoreManager.clearLeaderboard();
+      globalManagers.scoreManager.clearRunHistory();
       globalManagers.scoreManager.setHighScore(0);
       
       clearButton.setText('✅ CLEARED!');
@@ -2254,6 +3044,7 @@ class SettingsScene extends Phaser.Scene {
 // - Professional table layout with alternating row colors
 // - Animated entrance effects and modern styling
 // - Real-time data from localStorage
+// - History tab with a scrolling list of past runs, a score chart, averages and streaks
 // - Responsive design with proper spacing
 // ============================================================================
 
@@ -2266,16 +3057,30 @@ class StatisticsScene extends Phaser.Scene {
     super('StatisticsScene');
   }
 
+  /**
+   * Reads which tab to show - the scene restarts with { tab } when switching tabs
+   */
+  init(data) {
+    this.tab = (data && data.tab) || 'overview';
+  }
+
   /**
    * Main create method called when the scene starts
    * Initializes all visual elements in the correct order for proper layering
-   * Background → Clouds → Title → Statistics Table → Back Button
+   * Background → Clouds → Title → Statistics Table or History → Tabs → Back Button
    */
   create() {
     this.createBackground();        // Create the sky blue background
     globalManagers.cloudManager.start(this); // Start animated cloud system
+    globalManagers.audioManager.bindClickSounds(this); // Click sound on every button
+    globalManagers.controlsManager.enableMenuNavigation(this, { back: () => this.scene.start('MainMenuScene') });
     this.createTitle();             // Create animated title and subtitle
-    this.createStatistics();        // Create the statistics table
+    if (this.tab === 'history') {
+      this.createHistory();         // Create the run history list and chart
+    } else {
+      this.createStatistics();      // Create the statistics table
+    }
+    this.createTabs();              // Create overview / history switch
     this.createBackButton();        // Create navigation back button
   }
 
@@ -2519,6 +3324,214 @@ class StatisticsScene extends Phaser.Scene {
     });
   }
 
+  /**
+   * Creates the history tab: averages and streaks, a score chart and a scrolling list of runs
+   */
+  createHistory() {
+    const scoreManager = globalManagers.scoreManager;
+    const history = scoreManager.getRunHistory();
+    const stats = scoreManager.getRunHistoryStats(history);
+
+    // Averages and streaks
+    const summaryBg = this.add.rectangle(GAME_CONFIG.WIDTH / 2, 185, 700, 50, 0xffffff, 0.95).setDepth(5);
+    summaryBg.setStrokeStyle(3, 0x000000, 0.5);
+    const summary = [
+      `🎮 Runs: ${stats.runs}   📊 Avg score: ${scoreManager.formatScore(stats.averageScore)}   ` +
+      `🏔️ Avg level: ${stats.averageLevel.toFixed(1)}   ⏱️ Avg time: ${scoreManager.formatDuration(stats.averageDuration)}   ` +
+      `🪙 Avg coins: ${stats.averageCoins.toFixed(1)}`,
+      `🔥 Day streak: ${stats.currentDayStreak} (best ${stats.longestDayStreak})   ` +
+      `📈 Improving streak: ${stats.improvingStreak}   🏆 Best: ${scoreManager.formatScore(stats.bestScore)}`
+    ];
+    this.add.text(GAME_CONFIG.WIDTH / 2, 185, summary.join('\n'), {
+      fontSize: '14px',
+      fill: '#000000',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      align: 'center',
+      lineSpacing: 4
+    }).setOrigin(0.5).setDepth(7);
+
+    this.createHistoryChart(history, 50, 220, 340, 225);
+    this.createHistoryList(history, 410, 220, 340, 225);
+  }
+
+  /**
+   * Draws the scores of the most recent runs, oldest on the left, with their average as a line
+   * @param {Array<Object>} history - Run history, newest first
+   */
+  createHistoryChart(history, left, top, width, height) {
+    const chartRuns = 30;        // Most recent runs plotted
+    const background = this.add.rectangle(left + width / 2, top + height / 2, width, height, 0xffffff, 0.95).setDepth(5);
+    background.setStrokeStyle(3, 0x000000, 0.5);
+
+    this.add.text(left + width / 2, top + 14, `📈 Score - last ${chartRuns} runs`, {
+      fontSize: '14px',
+      fill: '#2196F3',
+      fontFamily: 'Arial',
+      fontStyle: 'bold'
+    }).setOrigin(0.5).setDepth(7);
+
+    const runs = history.slice(0, chartRuns).reverse();
+    if (runs.length === 0) {
+      this.add.text(left + width / 2, top + height / 2, 'No runs yet', {
+        fontSize: '16px',
+        fill: '#666666',
+        fontFamily: 'Arial'
+      }).setOrigin(0.5).setDepth(7);
+      return;
+    }
+
+    // Plot area inside the panel, leaving room for the axis labels
+    const plotLeft = left + 45;
+    const plotRight = left + width - 15;
+    const plotTop = top + 35;
+    const plotBottom = top + height - 20;
+    const maxScore = Math.max(1, ...runs.map(run => run.score));
+    const toY = score => plotBottom - (score / maxScore) * (plotBottom - plotTop);
+
+    // Average of the plotted runs only - the whole history's average can lie above the plot
+    const averageScore = runs.reduce((sum, run) => sum + run.score, 0) / runs.length;
+
+    const graphics = this.add.graphics().setDepth(6);
+    graphics.lineStyle(2, 0x999999, 1);
+    graphics.lineBetween(plotLeft, plotTop, plotLeft, plotBottom);
+    graphics.lineBetween(plotLeft, plotBottom, plotRight, plotBottom);
+
+    // Average score
+    graphics.lineStyle(1, 0xFF9800, 0.8);
+    graphics.lineBetween(plotLeft, toY(averageScore), plotRight, toY(averageScore));
+
+    const points = runs.map((run, index) => ({
+      x: runs.length === 1 ? (plotLeft + plotRight) / 2 : plotLeft + (index / (runs.length - 1)) * (plotRight - plotLeft),
+      y: toY(run.score)
+    }));
+    graphics.lineStyle(3, 0x2196F3, 1);
+    if (points.length > 1) graphics.strokePoints(points);
+    graphics.fillStyle(0x1565C0, 1);
+    points.forEach(point => graphics.fillCircle(point.x, point.y, 3));
+
+    const labelStyle = { fontSize: '12px', fill: '#333333', fontFamily: 'Arial' };
+    this.add.text(plotLeft - 5, plotTop, globalManagers.scoreManager.formatScore(maxScore), labelStyle).setOrigin(1, 0.5).setDepth(7);
+    this.add.text(plotLeft - 5, plotBottom, '0', labelStyle).setOrigin(1, 0.5).setDepth(7);
+    this.add.text(plotRight, plotBottom + 10, 'avg ─', { ...labelStyle, fill: '#FF9800' }).setOrigin(1, 0.5).setDepth(7);
+  }
+
+  /**
+   * Creates a masked list of past runs, scrolled with the mouse wheel or by dragging
+   * @param {Array<Object>} history - Run history, newest first
+   */
+  createHistoryList(history, left, top, width, height) {
+    const scoreManager = globalManagers.scoreManager;
+    const rowHeight = 44;
+
+    const background = this.add.rectangle(left + width / 2, top + height / 2, width, height, 0xffffff, 0.95).setDepth(5);
+    background.setStrokeStyle(3, 0x000000, 0.5);
+
+    if (history.length === 0) {
+      this.add.text(left + width / 2, top + height / 2, 'No runs yet - play a game!', {
+        fontSize: '16px',
+        fill: '#666666',
+        fontFamily: 'Arial'
+      }).setOrigin(0.5).setDepth(7);
+      return;
+    }
+
+    const list = this.add.container(left, top).setDepth(7);
+    history.forEach((run, index) => {
+      const rowY = index * rowHeight;
+      const rowBg = this.add.rectangle(width / 2, rowY + rowHeight / 2, width - 8, rowHeight - 4,
+        index % 2 === 0 ? 0xf5f5f5 : 0xe3f2fd, 1);
+      const mode = run.mode === 'daily' ? '📅 Daily' : '🏃 Normal';
+      const when = new Date(run.timestamp);
+      const mainLine = this.add.text(10, rowY + 5,
+        `#${history.length - index}  ${scoreManager.formatScore(run.score)} pts  Lv ${run.level}  ` +
+        `⏱️ ${scoreManager.formatDuration(run.duration)}  🪙 ${run.coins}`, {
+          fontSize: '14px',
+          fill: '#000000',
+          fontFamily: 'Arial',
+          fontStyle: 'bold'
+        });
+      const detailLine = this.add.text(10, rowY + 24,
+        `${scoreManager.getCauseLabel(run.cause)} · ${mode} · ${when.toLocaleDateString()} ` +
+        `${when.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`, {
+          fontSize: '12px',
+          fill: '#555555',
+          fontFamily: 'Arial'
+        });
+      list.add([rowBg, mainLine, detailLine]);
+    });
+
+    const maskShape = this.make.graphics({ add: false });
+    maskShape.fillRect(left, top, width, height);
+    list.setMask(maskShape.createGeometryMask());
+
+    // Scrollbar thumb shows how much of the list is visible
+    const contentHeight = history.length * rowHeight;
+    const maxScroll = Math.max(0, contentHeight - height);
+    const thumbHeight = Math.max(20, height * Math.min(1, height / contentHeight));
+    const thumb = this.add.rectangle(left + width - 5, top + thumbHeight / 2, 4, thumbHeight, 0x2196F3, 0.8)
+      .setDepth(8).setVisible(maxScroll > 0);
+
+    let scroll = 0;
+    const scrollTo = value => {
+      scroll = Phaser.Math.Clamp(value, 0, maxScroll);
+      list.y = top - scroll;
+      thumb.y = top + thumbHeight / 2 + (maxScroll > 0 ? (scroll / maxScroll) * (height - thumbHeight) : 0);
+    };
+    const isOverList = pointer => pointer.x >= left && pointer.x <= left + width && pointer.y >= top && pointer.y <= top + height;
+
+    this.input.on('wheel', (pointer, gameObjects, deltaX, deltaY) => {
+      if (isOverList(pointer)) scrollTo(scroll + deltaY * 0.5);
+    });
+
+    let dragStart = null;
+    this.input.on('pointerdown', pointer => {
+      dragStart = isOverList(pointer) ? { y: pointer.y, scroll: scroll } : null;
+    });
+    this.input.on('pointermove', pointer => {
+      if (dragStart && pointer.isDown) scrollTo(dragStart.scroll - (pointer.y - dragStart.y));
+    });
+    this.input.on('pointerup', () => {
+      dragStart = null;
+    });
+  }
+
+  createTabs() {
+    const tabConfigs = [
+      { key: 'overview', text: '📊 OVERVIEW', color: '#2196F3' },
+      { key: 'history', text: '📜 HISTORY', color: '#FF9800' }
+    ];
+    const tabGap = 160;
+    const startX = GAME_CONFIG.WIDTH / 2 - tabGap / 2;
+
+    tabConfigs.forEach((config, index) => {
+      const isCurrent = this.tab === config.key;
+      const tab = this.add.text(startX + index * tabGap, 468, config.text, {
+        fontSize: '16px',
+        fill: '#ffffff',
+        fontFamily: 'Arial',
+        fontStyle: 'bold',
+        stroke: '#000000',
+        strokeThickness: 2,
+        backgroundColor: isCurrent ? config.color : '#666666',
+        padding: { x: 15, y: 8 },
+        borderRadius: 8
+      }).setOrigin(0.5).setInteractive({ useHandCursor: true }).setDepth(10);
+
+      tab.on('pointerover', () => {
+        if (!isCurrent) tab.setStyle({ backgroundColor: config.color });
+      });
+
+      tab.on('pointerout', () => {
+        if (!isCurrent) tab.setStyle({ backgroundColor: '#666666' });
+      });
+
+      tab.on('pointerdown', () => {
+        if (!isCurrent) this.scene.restart({ tab: config.key });
+      });
+    });
+  }
+
   createBackButton() {
     const buttonStyle = {
       fontSize: '28px',
@@ -2545,7 +3558,7 @@ class StatisticsScene extends Phaser.Scene {
       fill: '#ffff00'
     };
     
-    const backButton = this.add.text(GAME_CONFIG.WIDTH / 2, 520, '← BACK TO SETTINGS', buttonStyle)
+    const backButton = this.add.text(GAME_CONFIG.WIDTH / 2, 530, '← BACK TO SETTINGS', buttonStyle)
       .setOrigin(0.5)
       .setInteractive({ useHandCursor: true })
       .setDepth(10);
@@ -2610,49 +3623,448 @@ class StatisticsScene extends Phaser.Scene {
 }
 
 // ============================================================================
-// LEADERBOARD SCENE
+// ACHIEVEMENTS SCENE
 // ============================================================================
-// High score leaderboard with pagination and ranking system
+// Gallery of all achievements
 // Features:
-// - Top 10 high scores with persistent storage
-// - Medal icons for top 3 positions (🥇🥈🥉)
-// - Pagination system (6 entries per page)
-// - Centered table layout with proper column alignment
-// - Player name, score, and level information
-// - Navigation controls with visual feedback
-// - Responsive design with proper spacing
-// - Animated entrance effects
+// - Card per achievement with icon, name, description and tier color
+// - Unlock date for unlocked achievements, progress bar for locked ones
+// - Unlocked count summary
 // ============================================================================
 
-class LeaderboardScene extends Phaser.Scene {
-  /**
-   * Constructor for the leaderboard scene
-   * Sets up the scene name for navigation between scenes
-   */
+class AchievementsScene extends Phaser.Scene {
   constructor() {
-    super('LeaderboardScene');
+    super('AchievementsScene');
   }
 
-  /**
-   * Main create method called when the scene starts
-   * Initializes all visual elements in the correct order for proper layering
-   * Background → Clouds → Title → Leaderboard Table → Pagination → Back Button
-   */
   create() {
     this.createBackground();        // Create the sky blue background
     globalManagers.cloudManager.start(this); // Start animated cloud system
-    this.createTitle();             // Create animated title and subtitle
-    this.createLeaderboardEntries(); // Create the leaderboard table
+    globalManagers.audioManager.bindClickSounds(this); // Click sound on every button
+    globalManagers.controlsManager.enableMenuNavigation(this, { back: () => this.scene.start('MainMenuScene') });
+    this.createTitle();             // Create title and unlocked count
+    this.createGallery();           // Create the achievement cards
     this.createBackButton();        // Create navigation back button
   }
 
   createBackground() {
     this.add.rectangle(
-      GAME_CONFIG.WIDTH / 2, 
-      GAME_CONFIG.HEIGHT / 2, 
-      GAME_CONFIG.WIDTH, 
-      GAME_CONFIG.HEIGHT, 
-      0x87ceeb
+      GAME_CONFIG.WIDTH / 2,
+      GAME_CONFIG.HEIGHT / 2,
+      GAME_CONFIG.WIDTH,
+      GAME_CONFIG.HEIGHT,
+      0x87ceeb
+    );
+  }
+
+  createTitle() {
+    const achievementManager = globalManagers.achievementManager;
+
+    this.add.text(GAME_CONFIG.WIDTH / 2, 50, '🏅 ACHIEVEMENTS', {
+      fontSize: '40px',
+      fill: '#ffffff',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      stroke: '#000000',
+      strokeThickness: 4
+    }).setOrigin(0.5);
+
+    this.add.text(GAME_CONFIG.WIDTH / 2, 95,
+      `${achievementManager.getUnlockedCount()} / ${achievementManager.achievements.length} unlocked`, {
+        fontSize: '18px',
+        fill: '#ffd700',
+        fontFamily: 'Arial',
+        fontStyle: 'bold',
+        stroke: '#000000',
+        strokeThickness: 2
+      }).setOrigin(0.5);
+  }
+
+  /**
+   * Lays out one card per achievement in a grid
+   */
+  createGallery() {
+    const achievementManager = globalManagers.achievementManager;
+    const columns = 4;
+    const cardWidth = 180;
+    const cardHeight = 84;
+    const gap = 10;
+    const startX = (GAME_CONFIG.WIDTH - (columns * cardWidth + (columns - 1) * gap)) / 2;
+    const startY = 125;
+
+    achievementManager.getAchievements().forEach((achievement, index) => {
+      const left = startX + (index % columns) * (cardWidth + gap);
+      const top = startY + Math.floor(index / columns) * (cardHeight + gap);
+      const tier = achievementManager.getTier(achievement.tier);
+      const unlocked = Boolean(achievement.unlockedAt);
+
+      const card = this.add.rectangle(left + cardWidth / 2, top + cardHeight / 2, cardWidth, cardHeight,
+        unlocked ? 0xffffff : 0xdddddd, unlocked ? 0.95 : 0.8);
+      card.setStrokeStyle(3, Phaser.Display.Color.HexStringToColor(tier.color).color, unlocked ? 1 : 0.4);
+
+      this.add.text(left + 22, top + 26, achievement.icon, { fontSize: '26px' })
+        .setOrigin(0.5).setAlpha(unlocked ? 1 : 0.35);
+      this.add.text(left + 42, top + 8, achievement.name, {
+        fontSize: '14px',
+        fill: unlocked ? '#000000' : '#666666',
+        fontFamily: 'Arial',
+        fontStyle: 'bold'
+      });
+      this.add.text(left + 42, top + 26, achievement.description, {
+        fontSize: '11px',
+        fill: '#444444',
+        fontFamily: 'Arial',
+        wordWrap: { width: cardWidth - 50 }
+      });
+
+      // Unlock date, or progress towards the goal
+      if (unlocked) {
+        this.add.text(left + 8, top + cardHeight - 16, `✅ ${new Date(achievement.unlockedAt).toLocaleDateString()}`, {
+          fontSize: '11px',
+          fill: tier.color,
+          fontFamily: 'Arial',
+          fontStyle: 'bold'
+        });
+      } else if (achievement.lowerIsBetter) {
+        const best = achievement.value === undefined ? '-' : `#${achievement.value}`;
+        this.add.text(left + 8, top + cardHeight - 16, `Best: ${best}`, {
+          fontSize: '11px',
+          fill: '#666666',
+          fontFamily: 'Arial'
+        });
+      } else {
+        const barWidth = cardWidth - 60;
+        this.add.rectangle(left + 8, top + cardHeight - 10, barWidth, 6, 0xbbbbbb).setOrigin(0, 0.5);
+        this.add.rectangle(left + 8, top + cardHeight - 10, barWidth * achievement.progress, 6,
+          Phaser.Display.Color.HexStringToColor(tier.color).color).setOrigin(0, 0.5);
+        this.add.text(left + cardWidth - 8, top + cardHeight - 10,
+          `${Math.min(achievement.value || 0, achievement.goal)}/${achievement.goal}`, {
+            fontSize: '11px',
+            fill: '#666666',
+            fontFamily: 'Arial'
+          }).setOrigin(1, 0.5);
+      }
+    });
+  }
+
+  createBackButton() {
+    const buttonStyle = {
+      fontSize: '24px',
+      fill: '#ffffff',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      stroke: '#000000',
+      strokeThickness: 2,
+      backgroundColor: '#4CAF50',
+      padding: { x: 30, y: 12 },
+      borderRadius: 10
+    };
+
+    const backButton = this.add.text(GAME_CONFIG.WIDTH / 2, 555, '← BACK TO MENU', buttonStyle)
+      .setOrigin(0.5)
+      .setInteractive({ useHandCursor: true })
+      .setDepth(10);
+
+    backButton.on('pointerover', () => backButton.setStyle({ backgroundColor: '#45a049', fill: '#ffff00' }));
+    backButton.on('pointerout', () => backButton.setStyle({ backgroundColor: '#4CAF50', fill: '#ffffff' }));
+    backButton.on('pointerdown', () => this.scene.start('MainMenuScene'));
+  }
+}
+
+// ============================================================================
+// SHOP SCENE
+// ============================================================================
+// Coin shop
+// Features:
+// - Category tabs for skins, starting power-ups and permanent upgrades
+// - Row per item with price, owned amount or upgrade level
+// - Buying and equipping skins
+// - Purchases go through the ScoreManager wallet ledger
+// ============================================================================
+
+class ShopScene extends Phaser.Scene {
+  constructor() {
+    super('ShopScene');
+  }
+
+  init(data) {
+    this.category = (data && data.category) || 'skins';
+    this.message = (data && data.message) || '';
+  }
+
+  create() {
+    this.createBackground();        // Create the sky blue background
+    globalManagers.cloudManager.start(this); // Start animated cloud system
+    globalManagers.audioManager.bindClickSounds(this); // Click sound on every button
+    globalManagers.controlsManager.enableMenuNavigation(this, { back: () => this.scene.start('MainMenuScene') });
+    this.createTitle();             // Create title and coin balance
+    this.createTabs();              // Create category tabs
+    this.createItems();             // Create the item rows
+    this.createBackButton();        // Create navigation back button
+  }
+
+  createBackground() {
+    this.add.rectangle(
+      GAME_CONFIG.WIDTH / 2,
+      GAME_CONFIG.HEIGHT / 2,
+      GAME_CONFIG.WIDTH,
+      GAME_CONFIG.HEIGHT,
+      0x87ceeb
+    );
+  }
+
+  createTitle() {
+    this.add.text(GAME_CONFIG.WIDTH / 2, 45, '🛒 SHOP', {
+      fontSize: '40px',
+      fill: '#ffffff',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      stroke: '#000000',
+      strokeThickness: 4
+    }).setOrigin(0.5);
+
+    this.add.text(GAME_CONFIG.WIDTH / 2, 85, `🪙 ${globalManagers.scoreManager.getCoinBalance()} coins`, {
+      fontSize: '20px',
+      fill: '#ffd700',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      stroke: '#000000',
+      strokeThickness: 3
+    }).setOrigin(0.5);
+
+    // Result of the last purchase
+    if (this.message) {
+      this.add.text(GAME_CONFIG.WIDTH / 2, 110, this.message, {
+        fontSize: '14px',
+        fill: '#000000',
+        fontFamily: 'Arial',
+        fontStyle: 'bold',
+        stroke: '#ffffff',
+        strokeThickness: 2
+      }).setOrigin(0.5);
+    }
+  }
+
+  createTabs() {
+    const shopManager = globalManagers.shopManager;
+    const categories = Object.keys(shopManager.categories);
+    const tabGap = 170;
+    const startX = GAME_CONFIG.WIDTH / 2 - tabGap * (categories.length - 1) / 2;
+
+    categories.forEach((category, index) => {
+      const config = shopManager.getCategory(category);
+      const isCurrent = this.category === category;
+      const tab = this.add.text(startX + index * tabGap, 140, config.label, {
+        fontSize: '16px',
+        fill: '#ffffff',
+        fontFamily: 'Arial',
+        fontStyle: 'bold',
+        stroke: '#000000',
+        strokeThickness: 2,
+        backgroundColor: isCurrent ? config.color : '#666666',
+        padding: { x: 15, y: 8 }
+      }).setOrigin(0.5).setInteractive({ useHandCursor: true }).setDepth(10);
+
+      tab.on('pointerover', () => {
+        if (!isCurrent) tab.setStyle({ backgroundColor: config.color });
+      });
+
+      tab.on('pointerout', () => {
+        if (!isCurrent) tab.setStyle({ backgroundColor: '#666666' });
+      });
+
+      tab.on('pointerdown', () => {
+        if (!isCurrent) this.scene.restart({ category: category });
+      });
+    });
+  }
+
+  /**
+   * Lays out one row per item in the current category
+   */
+  createItems() {
+    const shopManager = globalManagers.shopManager;
+    const scoreManager = globalManagers.scoreManager;
+    const inventory = scoreManager.getInventory();
+    const balance = scoreManager.getCoinBalance();
+    const equippedSkin = shopManager.getEquippedSkin();
+    const categoryColor = Phaser.Display.Color.HexStringToColor(shopManager.getCategory(this.category).color).color;
+    const rowWidth = 640;
+    const rowHeight = 60;
+    const left = (GAME_CONFIG.WIDTH - rowWidth) / 2;
+
+    shopManager.getItems(this.category).forEach((item, index) => {
+      const top = 170 + index * (rowHeight + 8);
+      const owned = inventory[item.id] || 0;
+
+      const row = this.add.rectangle(left + rowWidth / 2, top + rowHeight / 2, rowWidth, rowHeight, 0xffffff, 0.9);
+      row.setStrokeStyle(3, categoryColor, 0.8);
+
+      this.add.text(left + 30, top + rowHeight / 2, item.icon, { fontSize: '28px' }).setOrigin(0.5);
+      this.add.text(left + 60, top + 10, item.name, {
+        fontSize: '18px',
+        fill: '#000000',
+        fontFamily: 'Arial',
+        fontStyle: 'bold'
+      });
+      this.add.text(left + 60, top + 34, item.description, {
+        fontSize: '13px',
+        fill: '#444444',
+        fontFamily: 'Arial'
+      });
+
+      // Amount owned - upgrade level or starting power-ups held
+      let status = '';
+      if (item.category === 'upgrades') status = `Level ${owned}/${shopManager.getMaxOwned(item)}`;
+      else if (item.category === 'powerUps') status = `Held: ${owned}/${shopManager.getMaxOwned(item)}`;
+      this.add.text(left + rowWidth - 150, top + rowHeight / 2, status, {
+        fontSize: '14px',
+        fill: '#666666',
+        fontFamily: 'Arial',
+        fontStyle: 'bold'
+      }).setOrigin(1, 0.5);
+
+      this.createItemButton(item, inventory, balance, equippedSkin, left + rowWidth - 70, top + rowHeight / 2);
+    });
+  }
+
+  /**
+   * Buy, equip or status button at the end of an item row
+   */
+  createItemButton(item, inventory, balance, equippedSkin, x, y) {
+    const shopManager = globalManagers.shopManager;
+    const scoreManager = globalManagers.scoreManager;
+    const isSkin = item.category === 'skins';
+    const price = shopManager.getPrice(item, inventory[item.id] || 0);
+
+    let text;
+    let color;
+    let callback = null;
+    if (isSkin && item.id === equippedSkin) {
+      text = '✅ EQUIPPED';
+      color = '#4CAF50';
+    } else if (isSkin && shopManager.isSkinOwned(item.id, inventory)) {
+      text = 'EQUIP';
+      color = '#2196F3';
+      callback = () => {
+        shopManager.equipSkin(item.id);
+        this.scene.restart({ category: this.category, message: `${item.icon} ${item.name} equipped` });
+      };
+    } else if (price === null) {
+      text = 'MAX';
+      color = '#9E9E9E';
+    } else {
+      // One transaction id per row, so a repeated tap before the scene redraws isn't charged twice
+      const transactionId = scoreManager.createTransactionId();
+      text = `🪙 ${price}`;
+      color = balance >= price ? '#FF9800' : '#9E9E9E';
+      callback = () => {
+        const result = scoreManager.purchaseItem(transactionId, item.id, price);
+        if (result.success && isSkin) shopManager.equipSkin(item.id);
+        const message = result.success ? `${item.icon} ${item.name}: ${result.message}` : result.message;
+        this.scene.restart({ category: this.category, message: message });
+      };
+    }
+
+    const button = this.add.text(x, y, text, {
+      fontSize: '16px',
+      fill: '#ffffff',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      stroke: '#000000',
+      strokeThickness: 2,
+      backgroundColor: color,
+      padding: { x: 12, y: 8 },
+      fixedWidth: 120,
+      align: 'center'
+    }).setOrigin(0.5).setDepth(10);
+    if (!callback) return;
+
+    button.setInteractive({ useHandCursor: true });
+    button.on('pointerover', () => button.setStyle({ fill: '#ffff00' }));
+    button.on('pointerout', () => button.setStyle({ fill: '#ffffff' }));
+    button.on('pointerdown', callback);
+  }
+
+  createBackButton() {
+    const buttonStyle = {
+      fontSize: '24px',
+      fill: '#ffffff',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      stroke: '#000000',
+      strokeThickness: 2,
+      backgroundColor: '#4CAF50',
+      padding: { x: 30, y: 12 },
+      borderRadius: 10
+    };
+
+    const backButton = this.add.text(GAME_CONFIG.WIDTH / 2, 555, '← BACK TO MENU', buttonStyle)
+      .setOrigin(0.5)
+      .setInteractive({ useHandCursor: true })
+      .setDepth(10);
+
+    backButton.on('pointerover', () => backButton.setStyle({ backgroundColor: '#45a049', fill: '#ffff00' }));
+    backButton.on('pointerout', () => backButton.setStyle({ backgroundColor: '#4CAF50', fill: '#ffffff' }));
+    backButton.on('pointerdown', () => this.scene.start('MainMenuScene'));
+  }
+}
+
+// ============================================================================
+// LEADERBOARD SCENE
+// ============================================================================
+// High score leaderboard with pagination and ranking system
+// Features:
+// - Top 10 high scores with persistent storage
+// - Medal icons for top 3 positions (🥇🥈🥉)
+// - Pagination system (6 entries per page)
+// - Centered table layout with proper column alignment
+// - Player name, score, and level information
+// - Navigation controls with visual feedback
+// - Responsive design with proper spacing
+// - Animated entrance effects
+// ============================================================================
+
+class LeaderboardScene extends Phaser.Scene {
+  /**
+   * Constructor for the leaderboard scene
+   * Sets up the scene name for navigation between scenes
+   */
+  constructor() {
+    super('LeaderboardScene');
+  }
+
+  /**
+   * Receives the board to show - 'allTime' (default) or 'today' for the daily challenge
+   */
+  init(data) {
+    this.board = (data && data.board) || 'allTime';
+  }
+
+  /**
+   * Main create method called when the scene starts
+   * Initializes all visual elements in the correct order for proper layering
+   * Background → Clouds → Title → Leaderboard Table → Pagination → Board Tabs → Import → Back Button
+   */
+  create() {
+    this.createBackground();        // Create the sky blue background
+    globalManagers.cloudManager.start(this); // Start animated cloud system
+    globalManagers.audioManager.bindClickSounds(this); // Click sound on every button
+    globalManagers.controlsManager.enableMenuNavigation(this, { back: () => this.scene.start('MainMenuScene') });
+    this.createTitle();             // Create animated title and subtitle
+    this.createLeaderboardEntries(); // Create the leaderboard table
+    this.createBoardTabs();         // Create all-time / today switch
+    this.createImportButton();      // Create replay file import button
+    this.createBackButton();        // Create navigation back button
+  }
+
+  createBackground() {
+    this.add.rectangle(
+      GAME_CONFIG.WIDTH / 2, 
+      GAME_CONFIG.HEIGHT / 2, 
+      GAME_CONFIG.WIDTH, 
+      GAME_CONFIG.HEIGHT, 
+      0x87ceeb
     );
   }
 
@@ -2675,7 +4087,8 @@ class LeaderboardScene extends Phaser.Scene {
     }).setOrigin(0.5);
 
     // Subtitle with modern styling - moved down with more spacing
-    const subtitleText = this.add.text(GAME_CONFIG.WIDTH / 2, 140, '🏅 Top 10 High Scores 🏅', {
+    const subtitle = this.board === 'today' ? '📅 Today\'s Daily Challenge 📅' : '🏅 Top 10 High Scores 🏅';
+    const subtitleText = this.add.text(GAME_CONFIG.WIDTH / 2, 140, subtitle, {
       fontSize: '18px',
       fill: '#ffd700',
       fontFamily: 'Arial',
@@ -2722,7 +4135,7 @@ class LeaderboardScene extends Phaser.Scene {
     this.leaderboard = this.getLeaderboard();
     
     // Use ScoreManager's pagination data
-    const pageData = globalManagers.scoreManager.getLeaderboardPage(0, this.itemsPerPage);
+    const pageData = this.getBoardPage(0);
     this.totalPages = pageData.totalPages;
 
     // Create header
@@ -2730,7 +4143,10 @@ class LeaderboardScene extends Phaser.Scene {
     
     // Show message if no scores
     if (this.leaderboard.length === 0) {
-      this.add.text(GAME_CONFIG.WIDTH / 2, 280, 'No scores yet!\nPlay the game to set a record!', {
+      const emptyMessage = this.board === 'today'
+        ? 'No daily score yet!\nPlay today\'s Daily Challenge from the menu!'
+        : 'No scores yet!\nPlay the game to set a record!';
+      this.add.text(GAME_CONFIG.WIDTH / 2, 280, emptyMessage, {
         fontSize: '24px',
         fill: '#666',
         fontFamily: 'Arial',
@@ -2754,6 +4170,7 @@ class LeaderboardScene extends Phaser.Scene {
     const playerX = tableStartX + 200;
     const scoreX = tableStartX + 350;
     const levelX = tableStartX + 500;
+    const replayX = tableStartX + 590;
 
     // Header row
     this.add.text(rankX, 150, 'RANK', {
@@ -2784,6 +4201,13 @@ class LeaderboardScene extends Phaser.Scene {
       fontStyle: 'bold'
     }).setOrigin(0.5);
 
+    this.add.text(replayX, 150, 'REPLAY', {
+      fontSize: '20px',
+      fill: '#000',
+      fontFamily: 'Arial',
+      fontStyle: 'bold'
+    }).setOrigin(0.5);
+
     // Separator line - centered with table
     this.add.line(tableStartX + tableWidth / 2, 165, 0, 0, tableWidth, 0, 0x000000, 1).setOrigin(0.5);
 
@@ -2792,7 +4216,8 @@ class LeaderboardScene extends Phaser.Scene {
       rank: rankX,
       player: playerX,
       score: scoreX,
-      level: levelX
+      level: levelX,
+      replay: replayX
     };
   }
 
@@ -2818,7 +4243,7 @@ class LeaderboardScene extends Phaser.Scene {
     // Calculate centered positions for pagination controls
     const tableWidth = 600;
     const tableStartX = (GAME_CONFIG.WIDTH - tableWidth) / 2;
-    const paginationY = 470;
+    const paginationY = 440;
     const buttonGap = 120; // Gap between buttons and page info
 
     // Previous button - left side
@@ -2926,7 +4351,7 @@ class LeaderboardScene extends Phaser.Scene {
     this.currentEntries = [];
 
     // Use ScoreManager's pagination method
-    const pageData = globalManagers.scoreManager.getLeaderboardPage(this.currentPage, this.itemsPerPage);
+    const pageData = this.getBoardPage(this.currentPage);
     const pageEntries = pageData.entries;
 
     let yPos = 200;
@@ -2967,14 +4392,39 @@ class LeaderboardScene extends Phaser.Scene {
         fontFamily: 'Arial'
       }).setOrigin(0.5));
 
+      // Watch and export buttons, while the run's replay is still stored
+      const replay = globalManagers.replayManager.getReplay(entry.replayId);
+      if (replay) {
+        entries.push(this.createReplayButton(this.columnPositions.replay - 22, yPos, '▶️', () => {
+          this.scene.start('GameScene', { replay: replay });
+        }));
+        entries.push(this.createReplayButton(this.columnPositions.replay + 22, yPos, '💾', () => {
+          globalManagers.replayManager.downloadReplay(replay);
+        }));
+      }
+
       this.currentEntries.push(...entries);
       yPos += 40;
     });
   }
 
+  createReplayButton(x, y, icon, callback) {
+    const button = this.add.text(x, y, icon, {
+      fontSize: '18px',
+      backgroundColor: '#ffffff',
+      padding: { x: 4, y: 2 }
+    }).setOrigin(0.5).setInteractive({ useHandCursor: true }).setDepth(10);
+
+    button.on('pointerover', () => button.setStyle({ backgroundColor: '#ffd700' }));
+    button.on('pointerout', () => button.setStyle({ backgroundColor: '#ffffff' }));
+    button.on('pointerdown', callback);
+
+    return button;
+  }
+
   updatePaginationControls() {
     // Update page info using ScoreManager's pagination data
-    const pageData = globalManagers.scoreManager.getLeaderboardPage(this.currentPage, this.itemsPerPage);
+    const pageData = this.getBoardPage(this.currentPage);
     this.pageInfo.setText(`Page ${pageData.currentPage + 1} of ${pageData.totalPages}`);
 
     // Check if buttons should be disabled using ScoreManager's pagination data
@@ -2995,7 +4445,8 @@ class LeaderboardScene extends Phaser.Scene {
         padding: { x: 15, y: 8 },
         borderRadius: 6
       });
-      this.prevButton.setInteractive(false);
+      this.prevButton.disableInteractive(); // Also takes it out of the focus navigation
+      this.prevButton.setScale(1);           // Drop the hover zoom, pointerout is ignored once disabled
       this.prevButton.setAlpha(0.5); // Make it more obviously disabled
     } else {
       // Enabled state - normal appearance
@@ -3028,7 +4479,8 @@ class LeaderboardScene extends Phaser.Scene {
         padding: { x: 15, y: 8 },
         borderRadius: 6
       });
-      this.nextButton.setInteractive(false);
+      this.nextButton.disableInteractive(); // Also takes it out of the focus navigation
+      this.nextButton.setScale(1);           // Drop the hover zoom, pointerout is ignored once disabled
       this.nextButton.setAlpha(0.5); // Make it more obviously disabled
     } else {
       // Enabled state - normal appearance
@@ -3075,7 +4527,7 @@ class LeaderboardScene extends Phaser.Scene {
       fill: '#ffff00'
     };
     
-    const backButton = this.add.text(GAME_CONFIG.WIDTH / 2, 540, '← BACK TO MENU', buttonStyle)
+    const backButton = this.add.text(GAME_CONFIG.WIDTH / 2, 548, '← BACK TO MENU', buttonStyle)
       .setOrigin(0.5)
       .setInteractive({ useHandCursor: true })
       .setDepth(10);
@@ -3135,32 +4587,132 @@ class LeaderboardScene extends Phaser.Scene {
   }
 
   getLeaderboard() {
-    return globalManagers.scoreManager.getLeaderboard();
+    const scoreManager = globalManagers.scoreManager;
+    return this.board === 'today'
+      ? scoreManager.getDailyLeaderboard(scoreManager.getTodayKey())
+      : scoreManager.getLeaderboard();
   }
-}
 
-// ============================================================================
-// MAIN GAME SCENE
-// ============================================================================
-// The core gameplay scene where the endless runner game takes place
-// Features:
-// - Player movement with jumping mechanics and physics
-// - Procedurally generated obstacles and collectible coins
-// - Dynamic difficulty progression with speed increases
-// - Power-up system with revive functionality
-// - Real-time scoring and level progression
-// - Ad integration with statistics tracking
-// - Pause/resume functionality
-// - Game over handling with restart options
-// - Programmatically generated textures and animations
-// ============================================================================
+  getBoardPage(page) {
+    const scoreManager = globalManagers.scoreManager;
+    return this.board === 'today'
+      ? scoreManager.getDailyLeaderboardPage(page, this.itemsPerPage)
+      : scoreManager.getLeaderboardPage(page, this.itemsPerPage);
+  }
 
-class GameScene extends Phaser.Scene {
   /**
-   * Constructor for the game scene
-   * Sets up the scene name for navigation between scenes
+   * Creates the tabs switching between the all-time and today's daily board
+   * Switching restarts the scene with the chosen board
    */
-    constructor() {
+  createBoardTabs() {
+    const tabConfigs = [
+      { key: 'allTime', text: '🏆 ALL-TIME', color: '#4CAF50' },
+      { key: 'today', text: '📅 TODAY', color: '#FF5722' }
+    ];
+    const tabGap = 160;
+    const startX = GAME_CONFIG.WIDTH / 2 - tabGap / 2;
+
+    tabConfigs.forEach((config, index) => {
+      const isCurrent = this.board === config.key;
+      const tab = this.add.text(startX + index * tabGap, 490, config.text, {
+        fontSize: '16px',
+        fill: '#ffffff',
+        fontFamily: 'Arial',
+        fontStyle: 'bold',
+        stroke: '#000000',
+        strokeThickness: 2,
+        backgroundColor: isCurrent ? config.color : '#666666',
+        padding: { x: 15, y: 8 },
+        borderRadius: 8
+      }).setOrigin(0.5).setInteractive({ useHandCursor: true }).setDepth(10);
+
+      tab.on('pointerover', () => {
+        if (!isCurrent) tab.setStyle({ backgroundColor: config.color });
+      });
+
+      tab.on('pointerout', () => {
+        if (!isCurrent) tab.setStyle({ backgroundColor: '#666666' });
+      });
+
+      tab.on('pointerdown', () => {
+        if (!isCurrent) this.scene.restart({ board: config.key });
+      });
+    });
+  }
+
+  /**
+   * Creates the button that loads a replay file and plays it
+   */
+  createImportButton() {
+    const importButton = this.add.text(GAME_CONFIG.WIDTH - 110, 490, '📂 IMPORT', {
+      fontSize: '16px',
+      fill: '#ffffff',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      stroke: '#000000',
+      strokeThickness: 2,
+      backgroundColor: '#00BCD4',
+      padding: { x: 15, y: 8 },
+      borderRadius: 8
+    }).setOrigin(0.5).setInteractive({ useHandCursor: true }).setDepth(10);
+
+    importButton.on('pointerover', () => importButton.setStyle({ backgroundColor: '#0097A7' }));
+    importButton.on('pointerout', () => importButton.setStyle({ backgroundColor: '#00BCD4' }));
+    importButton.on('pointerdown', () => {
+      globalManagers.replayManager.pickReplayFile(result => {
+        if (result.success) {
+          this.scene.start('GameScene', { replay: result.replay });
+        } else {
+          this.showImportError(result.message);
+        }
+      });
+    });
+  }
+
+  showImportError(text) {
+    const popup = this.add.graphics().setDepth(20);
+    popup.fillStyle(0x000000, 0.8);
+    popup.fillRoundedRect(200, 250, 400, 100, 20);
+    popup.lineStyle(2, 0xffffff);
+    popup.strokeRoundedRect(200, 250, 400, 100, 20);
+
+    const message = this.add.text(400, 300, `❌ ${text}`, {
+      fontSize: '16px',
+      fill: '#ffffff',
+      fontFamily: 'Arial',
+      align: 'center'
+    }).setOrigin(0.5).setDepth(20);
+
+    // Auto-remove after 3 seconds
+    this.time.delayedCall(3000, () => {
+      popup.destroy();
+      message.destroy();
+    });
+  }
+}
+
+// ============================================================================
+// MAIN GAME SCENE
+// ============================================================================
+// The core gameplay scene where the endless runner game takes place
+// Features:
+// - Player movement with jumping mechanics and physics
+// - Procedurally generated obstacles and collectible coins
+// - Dynamic difficulty progression with speed increases
+// - Power-up system with revive functionality
+// - Real-time scoring and level progression
+// - Ad integration with statistics tracking
+// - Pause/resume functionality
+// - Game over handling with restart options
+// - Programmatically generated textures and animations
+// ============================================================================
+
+class GameScene extends Phaser.Scene {
+  /**
+   * Constructor for the game scene
+   * Sets up the scene name for navigation between scenes
+   */
+    constructor() {
       super('GameScene');
     }
   
@@ -3177,36 +4729,89 @@ class GameScene extends Phaser.Scene {
    * Initializes all game systems in the correct order for proper functionality
    * State → Textures → Objects → Physics → UI → Input → Spawning
    */
+  init(data) {
+    // Replay passed from the leaderboard - the run is played back instead of controlled
+    this.replay = (data && data.replay) || null;
+
+    // Mode passed from the main menu - 'daily' for the daily challenge
+    const mode = this.replay ? this.replay.mode : data && data.mode;
+    this.isDaily = mode === 'daily';
+  }
+
     create() {
     this.initializeGameState();  // Set up game variables and state
     this.createTextures();       // Generate all game textures
     this.createGameObjects();    // Create player, ground, and object groups
     this.setupPhysics();         // Configure physics and collision detection
     this.setupUI();              // Create score, level, and button displays
-      this.setupInputHandlers();   // Set up keyboard and touch controls
-      this.setupSpawnTimer();      // Start obstacle and coin spawning system
+      this.setupInputHandlers();   // Set up keyboard, gamepad and touch controls
+    this.setupAutoPause();       // Pause when the game loses focus
+      this.resetChunkSpawner();    // Prepare obstacle and coin chunk spawning
+    this.resetGround();          // Lay the ground across the screen
+      this.resetPowerUps();        // Clear power-ups and start their countdown
       this.createBottomUI();       // Create bottom UI panel with buttons
+
+    // Replays start straight away
+    if (this.replay) this.startGame();
     }
 
   initializeGameState() {
     // Game state variables using managers
     this.score = globalManagers.scoreManager.getCurrentScore();
     this.level = 1;
-    this.speed = GAME_CONFIG.INITIAL_SPEED;
-    this.spawnDelay = GAME_CONFIG.INITIAL_SPAWN_DELAY;
+    this.speed = this.getStartSpeed();
     this.canDoubleJump = true;
+    this.jumpHeld = false;       // Jump key or button currently held
+    this.canCutJump = false;     // Current jump can still be shortened by releasing
+    this.lastGroundedAt = -Infinity; // Last run time the player stood on the ground (coyote time)
+    this.jumpBufferedUntil = -1; // Run time until which an early jump press is remembered (-1 = none)
+    this.slideHeld = false;      // Slide key or button currently held
+    this.slideUntil = 0;         // Time until which a swipe-down slide lasts
+    this.isSliding = false;      // Player currently using the sliding hitbox
     this.gameOver = false;
     this.isPaused = false;
+    this.pausePanel = null;      // Pause menu overlay while it is open
+    this.adShowing = false;      // Ad popup open before a run starts or restarts
+    this.resumeTimer = null;     // Resume countdown timer while counting down
     this.gameStarted = false;
     this.reviveGivenThisLevel = false;
     this.highScore = globalManagers.scoreManager.getHighScore();
-    this.lastSpawnedObstacle = null; // Track the last spawned obstacle for coin placement
+    this.distanceToNextChunk = 0; // Distance (px) left to scroll before the next chunk spawns
+    this.groundEndX = 0;         // Screen X where the generated ground currently ends
+    this.lastGroundSegment = null; // Rightmost ground segment, new segments are placed flush against it
+    this.pits = [];              // Upcoming pits ({ start, end } in screen X) the ground must leave open
+    this.stepAccumulator = 0;    // Unsimulated time (ms) carried over in fixed-timestep mode
+    this.fixedStep = true;       // Current run advances in fixed steps (set per run in seedRun())
+    this.seed = '';              // Seed of the current run (shown on game over)
+    this.dailyCounted = false;   // This daily challenge run is today's counted attempt
+    this.dailyKey = null;        // Date key of the day this daily challenge run started on
+    this.rng = Phaser.Math.RND;  // Course random source, re-seeded at the start of every run
+    this.runTime = 0;            // Simulated play time (ms) of the current run, used for input timing
+    this.distance = 0;           // Distance (px) run in the current run
+    this.nextTrackSampleAt = 0;  // Run time of the next ghost track sample
+    this.ghostReplay = null;     // Replay whose track the ghost runner follows
+    this.recording = null;       // Inputs of the current run, saved as a replay on game over
+    this.worldTweens = [];       // Tweens of pooled world objects, advanced by simulate()
+    this.replayId = null;        // Id of the replay saved for the last finished run
+    this.replayIndex = 0;        // Next input to play back when watching a replay
+    this.playbackRate = 1;       // Replay playback speed
+    this.scoreMultiplier = 1;    // Mission reward multiplier for the current run
+    // Character definition (textures and hitbox) - replays use the recorded one, older replays the default
+    this.character = globalManagers.playerManager.getCharacter(this.replay ? this.replay.character || null : undefined);
+    this.shopEffects = globalManagers.shopManager.getDefaultRunEffects(GAME_CONFIG.REVIVE_CHANCE); // Upgrades and starting power-ups for the current run
+    this.courseLevel = 1;        // Course difficulty from distance (chunk tiers, gaps, speed bonus)
+    this.unlockedBehaviours = globalManagers.obstacleManager.getUnlockedBehaviours(1); // Obstacle behaviours available at the current course level
+    this.resetRunStats();
   
-    // Power-ups system
+    // Power-ups system - revive is held until used, timed power-ups store remaining ms
     this.powerUps = {
-      revive: false
+      revive: false,
+      shield: 0,
+      magnet: 0,
+      slowMotion: 0,
+      multiplier: 0
     };
-    this.powerUpTimer = null;
+    this.powerUpTickElapsed = 0;    // Run time (ms) since the last power-up countdown tick
   
     // Ad system - track game play count and ad views
     this.gamePlayCount = globalManagers.scoreManager.getGamePlayCount();
@@ -3214,29 +4819,183 @@ class GameScene extends Phaser.Scene {
   }
 
   createGameObjects() {
-    // Create ground
-      this.ground = this.physics.add.staticGroup();
-    this.ground.create(GAME_CONFIG.WIDTH / 2, GAME_CONFIG.GROUND_Y, 'ground');
+    // Create ground and raised platforms - scrolling segments recycled through the object pools
+      this.ground = this.physics.add.group();
+    this.platforms = this.physics.add.group();
+
+    // Ghost runner replays the best run's track - created first so it is drawn behind the player
+    this.ghost = this.add.image(GAME_CONFIG.PLAYER_START_X, GAME_CONFIG.PLAYER_START_Y,
+      globalManagers.playerManager.getPlayerTexture(this.character.id), 'run0')
+      .setAlpha(GAME_CONFIG.GHOST_ALPHA)
+      .setTint(0xaaddff)
+      .setVisible(false);
 
     // Create player using PlayerManager
-    this.player = globalManagers.playerManager.createPlayer(this, GAME_CONFIG.PLAYER_START_X, GAME_CONFIG.PLAYER_START_Y - 10);
+    this.player = globalManagers.playerManager.createPlayer(this, GAME_CONFIG.PLAYER_START_X, GAME_CONFIG.PLAYER_START_Y,
+      this.character.id);
     this.player.setCollideWorldBounds(true).setBounce(GAME_CONFIG.PLAYER_BOUNCE);
+
+    // The physics sprite only carries the hitbox - an animated sprite draws the player, so
+    // squash and stretch never resize the body. Its origin is on the feet (y = 48 of the frame)
+    this.player.setVisible(false);
+    this.playerSprite = this.add.sprite(this.player.x, this.player.y, this.player.texture.key, 'run0')
+      .setOrigin(0.5, 48 / 52);
+    this.applySkin();
+    this.resetPlayerAnimation();
+    this.events.on('postupdate', this.updatePlayerSprite, this);
+    this.events.once('shutdown', () => {
+      this.events.off('postupdate', this.updatePlayerSprite, this);
+      globalManagers.audioManager.stopMusic();
+    });
     
     // Set custom collision bounds for better collision detection
-    this.player.body.setSize(32, 40); // Smaller collision box than visual size
-    this.player.body.setOffset(6, 8);  // Center the collision box
+    this.setPlayerBody(false);
+    this.resetPlayerPosition();
+
+    // Shield bubble follows the player while the shield power-up is active
+    this.shieldBubble = this.add.image(this.player.x, this.player.y, 'shield_bubble')
+      .setVisible(false)
+      .setDepth(4);
 
-    // Create object groups
+    // Create object groups - members are recycled through the object pools
       this.obstacles = this.physics.add.group();
       this.coins = this.physics.add.group();
+    this.createObjectPools();
   
     // Start global cloud manager
     globalManagers.cloudManager.start(this);
   }
 
+  /**
+   * Registers obstacle and coin pools for this scene
+   * Pooled objects keep their physics body and tweens between uses
+   */
+  createObjectPools() {
+    const poolManager = globalManagers.poolManager;
+
+    const createMember = (group, texture) => {
+      const member = group.create(0, 0, texture);
+      member.setImmovable(true);
+      member.body.allowGravity = false;
+      return member;
+    };
+    const activateMember = (member, texture, x, y) => {
+      member.enableBody(true, x, y, true, true);
+      member.setTexture(texture).setRotation(0).setScale(1);
+      member.body.setSize(); // Match the body to the new texture
+    };
+    const activateObstacle = (obstacle, texture, x, y) => {
+      activateMember(obstacle, texture, x, y);
+      obstacle.behaviour = null;   // Behaviour definition from ObstacleManager, null for static obstacles
+      obstacle.behaviourTime = 0;  // Seconds since the obstacle spawned
+      obstacle.baseY = y;          // Resting Y the behaviour moves around
+      obstacle.extraSpeed = 0;     // Rolling speed above the world speed
+      obstacle.falling = false;
+      obstacle.fallVelocity = 0;
+      obstacle.nearMissGap = Infinity; // Smallest vertical gap to the player while passing it
+      obstacle.passedPlayer = false;
+    };
+    const deactivateMember = (member) => {
+      ['pulseTween', 'floatTween', 'bounceTween'].forEach(key => this.removePooledTween(member, key));
+      member.disableBody(true, true);
+    };
+
+    poolManager.createPool('obstacles', {
+      create: () => createMember(this.obstacles, 'obstacle_rect'),
+      activate: activateObstacle,
+      deactivate: deactivateMember
+    });
+
+    // Ground and platform segments are stretched to their width and can only be landed on from above
+    const createSurface = (group, texture) => {
+      const surface = createMember(group, texture);
+      surface.body.checkCollision.down = false;
+      surface.body.checkCollision.left = false;
+      surface.body.checkCollision.right = false;
+      surface.body.friction.x = 0; // Don't carry the player along with the scrolling
+      return surface;
+    };
+    const activateSurface = (surface, texture, left, y, width) => {
+      surface.setTexture(texture).setScale(width / surface.frame.realWidth, 1);
+      surface.enableBody(true, left + width / 2, y, true, true);
+      surface.body.setSize();
+      surface.body.updateFromGameObject();
+    };
+
+    poolManager.createPool('ground', {
+      create: () => createSurface(this.ground, 'ground'),
+      activate: activateSurface,
+      deactivate: deactivateMember
+    });
+
+    poolManager.createPool('platforms', {
+      create: () => createSurface(this.platforms, 'platform'),
+      activate: activateSurface,
+      deactivate: deactivateMember
+    });
+
+    poolManager.createPool('coins', {
+      create: () => createMember(this.coins, 'coin'),
+      activate: (coin, texture, x, y) => {
+        activateMember(coin, texture, x, y);
+        coin.powerUpType = null;
+        coin.magnetized = false;
+      },
+      deactivate: deactivateMember
+    });
+
+    // Floating score texts
+    poolManager.createPool('popups', {
+      create: () => this.add.text(0, 0, '', {
+        fontSize: '18px',
+        fontFamily: 'Arial',
+        fontStyle: 'bold',
+        stroke: '#ffffff',
+        strokeThickness: 3
+      }).setOrigin(0.5).setDepth(6),
+      activate: (popup, text, x, y, color) => {
+        popup.setText(text).setColor(color).setPosition(x, y).setAlpha(1).setActive(true).setVisible(true);
+      },
+      deactivate: (popup) => {
+        if (popup.popupTween) popup.popupTween.remove();
+        popup.popupTween = null;
+        popup.setActive(false).setVisible(false);
+      }
+    });
+  }
+
+  /**
+   * Starts a pooled world object's tween, replacing the one from its previous use
+   * A new tween is created every time - restarting the old one would reset the object to
+   * the start values of its first use instead of reading relative values from where it is now.
+   * The tween isn't added to the scene's tween manager: simulate() advances it with the run,
+   * so slow motion slows it down without slowing the HUD and menus
+   * @param {Phaser.GameObjects.GameObject} object - Pooled object
+   * @param {string} key - Property the tween is stored under (e.g. 'floatTween')
+   * @param {Object} config - Tween config
+   */
+  playPooledTween(object, key, config) {
+    this.removePooledTween(object, key);
+    object[key] = this.tweens.create({ targets: object, ...config }).reset();
+    this.worldTweens.push(object[key]);
+  }
+
+  // Stops a pooled object's tween when the object goes back to its pool
+  removePooledTween(object, key) {
+    if (object[key]) {
+      Phaser.Utils.Array.Remove(this.worldTweens, object[key]);
+      object[key].destroy();
+      object[key] = null;
+    }
+  }
+
   setupPhysics() {
+    // No floor at the bottom of the world - the player can fall into pits
+    this.physics.world.setBoundsCollision(true, true, true, false);
+
     // Player collisions
     this.physics.add.collider(this.player, this.ground);
+    this.physics.add.collider(this.player, this.platforms);
     
     // Object collisions with ground
       this.physics.add.collider(this.obstacles, this.ground);
@@ -3267,11 +5026,44 @@ class GameScene extends Phaser.Scene {
       fontFamily: 'Arial' 
     }).setDepth(5);
 
-    this.powerUpText = this.add.text(16, 100, 'Power Up: None', { 
-      fontSize: '18px', 
-      fill: '#444', 
-      fontFamily: 'Arial' 
-    }).setDepth(5);
+    // Ghost ahead/behind indicator, kept just right of the score
+    this.ghostText = this.add.text(0, 20, '', {
+      fontSize: '18px',
+      fill: '#000',
+      fontFamily: 'Arial',
+      fontStyle: 'bold'
+    }).setDepth(5).setVisible(false);
+
+    if (this.isDaily) {
+      this.add.text(GAME_CONFIG.WIDTH / 2, 16, '📅 DAILY CHALLENGE', {
+        fontSize: '18px',
+        fill: '#FF5722',
+        fontFamily: 'Arial',
+        fontStyle: 'bold'
+      }).setOrigin(0.5, 0).setDepth(5);
+    }
+
+    if (this.replay) {
+      this.add.text(GAME_CONFIG.WIDTH / 2, this.isDaily ? 38 : 16,
+        `🎬 REPLAY - ${this.replay.username} (${this.replay.score})`, {
+        fontSize: '18px',
+        fill: '#00BCD4',
+        fontFamily: 'Arial',
+        fontStyle: 'bold'
+      }).setOrigin(0.5, 0).setDepth(5);
+    }
+
+    // Power-up HUD - one row per active power-up, stacked below the level
+    this.powerUpHud = {};
+    globalManagers.powerUpManager.getAllTypes().forEach(type => {
+      const definition = globalManagers.powerUpManager.getDefinition(type);
+      this.powerUpHud[type] = this.add.text(16, 100, '', { 
+        fontSize: '18px', 
+        fill: definition.color, 
+        fontFamily: 'Arial',
+        fontStyle: 'bold'
+      }).setDepth(5).setVisible(false);
+    });
 
     // Game state messages
     this.pauseText = this.add.text(GAME_CONFIG.WIDTH / 2, 150, '', { 
@@ -3280,43 +5072,382 @@ class GameScene extends Phaser.Scene {
       fontFamily: 'Arial' 
     }).setOrigin(0.5).setDepth(5);
 
+    // Achievement and mission toast - slides down from the top without pausing the run
+    const toastBg = this.add.rectangle(0, 0, 380, 52, 0x000000, 0.8).setStrokeStyle(2, 0xFFD700, 1);
+    this.toastText = this.add.text(0, 0, '', {
+      fontSize: '16px',
+      fill: '#FFD700',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      align: 'center'
+    }).setOrigin(0.5);
+    this.toast = this.add.container(GAME_CONFIG.WIDTH / 2, -40, [toastBg, this.toastText]).setDepth(15);
+    this.toastQueue = [];        // Toast messages waiting to be shown
+    this.toastShowing = false;
+
+    // Short announcements such as newly unlocked obstacles
+    this.bannerText = this.add.text(GAME_CONFIG.WIDTH / 2, 250, '', {
+      fontSize: '28px',
+      fill: '#FF5722',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      stroke: '#ffffff',
+      strokeThickness: 4
+    }).setOrigin(0.5).setAlpha(0).setDepth(5);
+
     this.gameOverText = this.add.text(GAME_CONFIG.WIDTH / 2, 200, 'GAME OVER\nTap Restart Button', {
         fontSize: '32px',
         fill: '#f00',
         align: 'center',
         fontFamily: 'Arial'
       }).setOrigin(0.5).setAlpha(0).setDepth(10);
+
+    // Debug overlay with object pool sizes
+    if (GAME_CONFIG.SHOW_POOL_STATS) {
+      this.poolStatsText = this.add.text(GAME_CONFIG.WIDTH - 16, 100, '', {
+        fontSize: '12px',
+        fill: '#333',
+        fontFamily: 'monospace',
+        align: 'right'
+      }).setOrigin(1, 0).setDepth(5);
+    }
   
+    // update() steps the physics world itself, so recorded runs can take exactly one physics
+    // step per simulation step
+      this.physics.disableUpdate();
+      this.physics.world.setFPS(1000 / GAME_CONFIG.FIXED_STEP_MS);
+
     // Pause physics initially
       this.physics.pause();
   }
   
   setupInputHandlers() {
-    // Keyboard controls
-      this.input.keyboard.on('keydown-SPACE', () => {
-        if (!this.gameStarted) this.startGame();
-        else if (this.gameOver && !this.powerUps.revive) this.restartGame();
-        else if (!this.isPaused) this.jump();
+    // Keyboard controls - keys are looked up in the remappable action map
+    const controlsManager = globalManagers.controlsManager;
+      this.input.keyboard.on('keydown', event => {
+        if (event.repeat) return; // Holding a key must not re-trigger jump, slide or menu actions
+        const action = controlsManager.getAction(event.code, 'game');
+        if (action) this.handleActionDown(action);
       });
-  
-      this.input.keyboard.on('keydown-P', () => {
-        if (this.gameStarted && !this.gameOver) this.togglePause();
+      this.input.keyboard.on('keyup', event => {
+        const action = controlsManager.getAction(event.code, 'game');
+        if (action) this.handleActionUp(action);
+      });
+
+    // Gamepad controls - buttons map to the same actions as the keys
+      controlsManager.listenToGamepad(this, 'game',
+        action => this.handleActionDown(action),
+        action => this.handleActionUp(action));
+
+    // Pause menu buttons take the focus like any menu - only while the menu is open, so the
+    // menu keys never move a focus outline during play. Added after the game listeners, so a
+    // key that both resumes and selects resumes first and the closed menu ignores it
+    controlsManager.enableMenuNavigation(this, { enabled: () => this.pausePanel !== null });
+
+    // Touch controls - swipe down anywhere to slide
+      this.input.on('pointerup', (pointer) => {
+        const dx = pointer.upX - pointer.downX;
+        const dy = pointer.upY - pointer.downY;
+        if (!this.replay && dy > GAME_CONFIG.SWIPE_THRESHOLD && Math.abs(dy) > Math.abs(dx)) {
+          this.swipeSlide();
+        }
       });
   }
   
-  setupSpawnTimer() {
-      this.spawnTimer = this.time.addEvent({
-        delay: this.spawnDelay,
-        loop: true,
-        paused: true,
-        callback: () => {
-          if (!this.gameOver && !this.isPaused) {
-            this.spawnObstacle();
-            this.spawnCoin();
-          }
+  /**
+   * Performs a gameplay action pressed on the keyboard or a gamepad
+   * @param {string} action - ControlsManager action id
+   */
+  handleActionDown(action) {
+    switch (action) {
+      case 'jump':
+        if (this.replay) {
+          // While watching a replay jump plays/pauses, or watches it again once over
+          if (this.gameOver) this.restartGame();
+          else this.toggleReplayPlayback();
         }
-      });
+        else if (!this.gameStarted) this.startGame();
+        else if (this.gameOver && !this.powerUps.revive) this.restartGame();
+        else if (!this.isPaused) this.jump();
+        break;
+      case 'slide':
+        if (!this.replay) this.startSlide();
+        break;
+      case 'pause':
+        if (this.replay) this.toggleReplayPlayback();
+        else if (this.gameStarted && !this.gameOver) this.togglePause();
+        break;
+      case 'restart':
+        // Same as the restart buttons: after game over, any time in a replay, or from the pause menu
+        if (this.replay || (this.gameOver && !this.powerUps.revive)) this.restartGame();
+        else if (this.isPaused) {
+          this.closePause(); // An ad may show before the restart
+          this.restartGame();
+        }
+        break;
+      case 'revive':
+        if (!this.replay && this.gameOver && this.powerUps.revive) this.useRevive();
+        break;
+      case 'menu':
+        this.returnToMenu();
+        break;
+      default:
+        break;
     }
+  }
+
+  handleActionUp(action) {
+    if (this.replay) return;
+    if (action === 'jump') this.releaseJump();
+    else if (action === 'slide') this.stopSlide();
+  }
+
+  /**
+   * Pauses the run when the tab is hidden, the window loses focus or the screen rotates,
+   * if auto-pause is enabled in Settings. The listeners are removed when the scene shuts down
+   */
+  setupAutoPause() {
+    const onFocusLost = () => {
+      if (globalManagers.settingsManager.getAutoPause()) this.autoPause();
+    };
+    const onVisibilityChange = () => {
+      if (document.hidden) onFocusLost();
+    };
+
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    window.addEventListener('blur', onFocusLost);
+    globalManagers.orientationManager.addListener(onFocusLost);
+
+    this.events.once('shutdown', () => {
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      window.removeEventListener('blur', onFocusLost);
+      globalManagers.orientationManager.removeListener(onFocusLost);
+    });
+  }
+
+  /**
+   * Pauses a running game through the normal pause path - a resume countdown is stopped
+   * and the pause menu reopened, a replay is paused with its playback control
+   */
+  autoPause() {
+    if (!this.gameStarted || this.gameOver || this.adShowing) return;
+
+    if (this.replay) {
+      if (!this.isPaused) this.toggleReplayPlayback();
+    } else if (!this.isPaused || this.resumeTimer) {
+      this.togglePause();
+    }
+  }
+
+  /**
+   * Resets chunk spawning so the first chunk appears after a short lead-in
+   * Chunks are spawned from update() based on scrolled distance
+   */
+  resetChunkSpawner() {
+    this.distanceToNextChunk = GAME_CONFIG.CHUNK_LEAD_IN;
+  }
+
+  /**
+   * Clears the ground and platforms and lays unbroken ground across the screen
+   */
+  resetGround() {
+    globalManagers.poolManager.releaseAll('ground');
+    globalManagers.poolManager.releaseAll('platforms');
+    this.groundEndX = 0;
+    this.lastGroundSegment = null;
+    this.pits = [];
+    this.fillGround();
+  }
+
+  /**
+   * Scrolls the ground's end and upcoming pits, then lays ground up to the right edge
+   * @param {number} distance - Distance (px) scrolled this step
+   */
+  updateGround(distance) {
+    this.groundEndX -= distance;
+    this.pits.forEach(pit => {
+      pit.start -= distance;
+      pit.end -= distance;
+    });
+    this.fillGround();
+  }
+
+  /**
+   * Lays ground segments until the ground reaches the right edge of the screen
+   * Ground never reaches past the next pit or the start of the next chunk, whose pits aren't known yet
+   */
+  fillGround() {
+    const nextChunkX = GAME_CONFIG.OBSTACLE_SPAWN_X + Math.max(0, this.distanceToNextChunk);
+
+    while (this.groundEndX < GAME_CONFIG.WIDTH) {
+      // Follow the last segment's actual position so physics rounding never opens a seam
+      const last = this.lastGroundSegment;
+      if (last && last.active) this.groundEndX = last.x + last.displayWidth / 2;
+
+      const pit = this.pits[0];
+      if (pit && pit.start <= this.groundEndX + 1) {
+        this.groundEndX = Math.max(this.groundEndX, pit.end);
+        this.lastGroundSegment = null;
+        this.pits.shift();
+        continue;
+      }
+
+      const end = Math.min(this.groundEndX + GAME_CONFIG.GROUND_SEGMENT_WIDTH, pit ? pit.start : nextChunkX);
+      if (end - this.groundEndX < 1) break;
+
+      this.lastGroundSegment = this.spawnGroundSegment(this.groundEndX, end - this.groundEndX);
+      this.groundEndX = end;
+    }
+  }
+
+  /**
+   * Spawns a ground segment
+   * @param {number} left - Left edge X
+   * @param {number} width - Segment width (px)
+   */
+  spawnGroundSegment(left, width) {
+    const segment = globalManagers.poolManager.acquire('ground', 'ground', left, GAME_CONFIG.GROUND_Y, width);
+    segment.body.setVelocityX(this.gameStarted ? -this.getEffectiveSpeed() : 0);
+    return segment;
+  }
+
+  /**
+   * Spawns a one-way raised platform
+   * @param {number} left - Left edge X
+   * @param {number} width - Platform width (px)
+   * @param {number} height - Height of the platform's top above the ground (px)
+   */
+  spawnPlatform(left, width, height) {
+    const y = GAME_CONFIG.GROUND_TOP - height + this.textures.getFrame('platform').realHeight / 2;
+    const platform = globalManagers.poolManager.acquire('platforms', 'platform', left, y, width);
+    platform.body.setVelocityX(-this.getEffectiveSpeed());
+  }
+
+  /**
+   * Keeps a pit open in the ground that is laid from now on
+   * @param {number} start - Left edge X of the pit
+   * @param {number} width - Pit width (px)
+   */
+  addPit(start, width) {
+    this.pits.push({ start: start, end: start + width });
+  }
+
+  /**
+   * Top edge of the platform at an X position
+   * @returns {number|null} Platform top Y, or null if there is no platform there
+   */
+  getPlatformTopAt(x) {
+    const platform = globalManagers.poolManager.getActive('platforms').find(candidate =>
+      Math.abs(candidate.x - x) <= candidate.displayWidth / 2);
+    return platform ? platform.y - platform.displayHeight / 2 : null;
+  }
+
+  /**
+   * Raises a coin laid out at ground height onto the platform below it
+   * Coins already well above the platform (e.g. the top of an arc) keep their height
+   * @param {number} x - Coin X position
+   * @param {number} coinY - Coin Y position from the chunk layout
+   */
+  getCoinY(x, coinY) {
+    const platformTop = this.getPlatformTopAt(x);
+    if (platformTop === null || coinY < platformTop - GAME_CONFIG.PLATFORM_COIN_CLEARANCE) return coinY;
+    return coinY - (GAME_CONFIG.GROUND_TOP - platformTop);
+  }
+
+  /**
+   * Fills the pit under the player with ground so a revive doesn't drop them straight back in
+   */
+  bridgePitUnderPlayer() {
+    const x = this.player.x;
+    let left = 0;
+    let right = this.groundEndX;
+
+    for (const segment of globalManagers.poolManager.getActive('ground')) {
+      const segmentLeft = segment.x - segment.displayWidth / 2;
+      const segmentRight = segment.x + segment.displayWidth / 2;
+
+      if (segmentLeft <= x && segmentRight >= x) return; // Already on solid ground
+      if (segmentRight < x) left = Math.max(left, segmentRight);
+      else right = Math.min(right, segmentLeft);
+    }
+
+    this.spawnGroundSegment(left, right - left);
+  }
+
+  /**
+   * Advances the chunk spawner by the distance scrolled this frame
+   * Spawns the next chunk once the previous one and its gap have scrolled in
+   * @param {number} delta - Frame time in milliseconds
+   */
+  updateChunkSpawner(delta) {
+    this.distanceToNextChunk -= this.getEffectiveSpeed() * delta / 1000;
+    if (this.distanceToNextChunk > 0) return;
+
+    const width = this.spawnChunk();
+    const jumpLength = this.getJumpLength();
+    const gapJumps = Math.max(GAME_CONFIG.MIN_CHUNK_GAP_JUMPS,
+      GAME_CONFIG.CHUNK_GAP_JUMPS - (this.courseLevel - 1) * GAME_CONFIG.CHUNK_GAP_REDUCTION);
+    const gap = globalManagers.chunkManager.getStitchGap(jumpLength, gapJumps, GAME_CONFIG.MIN_CHUNK_GAP);
+
+    this.distanceToNextChunk += width + gap;
+  }
+
+  /**
+   * Horizontal distance the player covers during a full jump at the current speed
+   */
+  getJumpLength() {
+    return globalManagers.chunkManager.getJumpLength(this.getEffectiveSpeed(), GAME_CONFIG.JUMP_VELOCITY, GAME_CONFIG.GRAVITY);
+  }
+
+  getStartSpeed() {
+    return this.isDaily ? GAME_CONFIG.INITIAL_SPEED + GAME_CONFIG.DAILY_SPEED_BONUS : GAME_CONFIG.INITIAL_SPEED;
+  }
+
+  /**
+   * World scroll speed after slow-motion scaling
+   */
+  getEffectiveSpeed() {
+    return this.powerUps.slowMotion > 0 ? this.speed * GAME_CONFIG.SLOW_MOTION_SCALE : this.speed;
+  }
+
+  /**
+   * Picks a chunk for the current course level and spawns its obstacles and coins
+   * @returns {number} Width of the spawned chunk in pixels
+   */
+  spawnChunk() {
+    const chunkManager = globalManagers.chunkManager;
+    const jumpLength = this.getJumpLength();
+    const random = () => this.rng.frac();
+    const chunk = chunkManager.pickChunk(this.courseLevel, random);
+    const layout = chunkManager.layoutChunk(chunk, jumpLength, jumpLength * GAME_CONFIG.FAIR_GAP_JUMPS);
+
+    // Occasionally turn the chunk's last coin into a timed power-up
+    const coinItems = layout.items.filter(item => item.type === 'coin');
+    const powerUpItem = this.rng.between(1, 100) <= GAME_CONFIG.POWER_UP_CHANCE
+      ? coinItems[coinItems.length - 1]
+      : null;
+
+    // Terrain first, so coins can be placed on the chunk's platforms
+    layout.items.forEach(item => {
+      if (item.type === 'pit') {
+        this.addPit(GAME_CONFIG.OBSTACLE_SPAWN_X + item.x, item.width);
+      } else if (item.type === 'platform') {
+        this.spawnPlatform(GAME_CONFIG.OBSTACLE_SPAWN_X + item.x, item.width, item.height);
+      }
+    });
+
+    layout.items.forEach(item => {
+      if (item.type === 'obstacle') {
+        this.spawnObstacle(item.texture, GAME_CONFIG.OBSTACLE_SPAWN_X + item.x, item.placement);
+      } else if (item === powerUpItem) {
+        this.spawnPowerUp(globalManagers.powerUpManager.pickTimedType(random), GAME_CONFIG.COIN_SPAWN_X + item.x, item.y);
+      } else if (item.type === 'coin') {
+        this.spawnCoin(GAME_CONFIG.COIN_SPAWN_X + item.x, item.y);
+      }
+    });
+
+    return layout.width;
+  }
   
     createBottomUI() {
     const uiHeight = UI_CONFIG.UI_PANEL_HEIGHT;
@@ -3363,7 +5494,15 @@ class GameScene extends Phaser.Scene {
     this.jumpBtn = createBtn(startX, '🚀 JUMP', () => {
         if (this.gameStarted && !this.gameOver && !this.isPaused) this.jump();
       });
+    this.jumpBtn.on('pointerup', () => this.releaseJump());
+    this.jumpBtn.on('pointerout', () => this.releaseJump());
       this.jumpBtn.setVisible(false);
+
+    // Slide button shares the START/REVIVE slot, which is empty while running
+    this.slideBtn = createBtn(startX + buttonWidth + gap, '⬇️ SLIDE', () => this.startSlide());
+    this.slideBtn.on('pointerup', () => this.stopSlide());
+    this.slideBtn.on('pointerout', () => this.stopSlide());
+      this.slideBtn.setVisible(false);
   
     this.startBtn = createBtn(startX + buttonWidth + gap, '▶️ START', () => {
         if (!this.gameStarted) this.startGame();
@@ -3375,7 +5514,7 @@ class GameScene extends Phaser.Scene {
       this.pauseBtn.setVisible(false);
   
     this.restartBtn = createBtn(startX + (buttonWidth + gap) * 3, '🔄 RESTART', () => {
-        if (this.gameOver && !this.powerUps.revive) this.restartGame();
+        if (this.replay || (this.gameOver && !this.powerUps.revive)) this.restartGame();
       });
       this.restartBtn.setVisible(false);
   
@@ -3384,49 +5523,186 @@ class GameScene extends Phaser.Scene {
       });
       this.reviveBtn.setVisible(false);
 
-    this.menuBtn = createBtn(startX + (buttonWidth + gap) * 4, '🏠 MENU', () => {
-      this.scene.start('MainMenuScene');
-    });
+    this.menuBtn = createBtn(startX + (buttonWidth + gap) * 4, '🏠 MENU', () => this.returnToMenu());
+
+    // Replay controls take the jump and slide slots while watching a replay
+    this.replayPlayBtn = createBtn(startX, '⏸ PAUSE', () => this.toggleReplayPlayback());
+      this.replayPlayBtn.setVisible(false);
+
+    this.replaySpeedBtn = createBtn(startX + buttonWidth + gap, '⏩ 2X', () => this.toggleReplaySpeed());
+      this.replaySpeedBtn.setVisible(false);
   }
 
-  update() {
+  update(time, delta) {
+    // A replay can revive the player while the game is over
+    if (this.replay && this.gameOver && !this.isPaused) this.playReplayInputs();
+
+    // Runs that follow the frame time leave physics on the world's own clock
+    if (!this.fixedStep) this.physics.world.update(time, delta);
+
     if (!this.gameStarted || this.gameOver || this.isPaused) return;
 
+    delta *= this.playbackRate;
+
+    // Fixed steps take exactly one physics step each, so an input recorded at a run time lands on
+    // the same physics step when the run is replayed
+    if (this.fixedStep) {
+      this.stepAccumulator = Math.min(this.stepAccumulator + delta,
+        GAME_CONFIG.FIXED_STEP_MS * GAME_CONFIG.MAX_STEPS_PER_FRAME);
+      while (this.stepAccumulator >= GAME_CONFIG.FIXED_STEP_MS) {
+        this.stepAccumulator -= GAME_CONFIG.FIXED_STEP_MS;
+        // Replayed inputs fire before the step, like player input between frames
+        if (this.replay) this.playReplayInputs();
+        this.physics.world.singleStep();
+        if (this.gameOver) return;
+        this.simulate(GAME_CONFIG.FIXED_STEP_MS);
+        if (this.gameOver) return;
+      }
+    } else {
+      this.simulate(delta);
+      if (this.gameOver) return;
+    }
+
+    // Music speeds up with the run (and slows down in slow motion)
+    globalManagers.audioManager.setMusicTempo(this.getEffectiveSpeed() / GAME_CONFIG.INITIAL_SPEED * this.playbackRate);
+
+    this.updateGhost();
+
+    if (this.poolStatsText) this.updatePoolStats();
+  }
+
+  /**
+   * Advances speed, spawning, world objects and the player's state by one step
+   * All rates are per second so progression doesn't depend on the frame rate
+   * @param {number} delta - Step length in milliseconds
+   */
+  simulate(delta) {
+    const seconds = delta / 1000;
+
+    this.runTime += delta;
+    if (Math.floor(this.runTime / 1000) > Math.floor((this.runTime - delta) / 1000)) {
+      this.reportProgress('runTime', Math.floor(this.runTime / 1000));
+    }
+    this.distance += this.getEffectiveSpeed() * seconds;
+    this.recordTrackPoint();
+
+    // Distance run scores too, so dodging everything still levels up
+    const distancePoints = Math.floor(this.distance / GAME_CONFIG.PIXELS_PER_METER / GAME_CONFIG.METERS_PER_POINT);
+    if (distancePoints > this.runStats.distancePoints) {
+      this.addScore(distancePoints - this.runStats.distancePoints, 'distance');
+      this.runStats.distancePoints = distancePoints;
+      this.reportProgress('distance', Math.floor(this.distance / GAME_CONFIG.PIXELS_PER_METER));
+    }
+
+    // World object tweens (coin float, obstacle pulse) run on run time and slow down in slow motion
+    const tweenDelta = this.powerUps.slowMotion > 0 ? delta * GAME_CONFIG.SLOW_MOTION_SCALE : delta;
+    this.worldTweens.slice().forEach(tween => tween.update(tweenDelta));
+
     // Increase game speed over time
-    this.speed += GAME_CONFIG.SPEED_INCREMENT;
+    this.speed += GAME_CONFIG.SPEED_INCREMENT * seconds;
 
     // Check for level up
     const newLevel = Math.floor(this.score / GAME_CONFIG.SCORE_PER_LEVEL) + 1;
     if (newLevel > this.level) this.levelUp(newLevel);
 
-    // Update obstacles
+    // The course gets harder with distance, not score, so every run on a seed meets the same course
+    const courseLevel = Math.floor(this.distance / GAME_CONFIG.PIXELS_PER_METER / GAME_CONFIG.COURSE_LEVEL_DISTANCE) + 1;
+    if (courseLevel > this.courseLevel) this.raiseCourseLevel(courseLevel);
+
+    // Spawn the next chunk once enough distance has scrolled, then lay ground up to it
+    this.updateChunkSpawner(delta);
+    this.updateGround(this.getEffectiveSpeed() * seconds);
+
+    const speed = this.getEffectiveSpeed();
+
+    // Scroll ground and platforms - off-screen segments go back to the pool
+    ['ground', 'platforms'].forEach(key => {
+      globalManagers.poolManager.getActive(key).forEach(segment => {
+        if (segment.x + segment.displayWidth / 2 < -50) {
+          globalManagers.poolManager.release(key, segment);
+        } else {
+          segment.body.setVelocityX(-speed);
+        }
+      });
+    });
+
+    // Update obstacles - off-screen ones go back to the pool
     this.obstacles.children.iterate(obstacle => {
-      if (obstacle && obstacle.x < -50) {
-        obstacle.destroy();
-      } else if (obstacle) {
-        obstacle.body.setVelocityX(-this.speed);
-        if (obstacle.rotationSpeed) obstacle.rotation += obstacle.rotationSpeed;
+      if (!obstacle || !obstacle.active) return;
+
+      if (obstacle.x < -50) {
+        globalManagers.poolManager.release('obstacles', obstacle);
+      } else {
+        obstacle.body.setVelocityX(-speed);
+        if (obstacle.rotationSpeed) obstacle.rotation += obstacle.rotationSpeed * seconds;
+        if (obstacle.behaviour) this.updateObstacleBehaviour(obstacle, speed, seconds);
+        this.checkNearMiss(obstacle);
       }
     });
 
-    // Update coins
+    // Update coins - the magnet pulls nearby coins toward the player
     this.coins.children.iterate(coin => {
-      if (coin && coin.x < -50) {
-        coin.destroy();
-      } else if (coin) {
-        coin.body.setVelocityX(-this.speed);
+      if (!coin || !coin.active) return;
+
+      if (coin.x < -50) {
+        globalManagers.poolManager.release('coins', coin);
+      } else if (this.powerUps.magnet > 0 &&
+          Phaser.Math.Distance.Between(coin.x, coin.y, this.player.x, this.player.y) < GAME_CONFIG.MAGNET_RADIUS) {
+        this.pullCoin(coin);
+      } else {
+        coin.body.setVelocityX(-speed);
       }
     });
 
-    // Reset double jump when touching ground
-    if (this.player.body.touching.down) this.canDoubleJump = true;
+    // Falling into a pit ends the run
+    if (this.player.y > GAME_CONFIG.PIT_DEATH_Y) {
+      this.fallIntoPit();
+      return;
     }
+
+    // Stop a replay that outlives its recording (e.g. a replay recorded by an older version)
+    if (this.replay && this.runTime > this.replay.duration + GAME_CONFIG.REPLAY_OVERRUN) {
+      this.handleNormalGameOver();
+      return;
+    }
+
+    // Reset double jump when touching ground and fire any buffered jump
+    if (this.player.body.touching.down) {
+      this.coinCombo = 0;
+      this.canDoubleJump = true;
+      this.lastGroundedAt = this.runTime;
+      if (this.runTime <= this.jumpBufferedUntil) this.groundJump();
+    }
+
+    // Power-up countdowns run on run time, so a replay expires them on the same step
+    this.powerUpTickElapsed += delta;
+    while (this.powerUpTickElapsed >= GAME_CONFIG.POWER_UP_TICK) {
+      this.powerUpTickElapsed -= GAME_CONFIG.POWER_UP_TICK;
+      this.tickPowerUps();
+    }
+
+    // Enter or leave the sliding pose
+    this.updateSlide();
+  }
+
+  updatePoolStats() {
+    const stats = globalManagers.poolManager.getStats();
+    const lines = Object.keys(stats).map(key =>
+      `${key}: ${stats[key].active} active / ${stats[key].free} free (${stats[key].created} created)`);
+    this.poolStatsText.setText(lines.join('\n'));
+  }
   
     startGame() {
       this.gameStarted = true;
     this.score = 0;
     localStorage.setItem('currentScore', 0);
     this.scoreText.setText('Score: 0');
+
+    // Replays don't count as plays or show ads
+    if (this.replay) {
+      this.performStartGame();
+      return;
+    }
     
     // Increment game play count and check for ad
     this.gamePlayCount++;
@@ -3446,28 +5722,533 @@ class GameScene extends Phaser.Scene {
     this.updateButtonVisibility();
       this.gameOverText.setAlpha(0);
       this.physics.resume();
-      this.spawnTimer.paused = false;
       this.pauseText.setText('');
-      this.powerUpText.setText('Power Up: None');
-      this.powerUps.revive = false;
+    this.resetPowerUps();
+    this.seedRun();
+    this.resetRunStats();
+    this.applyStartingPowerUps();
+    globalManagers.audioManager.playMusic();
+    }
+
+  /**
+   * Chooses the run seed and re-seeds the course and cloud random sources
+   * The same seed always produces the same sequence of chunks, coins and power-ups
+   */
+  seedRun() {
+    const seedManager = globalManagers.seedManager;
+
+    this.runTime = 0;
+    this.distance = 0;
+    this.courseLevel = 1;
+    this.reviveGivenThisLevel = false;
+    this.nextTrackSampleAt = 0;
+    this.replayIndex = 0;
+    this.recording = null;
+
+    if (this.replay) {
+      this.seed = this.replay.seed;
+    } else if (this.isDaily) {
+      // Only the first daily run of the day counts, later runs are practice
+      const scoreManager = globalManagers.scoreManager;
+      // The run keeps the day it started on, even if it finishes after midnight
+      this.dailyKey = scoreManager.getTodayKey();
+      this.dailyCounted = !scoreManager.hasDailyAttempt(this.dailyKey);
+      scoreManager.markDailyAttempt(this.dailyKey);
+      this.seed = seedManager.getDailySeed(this.dailyKey);
+    } else {
+      this.seed = seedManager.resolveRunSeed(globalManagers.settingsManager.getRunSeed());
+    }
+
+    // A score multiplier earned from missions applies to the next normal run
+    this.scoreMultiplier = 1;
+    if (this.replay) {
+      this.scoreMultiplier = this.replay.scoreMultiplier || 1;
+    } else if (!this.isDaily) {
+      this.scoreMultiplier = globalManagers.missionManager.consumeMultiplier();
+    }
+    if (this.scoreMultiplier > 1) this.showBanner(`✨ Mission bonus: x${this.scoreMultiplier} score this run`);
+
+    // Shop upgrades and starting power-ups apply to normal runs, the daily challenge stays even
+    const shopManager = globalManagers.shopManager;
+    if (this.replay) {
+      this.shopEffects = this.replay.shop || shopManager.getDefaultRunEffects(GAME_CONFIG.REVIVE_CHANCE);
+    } else if (this.isDaily) {
+      this.shopEffects = shopManager.getDefaultRunEffects(GAME_CONFIG.REVIVE_CHANCE);
+    } else {
+      const scoreManager = globalManagers.scoreManager;
+      this.shopEffects = shopManager.getRunEffects(scoreManager.getInventory(), GAME_CONFIG.REVIVE_CHANCE);
+      this.shopEffects.startPowerUps = this.shopEffects.startPowerUps.filter(id => scoreManager.useItem(id));
+    }
+
+    // Only fixed-step runs are recorded - with frame time the inputs couldn't be played back
+    // on the physics steps they happened on
+    this.fixedStep = this.replay !== null || globalManagers.settingsManager.getFixedTimestep();
+    if (!this.replay) {
+      if (this.fixedStep) {
+        this.recording = globalManagers.replayManager.createRecording(this.seed, this.isDaily ? 'daily' : 'normal');
+        this.recording.scoreMultiplier = this.scoreMultiplier;
+        this.recording.shop = this.shopEffects;
+        this.recording.character = this.character.id;
+      }
+      globalManagers.missionManager.startRun();
+    }
+
+    this.stepAccumulator = 0;
+
+    this.rng = seedManager.createRandom(this.seed);
+    globalManagers.cloudManager.setRandom(seedManager.createRandom(this.seed, 'clouds'));
+    this.loadGhost();
+  }
+
+  /**
+   * Picks the run the ghost races - the personal best or the top leaderboard entry
+   * No ghost when it's turned off, when watching a replay, or when the run has no stored track
+   */
+  loadGhost() {
+    const settingsManager = globalManagers.settingsManager;
+    const replayManager = globalManagers.replayManager;
+    let ghostReplay = null;
+
+    if (!this.replay && settingsManager.getShowGhost()) {
+      if (settingsManager.getGhostSource() === 'top') {
+        const scoreManager = globalManagers.scoreManager;
+        const board = this.isDaily
+          ? scoreManager.getDailyLeaderboard(this.dailyKey)
+          : scoreManager.getLeaderboard();
+        ghostReplay = board.length > 0 ? replayManager.getReplay(board[0].replayId) : null;
+      } else {
+        ghostReplay = replayManager.getBestReplay();
+      }
+    }
+
+    this.ghostReplay = ghostReplay && ghostReplay.track && ghostReplay.track.length > 1 ? ghostReplay : null;
+    this.ghost.setVisible(false);
+    this.ghostText.setVisible(!!this.ghostReplay);
+    this.updateGhost();
+  }
+
+  /**
+   * Samples the player's position into the recording's track every GHOST_SAMPLE_MS
+   */
+  recordTrackPoint() {
+    if (!this.recording || this.runTime < this.nextTrackSampleAt) return;
+
+    globalManagers.replayManager.addTrackPoint(this.recording, this.runTime, this.distance, this.player.y, this.isSliding);
+    this.nextTrackSampleAt += GAME_CONFIG.GHOST_SAMPLE_MS;
+  }
+
+  /**
+   * Moves the ghost to where the raced run was at the same run time
+   * It is drawn ahead of or behind the player by the difference in distance run
+   */
+  updateGhost() {
+    if (!this.ghostReplay) return;
+
+    const state = globalManagers.replayManager.getTrackState(this.ghostReplay.track, this.runTime);
+    const ghostX = this.player.x + state.distance - this.distance;
+    const playerManager = globalManagers.playerManager;
+    const ghostCharacter = playerManager.getCharacter(this.ghostReplay.character || null).id;
+
+    this.ghost.setPosition(ghostX, state.y);
+    this.ghost.setTexture(playerManager.getPlayerTexture(ghostCharacter), state.sliding
+      ? 'slide'
+      : playerManager.getRunFrame(state.distance, GAME_CONFIG.RUN_FRAME_DISTANCE));
+    this.ghost.setVisible(!state.finished && ghostX > -50 && ghostX < GAME_CONFIG.WIDTH + 50);
+
+    // Ahead/behind in meters, next to the score
+    const meters = Math.round((this.distance - state.distance) / GAME_CONFIG.PIXELS_PER_METER);
+    this.ghostText.setText(`👻 ${meters >= 0 ? '+' : ''}${meters}m`);
+    this.ghostText.setFill(meters >= 0 ? '#1B8A2F' : '#C62828');
+    this.ghostText.setX(this.scoreText.x + this.scoreText.width + 12);
+  }
+
+  /**
+   * Adds an input to the current run's recording at the current run time
+   * @param {string} code - Input code from ReplayManager
+   */
+  recordInput(code) {
+    if (!this.recording) return;
+    globalManagers.replayManager.addInput(this.recording, this.runTime, code);
+  }
+
+  /**
+   * Fires every replay input recorded at or before the current run time
+   */
+  playReplayInputs() {
+    const inputs = this.replay.inputs;
+
+    while (this.replayIndex < inputs.length && inputs[this.replayIndex][0] <= this.runTime) {
+      this.applyReplayInput(inputs[this.replayIndex][1]);
+      this.replayIndex++;
+    }
+  }
+
+  applyReplayInput(code) {
+    const inputs = globalManagers.replayManager.inputs;
+
+    switch (code) {
+      case inputs.JUMP: this.jump(); break;
+      case inputs.JUMP_RELEASE: this.releaseJump(); break;
+      case inputs.SLIDE: this.startSlide(); break;
+      case inputs.SLIDE_RELEASE: this.stopSlide(); break;
+      case inputs.SWIPE: this.swipeSlide(); break;
+      case inputs.REVIVE: this.useRevive(); break;
+      default: break; // Pauses don't affect the run, playback is paused with the replay controls
+    }
+  }
+
+  toggleReplayPlayback() {
+    if (!this.gameStarted || this.gameOver) return;
+
+    this.togglePause();
+    this.replayPlayBtn.setText(this.isPaused ? '▶️ PLAY' : '⏸ PAUSE');
+  }
+
+  toggleReplaySpeed() {
+    this.playbackRate = this.playbackRate === 1 ? GAME_CONFIG.REPLAY_FAST_RATE : 1;
+    this.replaySpeedBtn.setText(this.playbackRate === 1 ? '⏩ 2X' : '▶️ 1X');
+    this.applyTimeScales();
+  }
+
+  /**
+   * Swaps the player controls for the replay controls
+   */
+  showReplayControls() {
+    this.startBtn.setVisible(false);
+    this.jumpBtn.setVisible(false);
+    this.slideBtn.setVisible(false);
+    this.pauseBtn.setVisible(false);
+    this.reviveBtn.setVisible(false);
+    this.replayPlayBtn.setVisible(!this.gameOver);
+    this.replaySpeedBtn.setVisible(true);
+    this.restartBtn.setVisible(true);
+    this.menuBtn.setVisible(true);
+  }
+
+  showGameOverText() {
+    if (this.replay) {
+      this.gameOverText.setText(`REPLAY OVER\nTap Restart to watch again\nSeed: ${this.seed}`);
+      this.gameOverText.setAlpha(1);
+      return;
+    }
+
+    const dailyNote = this.dailyCounted ? 'Counted for today\'s board' : 'Practice run - today\'s attempt is used';
+    const footer = this.isDaily ? `Daily Challenge - ${dailyNote}` : `Seed: ${this.seed}`;
+    this.gameOverText.setText(`GAME OVER\nTap Restart Button\n${footer}`);
+    this.gameOverText.setAlpha(1);
+  }
+
+  /**
+   * Shows the results panel for a finished run, built from this.runStats
+   */
+  showRunSummary() {
+    this.hideRunSummary();
+    const stats = this.runStats;
+    const scoreManager = globalManagers.scoreManager;
+    const centerX = GAME_CONFIG.WIDTH / 2;
+    const panel = this.add.container(0, 0).setDepth(12);
+    this.summaryPanel = panel;
+
+    const background = this.add.rectangle(centerX, 265, 480, 390, 0x000000, 0.85);
+    background.setStrokeStyle(3, 0xffffff, 1);
+    panel.add(background);
+
+    const addText = (x, y, text, style) => {
+      const label = this.add.text(x, y, text, { fontFamily: 'Arial', fill: '#fff', ...style }).setOrigin(0.5);
+      panel.add(label);
+      return label;
+    };
+
+    addText(centerX, 95, this.isDaily ? 'DAILY CHALLENGE OVER' : 'GAME OVER', {
+      fontSize: '30px', fill: '#f44336', fontStyle: 'bold'
+    });
+    if (stats.newBest) {
+      addText(centerX, 130, '🏅 NEW PERSONAL BEST!', { fontSize: '20px', fill: '#FFD700', fontStyle: 'bold' });
+    }
+    addText(centerX, 168, scoreManager.formatScore(stats.score), { fontSize: '40px', fill: '#FFD700', fontStyle: 'bold' });
+
+    // Two columns of run stats
+    const rows = [
+      [`📏 Distance: ${stats.distance} m`, `🪙 Coins: ${stats.coins}`],
+      [`🏔️ Level: ${stats.level}`, `⏱️ Time: ${scoreManager.formatDuration(stats.time)}`],
+      [`🔗 Best combo: x${stats.bestCombo}`, `⚡ Near misses: ${stats.nearMisses}`]
+    ];
+    rows.forEach((row, index) => {
+      addText(centerX - 110, 215 + index * 30, row[0], { fontSize: '18px' });
+      addText(centerX + 110, 215 + index * 30, row[1], { fontSize: '18px' });
+    });
+
+    const breakdown = stats.breakdown;
+    addText(centerX, 310,
+      `Coins ${breakdown.coins} · Distance ${breakdown.distance} · Near misses ${breakdown.nearMiss} · Combos ${breakdown.combo}`,
+      { fontSize: '14px', fill: '#bbb' });
+
+    // Leaderboard rank, or why the run wasn't ranked
+    let rankLine = 'Not ranked';
+    if (stats.rank) {
+      const board = this.isDaily ? 'today\'s board' : 'the leaderboard';
+      rankLine = `🏆 Rank #${stats.rank} on ${board} ${scoreManager.getMedalForRank(stats.rank)}`;
+    } else if (this.isDaily && !this.dailyCounted) {
+      rankLine = 'Practice run - today\'s attempt is used';
+    }
+    addText(centerX, 340, rankLine, { fontSize: '18px', fill: '#4CAF50', fontStyle: 'bold' });
+    addText(centerX, 368, `Seed: ${this.seed}   ·   🪙 Wallet: ${scoreManager.getCoinBalance()}`, { fontSize: '14px', fill: '#bbb' });
+
+    // Retry and menu buttons
+    const addButton = (x, text, callback) => {
+      const button = addText(x, 418, text, UI_CONFIG.BUTTON_STYLE).setInteractive({ useHandCursor: true });
+      button.on('pointerover', () => button.setStyle({ fill: '#ff0', backgroundColor: '#666' }));
+      button.on('pointerout', () => button.setStyle({ fill: '#fff', backgroundColor: '#444' }));
+      button.on('pointerdown', callback);
+      return button;
+    };
+    addButton(centerX - 90, '🔄 RETRY', () => this.restartGame());
+    addButton(centerX + 90, '🏠 MENU', () => this.scene.start('MainMenuScene'));
+
+    panel.setAlpha(0);
+    this.tweens.add({ targets: panel, alpha: 1, duration: 300 });
+  }
+
+  hideRunSummary() {
+    if (!this.summaryPanel) return;
+    this.summaryPanel.destroy();
+    this.summaryPanel = null;
+  }
   
-    if (this.powerUpTimer) {
-        this.powerUpTimer.remove();
-        this.powerUpTimer = null;
+  /**
+   * Jumps from the ground (or within coyote time), otherwise double jumps
+   * With no jump left the press is buffered and fires on landing
+   */
+    jump() {
+    const now = this.runTime;
+    this.jumpHeld = true;
+    this.recordInput(globalManagers.replayManager.inputs.JUMP);
+
+    if (this.player.body.touching.down || now - this.lastGroundedAt <= GAME_CONFIG.COYOTE_TIME) {
+      this.groundJump();
+      } else if (this.canDoubleJump) {
+      this.player.setVelocityY(GAME_CONFIG.DOUBLE_JUMP_VELOCITY);
+        this.canDoubleJump = false;
+      this.canCutJump = true;
+      this.runStats.doubleJumps++;
+      this.reportProgress('doubleJump', this.runStats.doubleJumps);
+      this.flipStartedAt = now;
+      globalManagers.audioManager.playSfx('doubleJump');
+    } else {
+      this.jumpBufferedUntil = now + GAME_CONFIG.JUMP_BUFFER_TIME;
+      }
+    }
+
+  groundJump() {
+    this.reportProgress('jump');
+    globalManagers.audioManager.playSfx('jump');
+    this.resetSlide();
+    this.player.setVelocityY(GAME_CONFIG.JUMP_VELOCITY);
+    this.canDoubleJump = true;
+    this.canCutJump = true;
+    this.lastGroundedAt = -Infinity; // Coyote time is used up by this jump
+    this.jumpBufferedUntil = -1;
+
+    // A buffered press that was already released gives a short hop
+    if (!this.jumpHeld) this.cutJump();
+  }
+
+  releaseJump() {
+    if (!this.jumpHeld) return;
+
+    this.jumpHeld = false;
+    this.recordInput(globalManagers.replayManager.inputs.JUMP_RELEASE);
+    this.cutJump();
+  }
+
+  /**
+   * Releasing jump while still rising cuts the upward velocity for a lower jump
+   */
+  cutJump() {
+    if (!this.canCutJump || this.player.body.velocity.y >= 0) return;
+
+    this.player.setVelocityY(this.player.body.velocity.y * GAME_CONFIG.JUMP_CUT_MULTIPLIER);
+    this.canCutJump = false;
+  }
+
+  resetJump() {
+    this.jumpHeld = false;
+    this.canCutJump = false;
+    this.lastGroundedAt = -Infinity;
+    this.jumpBufferedUntil = -1;
+    this.resetPlayerAnimation();
+  }
+
+  resetPlayerAnimation() {
+    this.flipStartedAt = -Infinity;   // Run time of the last double-jump flip
+    this.landedAt = -Infinity;        // Run time of the last landing
+    this.landingSquash = 0;           // Squash of the last landing (0-1), from the fall speed
+    this.wasGrounded = true;
+    this.lastFallSpeed = 0;
+  }
+
+  /**
+   * Picks the player's frame from its state and velocity, and adds squash and stretch
+   * Runs after the physics step every frame, so the sprite sits exactly on the body
+   */
+  updatePlayerSprite() {
+    const body = this.player.body;
+    const sprite = this.playerSprite;
+    const grounded = body.touching.down;
+    const flipTime = this.runTime - this.flipStartedAt;
+
+    // Landing squash grows with the speed the player came down at
+    if (grounded && !this.wasGrounded) {
+      this.landedAt = this.runTime;
+      this.landingSquash = Math.min(1, this.lastFallSpeed / GAME_CONFIG.STRETCH_SPEED);
+    }
+    this.wasGrounded = grounded;
+    this.lastFallSpeed = Math.max(0, body.velocity.y);
+
+    let frame;
+    let angle = 0;
+    let stretch = 0;
+    if (this.gameOver) {
+      frame = 'hit';
+    } else if (this.isSliding) {
+      frame = 'slide';
+    } else if (!grounded && flipTime < GAME_CONFIG.FLIP_DURATION) {
+      frame = 'flip';
+      angle = 360 * flipTime / GAME_CONFIG.FLIP_DURATION;
+    } else if (!grounded) {
+      frame = body.velocity.y < 0 ? 'jump' : 'fall';
+      stretch = GAME_CONFIG.AIR_STRETCH * Math.min(1, Math.abs(body.velocity.y) / GAME_CONFIG.STRETCH_SPEED);
+    } else {
+      frame = globalManagers.playerManager.getRunFrame(this.distance, GAME_CONFIG.RUN_FRAME_DISTANCE);
+      const squashTime = this.runTime - this.landedAt;
+      if (squashTime < GAME_CONFIG.LAND_SQUASH_TIME) {
+        stretch = -GAME_CONFIG.LAND_SQUASH * this.landingSquash * (1 - squashTime / GAME_CONFIG.LAND_SQUASH_TIME);
       }
     }
+
+    // Stretch is taller and thinner, squash shorter and wider - the feet stay on the body's feet.
+    // The flip turns around the frame's centre instead, so the head doesn't swing below the body
+    sprite.setFrame(frame);
+    sprite.setAngle(angle);
+    sprite.setScale(1 - stretch / 2, 1 + stretch);
+    if (frame === 'flip') {
+      // With the feet on the body's feet the frame's centre is on the body's centre
+      sprite.setOrigin(0.5, 0.5);
+      sprite.setPosition(this.player.x, this.player.y);
+    } else {
+      sprite.setOrigin(0.5, 48 / 52);
+      sprite.setPosition(this.player.x, this.player.y + 48 - 52 / 2);
+    }
+    this.shieldBubble.setPosition(this.player.x, this.player.y);
+  }
+
+  /**
+   * Starts a held slide (DOWN key or SLIDE button)
+   * Sliding in mid-air drops the player quickly so the slide starts on landing
+   */
+  startSlide() {
+    if (!this.gameStarted || this.gameOver || this.isPaused) return;
+
+    this.slideHeld = true;
+    this.recordInput(globalManagers.replayManager.inputs.SLIDE);
+    if (!this.player.body.touching.down) {
+      this.player.setVelocityY(GAME_CONFIG.SLIDE_DROP_VELOCITY);
+    }
+  }
+
+  stopSlide() {
+    if (!this.slideHeld) return;
+
+    this.slideHeld = false;
+    this.recordInput(globalManagers.replayManager.inputs.SLIDE_RELEASE);
+  }
+
+  /**
+   * Starts a timed slide from a swipe-down gesture
+   */
+  swipeSlide() {
+    if (!this.gameStarted || this.gameOver || this.isPaused) return;
+
+    this.slideUntil = this.runTime + GAME_CONFIG.SLIDE_DURATION;
+    this.recordInput(globalManagers.replayManager.inputs.SWIPE);
+    if (!this.player.body.touching.down) {
+      this.player.setVelocityY(GAME_CONFIG.SLIDE_DROP_VELOCITY);
+    }
+  }
+
+  /**
+   * Switches between running and sliding based on input and ground contact
+   * A slide only begins on the ground but continues until the input ends
+   */
+  updateSlide() {
+    const wantsSlide = this.slideHeld || this.runTime < this.slideUntil;
+
+    if (!this.isSliding && wantsSlide && this.player.body.touching.down) {
+      this.setSliding(true);
+      this.runStats.slides++;
+      this.reportProgress('slide', this.runStats.slides);
+    } else if (this.isSliding && !wantsSlide) {
+      this.setSliding(false);
+    }
+  }
+
+  setSliding(sliding) {
+    this.isSliding = sliding;
+    this.setPlayerBody(sliding);
+  }
+
+  /**
+   * Puts the player at rest at the start position, just above the ground
+   * Fresh scenes and restarts share it - replays always start in a fresh scene, so a run
+   * recorded after a restart must start from the same place to land on the same step
+   */
+  resetPlayerPosition() {
+    this.player.body.reset(GAME_CONFIG.PLAYER_START_X, GAME_CONFIG.PLAYER_START_Y - 10);
+  }
+
+  /**
+   * Sizes the player's collision box, keeping its bottom edge on the feet
+   * Daily runs use the default character's hitbox so every player gets the same course
+   * @param {boolean} sliding - Use the shorter sliding hitbox
+   */
+  setPlayerBody(sliding) {
+    const hitbox = this.isDaily ? globalManagers.playerManager.getCharacter(null).hitbox : this.character.hitbox;
+    const height = sliding ? hitbox.slideHeight : hitbox.height;
+    this.player.body.setSize(hitbox.width, height, false);     // Smaller collision box than visual size
+    this.player.body.setOffset((44 - hitbox.width) / 2, 48 - height); // Center horizontally, feet at y = 48
+  }
+
+  resetSlide() {
+    this.slideHeld = false;
+    this.slideUntil = 0;
+    if (this.isSliding) this.setSliding(false);
+  }
   
-    jump() {
-      if (this.player.body.touching.down) {
-      this.player.setVelocityY(GAME_CONFIG.JUMP_VELOCITY);
-        this.canDoubleJump = true;
-      } else if (this.canDoubleJump) {
-      this.player.setVelocityY(GAME_CONFIG.DOUBLE_JUMP_VELOCITY);
-        this.canDoubleJump = false;
-      }
+    hitObstacle(player, obstacle) {
+    // An active shield absorbs the hit and breaks the obstacle
+    if (this.powerUps.shield > 0) {
+      this.absorbHitWithShield(obstacle);
+      return;
     }
-  
-    hitObstacle() {
+
+    // Remember what ended the run for the run history
+    if (obstacle.behaviour) this.runStats.cause = obstacle.behaviour.key;
+    else this.runStats.cause = obstacle.texture.key.startsWith('obstacle_overhead') ? 'overhead' : 'obstacle';
+    this.handleGameOver();
+  }
+
+  /**
+   * Ends the run after falling into a pit - a shield can't help, a revive can
+   */
+  fallIntoPit() {
+    this.player.setVelocity(0, 0);
+    this.runStats.cause = 'pit';
+    this.handleGameOver();
+  }
+
+  handleGameOver() {
+    globalManagers.audioManager.playSfx('hit');
+    globalManagers.audioManager.pauseMusic();
       if (this.powerUps.revive) {
       this.handleReviveGameOver();
     } else {
@@ -3477,85 +6258,129 @@ class GameScene extends Phaser.Scene {
 
   handleReviveGameOver() {
         this.gameOver = true;
-        this.player.setTint(0xff0000);
+        this.playerSprite.setTint(0xff0000);
         this.physics.pause();
-        this.spawnTimer.paused = true;
   
         this.jumpBtn.setVisible(false);
+        this.slideBtn.setVisible(false);
         this.pauseBtn.setVisible(false);
         this.restartBtn.setVisible(false);
         this.reviveBtn.setVisible(true);
     this.menuBtn.setVisible(true);
   
-        this.gameOverText.setAlpha(1);
+        this.showGameOverText();
+    if (this.replay) this.showReplayControls();
+  }
+
+  /**
+   * Leaves for the main menu - a run waiting on the revive prompt is finished first, so its
+   * score, history, missions and coins are saved as if the revive had been declined
+   */
+  returnToMenu() {
+    if (this.gameOver && this.powerUps.revive && !this.replay) this.handleNormalGameOver();
+    this.scene.start('MainMenuScene');
   }
 
   handleNormalGameOver() {
         this.gameOver = true;
-        this.player.setTint(0xff0000);
+        this.playerSprite.setTint(0xff0000);
         this.physics.pause();
-        this.spawnTimer.paused = true;
   
-    // Save score to leaderboard
-    this.saveScoreToLeaderboard();
+    // Save the run's replay, then the score to the leaderboard
+    this.finishRunStats();
+    this.saveReplay();
+    this.runStats.rank = this.saveScoreToLeaderboard();
+    this.saveRunRecord();
+    if (!this.replay) globalManagers.scoreManager.addCoins(this.runStats.coins, 'run');
+    if (this.runStats.rank) this.reportProgress('leaderboardRank', this.runStats.rank);
+    if (!this.replay) {
+      this.reportProgress('dayStreak', globalManagers.scoreManager.getDayStreak().current);
+    }
+    this.reportProgress('runs', 1);
 
-    // Update high score if needed
-        if (this.score > this.highScore) {
+    // Update high score if needed (replays never count)
+        if (!this.replay && this.score > this.highScore) {
           this.highScore = this.score;
           localStorage.setItem('highScore', this.highScore);
       this.highScoreText.setText(`High Score: ${this.highScore}`);
         }
   
-        this.gameOverText.setAlpha(1);
+    if (this.replay) this.showGameOverText();
+    else this.showRunSummary();
         this.restartBtn.setVisible(true);
         this.jumpBtn.setVisible(false);
+        this.slideBtn.setVisible(false);
         this.pauseBtn.setVisible(false);
         this.reviveBtn.setVisible(false);
     this.menuBtn.setVisible(true);
-        this.powerUpText.setText('Power Up: None');
-        this.powerUps.revive = false;
+    if (this.replay) this.showReplayControls();
+    this.resetPowerUps();
+    globalManagers.audioManager.stopMusic();
     }
   
     useRevive() {
       if (!this.powerUps.revive) return;
   
+    this.recordInput(globalManagers.replayManager.inputs.REVIVE);
+    this.reportProgress('revive');
       this.gameOver = false;
       this.powerUps.revive = false;
       this.reviveBtn.setVisible(false);
       this.gameOverText.setAlpha(0);
       this.jumpBtn.setVisible(true);
+      this.slideBtn.setVisible(true);
       this.pauseBtn.setVisible(true);
       this.restartBtn.setVisible(false);
     this.menuBtn.setVisible(true);
-      this.powerUpText.setText('Power Up: None');
+    this.updatePowerUpHud();
   
-      this.player.clearTint();
+      this.resetSlide();
+    this.resetJump();
+      this.applySkin();
     this.player.setPosition(GAME_CONFIG.PLAYER_START_X, 200);
       this.player.setVelocity(0, 0);
+    this.bridgePitUnderPlayer();
+  
+    if (this.replay) this.showReplayControls();
   
       this.physics.resume();
-      this.spawnTimer.paused = false;
+    globalManagers.audioManager.resumeMusic();
     }
   
-    spawnObstacle() {
-      const shapes = ['obstacle_rect', 'obstacle_star', 'obstacle_triangle', 'obstacle_circle'];
-      const shape = Phaser.Utils.Array.GetRandom(shapes);
-    const obstacle = this.obstacles.create(GAME_CONFIG.OBSTACLE_SPAWN_X, GAME_CONFIG.OBSTACLE_Y, shape);
-  
-    obstacle.setImmovable(true);
-    obstacle.body.allowGravity = false;
+  /**
+   * Spawns a single obstacle on the ground
+   * @param {string} shape - Obstacle texture key
+   * @param {number} x - Spawn X position (at or beyond the right edge)
+   * @param {string} placement - 'ground' or 'overhead' (hanging, passed by sliding)
+   */
+    spawnObstacle(shape, x, placement = 'ground') {
+    // Ground obstacles may get a behaviour unlocked at this level - the roll is always
+    // taken so the course stays the same whichever behaviours are unlocked
+    let behaviour = null;
+    if (placement === 'ground') {
+      const roll = this.rng.frac() * 100;
+      behaviour = globalManagers.obstacleManager.pickBehaviour(shape, this.unlockedBehaviours, roll);
+    }
+    const texture = (behaviour && behaviour.texture) || shape;
+
+    let y = GAME_CONFIG.OBSTACLE_Y;
+    if (placement === 'overhead') y = GAME_CONFIG.OVERHEAD_OBSTACLE_Y;
+    else if (behaviour && behaviour.key === 'fly') y = globalManagers.obstacleManager.getFlightY(behaviour, 0);
+    else if (behaviour && behaviour.key === 'fall') y = GAME_CONFIG.OBSTACLE_Y - behaviour.dropHeight;
+
+    const obstacle = globalManagers.poolManager.acquire('obstacles', texture, x, y);
+    obstacle.behaviour = behaviour;
   
     // Add rotation animation for certain shapes
-      if (shape === 'obstacle_star' || shape === 'obstacle_triangle') {
-      obstacle.rotationSpeed = Phaser.Math.FloatBetween(0.02, 0.05);
+      if (texture === 'obstacle_star' || texture === 'obstacle_triangle') {
+      obstacle.rotationSpeed = this.rng.realInRange(1.2, 3); // Radians per second
       } else {
       obstacle.rotationSpeed = 0;
       }
   
     // Add pulsating animation for triangle
-      if (shape === 'obstacle_triangle') {
-      obstacle.pulseTween = this.tweens.add({
-        targets: obstacle,
+      if (texture === 'obstacle_triangle') {
+      this.playPooledTween(obstacle, 'pulseTween', {
           scaleX: 1.1,
           scaleY: 1.1,
           yoyo: true,
@@ -3564,48 +6389,31 @@ class GameScene extends Phaser.Scene {
         });
       }
   
-    obstacle.body.setVelocityX(-this.speed);
-    
-    // Store reference to this obstacle for coin placement
-    this.lastSpawnedObstacle = obstacle;
+    obstacle.body.setVelocityX(-this.getEffectiveSpeed());
     }
   
-    spawnCoin() {
-    // Place coin on top of the last spawned obstacle
-    let coinY;
-    
-    if (this.lastSpawnedObstacle) {
-      // Place coin on top of the obstacle with some variation
-      const obstacleTop = this.lastSpawnedObstacle.y - 15; // 15 is half the obstacle height
-      const variation = Phaser.Math.Between(-5, 5); // Small random variation
-      
-      // Adjust height based on obstacle type
-      let heightOffset = 35; // Default height above obstacle
-      
-      // Check if it's a rectangular obstacle (which is taller)
-      if (this.lastSpawnedObstacle.texture.key === 'obstacle_rect') {
-        heightOffset = 50; // More height for rectangular obstacles
-      }
-      
-      coinY = obstacleTop - heightOffset - variation;
-    } else {
-      // Fallback to random position if no obstacle
-      coinY = Phaser.Math.Between(GAME_CONFIG.COIN_MIN_Y, GAME_CONFIG.COIN_MAX_Y);
-    }
+  /**
+   * Spawns a coin, occasionally upgraded to a revive coin
+   * @param {number} x - Spawn X position (at or beyond the right edge)
+   * @param {number} coinY - Coin Y position from the chunk layout
+   */
+    spawnCoin(x, coinY) {
+    coinY = this.getCoinY(x, coinY);
 
     // Spawn revive coin with 20% chance if not given this level
-    if (!this.reviveGivenThisLevel && Phaser.Math.Between(1, 100) <= GAME_CONFIG.REVIVE_CHANCE) {
-      const coin = this.coins.create(GAME_CONFIG.COIN_SPAWN_X, coinY, 'coin_revive');
-        coin.setImmovable(true);
-        coin.body.allowGravity = false;
-        coin.body.setVelocityX(-this.speed);
+    // The roll is always made so the seeded sequence doesn't depend on earlier revive coins
+    const reviveRoll = this.rng.between(1, 100);
+    const reviveCoinsAllowed = !this.isDaily || GAME_CONFIG.DAILY_REVIVE_COINS;
+    if (reviveCoinsAllowed && !this.reviveGivenThisLevel && reviveRoll <= this.shopEffects.reviveChance) {
+      const coin = globalManagers.poolManager.acquire('coins', 'coin_revive', x, coinY);
+        coin.body.setVelocityX(-this.getEffectiveSpeed());
+      coin.powerUpType = 'revive';
   
         this.reviveGivenThisLevel = true;
   
       // Add bouncing animation
-        coin.bounceTween = this.tweens.add({
-          targets: coin,
-        y: coinY - 10,
+      this.playPooledTween(coin, 'bounceTween', {
+        y: '-=10',
           yoyo: true,
           duration: 400,
           repeat: -1,
@@ -3615,39 +6423,251 @@ class GameScene extends Phaser.Scene {
       }
   
     // Spawn regular coin
-    const coin = this.coins.create(GAME_CONFIG.COIN_SPAWN_X, coinY, 'coin');
-      coin.setImmovable(true);
-      coin.body.allowGravity = false;
-      coin.body.setVelocityX(-this.speed);
+    const coin = globalManagers.poolManager.acquire('coins', 'coin', x, coinY);
+      coin.body.setVelocityX(-this.getEffectiveSpeed());
     
     // Add subtle floating animation for regular coins
-    coin.floatTween = this.tweens.add({
-      targets: coin,
-      y: coinY - 5,
+    this.playPooledTween(coin, 'floatTween', {
+      y: '-=5',
       yoyo: true,
       duration: 600,
       repeat: -1,
       ease: 'Sine.easeInOut'
     });
     }
+
+  /**
+   * Spawns a timed power-up pickup in place of a coin
+   * @param {string} type - Power-up type key from PowerUpManager
+   * @param {number} x - Spawn X position (at or beyond the right edge)
+   * @param {number} y - Pickup Y position from the chunk layout
+   */
+  spawnPowerUp(type, x, y) {
+    const definition = globalManagers.powerUpManager.getDefinition(type);
+    const pickup = globalManagers.poolManager.acquire('coins', definition.texture, x, this.getCoinY(x, y));
+    pickup.body.setVelocityX(-this.getEffectiveSpeed());
+    pickup.powerUpType = type;
+
+    this.playPooledTween(pickup, 'bounceTween', {
+      y: '-=10',
+      yoyo: true,
+      duration: 400,
+      repeat: -1,
+      ease: 'Sine.easeInOut'
+    });
+  }
+
+  /**
+   * Steers a coin toward the player while the magnet is active
+   */
+  pullCoin(coin) {
+    if (!coin.magnetized) {
+      coin.magnetized = true;
+      if (coin.floatTween) coin.floatTween.pause();
+      if (coin.bounceTween) coin.bounceTween.pause();
+    }
+
+    const angle = Phaser.Math.Angle.Between(coin.x, coin.y, this.player.x, this.player.y);
+    this.physics.velocityFromRotation(angle, GAME_CONFIG.MAGNET_PULL_SPEED, coin.body.velocity);
+  }
   
+  /**
+   * Pauses the run, or resumes it - played runs resume after a countdown, replays straight away
+   * Pausing again during the countdown reopens the pause menu
+   */
     togglePause() {
-      this.isPaused = !this.isPaused;
-    
-      if (this.isPaused) {
-        this.physics.pause();
-        this.pauseText.setText('PAUSED');
-        this.spawnTimer.paused = true;
-        globalManagers.cloudManager.pause();
-      } else {
-        this.physics.resume();
-        this.pauseText.setText('');
-        this.spawnTimer.paused = false;
-        globalManagers.cloudManager.resume();
+    if (!this.isPaused) {
+      this.pauseGame();
+    } else if (this.resumeTimer) {
+      this.closePause();
+      this.showPauseMenu();
+    } else if (this.replay) {
+      this.resumeGame();
+    } else {
+      this.startResumeCountdown();
+    }
+    }
+
+  pauseGame() {
+    this.isPaused = true;
+    this.recordInput(globalManagers.replayManager.inputs.PAUSE);
+      this.physics.pause();
+      globalManagers.cloudManager.pause();
+    globalManagers.audioManager.pauseMusic();
+
+    // Replays pause with their own controls
+    if (this.replay) this.pauseText.setText('PAUSED');
+    else this.showPauseMenu();
+  }
+
+  resumeGame() {
+    this.closePause();
+    this.isPaused = false;
+    this.recordInput(globalManagers.replayManager.inputs.PAUSE);
+      this.physics.resume();
+      globalManagers.cloudManager.resume();
+    globalManagers.audioManager.resumeMusic();
+  }
+
+  /**
+   * Counts down before resuming so the player has time to get ready
+   * The run stays paused until the countdown ends
+   */
+  startResumeCountdown() {
+    this.closePause();
+    let remaining = GAME_CONFIG.RESUME_COUNTDOWN;
+
+    const showNumber = () => {
+      this.pauseText.setText(`${remaining}`).setScale(1.6).setAlpha(1);
+      this.tweens.add({ targets: this.pauseText, scale: 1, alpha: 0.6, duration: 900, ease: 'Cubic.easeOut' });
+    };
+    showNumber();
+    this.resumeTimer = this.time.addEvent({
+      delay: 1000,
+      repeat: GAME_CONFIG.RESUME_COUNTDOWN - 1,
+      callback: () => {
+        remaining--;
+        if (remaining > 0) showNumber();
+        else this.resumeGame();
       }
+    });
+  }
+
+  /**
+   * Removes the pause menu, countdown and pause text
+   */
+  closePause() {
+    if (this.resumeTimer) {
+      this.resumeTimer.remove();
+      this.resumeTimer = null;
+    }
+    this.tweens.killTweensOf(this.pauseText);
+    this.pauseText.setText('').setScale(1).setAlpha(1);
+    if (this.pausePanel) {
+      this.pausePanel.destroy();
+      this.pausePanel = null;
+    }
+  }
+
+  /**
+   * Opens the modal pause menu: run stats and missions (or the controls), quick audio
+   * settings, and resume, restart and quit buttons
+   * @param {string} view - Left column content: 'stats' or 'controls'
+   */
+  showPauseMenu(view = 'stats') {
+    if (this.pausePanel) this.pausePanel.destroy();
+    const scoreManager = globalManagers.scoreManager;
+    const settingsManager = globalManagers.settingsManager;
+    const audioManager = globalManagers.audioManager;
+    const centerX = GAME_CONFIG.WIDTH / 2;
+    const panel = this.add.container(0, 0).setDepth(20);
+    this.pausePanel = panel;
+
+    // Dims the game and blocks the buttons underneath
+    const shade = this.add.rectangle(centerX, GAME_CONFIG.HEIGHT / 2, GAME_CONFIG.WIDTH, GAME_CONFIG.HEIGHT, 0x000000, 0.5)
+      .setInteractive();
+    const background = this.add.rectangle(centerX, 270, 580, 420, 0x000000, 0.85);
+    background.setStrokeStyle(3, 0xffffff, 1);
+    panel.add([shade, background]);
+
+    const addText = (x, y, text, style) => {
+      const label = this.add.text(x, y, text, { fontFamily: 'Arial', fill: '#fff', ...style }).setOrigin(0.5);
+      panel.add(label);
+      return label;
+    };
+    const addButton = (x, y, text, callback, style = UI_CONFIG.BUTTON_STYLE) => {
+      const button = addText(x, y, text, style).setInteractive({ useHandCursor: true });
+      button.on('pointerover', () => button.setStyle({ fill: '#ff0' }));
+      button.on('pointerout', () => button.setStyle({ fill: '#fff' }));
+      button.on('pointerdown', () => {
+        globalManagers.audioManager.playSfx('click');
+        callback();
+      });
+      return button;
+    };
+    const smallButtonStyle = { ...UI_CONFIG.BUTTON_STYLE, fontSize: '15px', padding: { x: 10, y: 5 } };
+
+    addText(centerX, 90, '⏸ PAUSED', { fontSize: '32px', fill: '#FFD700', fontStyle: 'bold' });
+
+    // Left column - this run so far, or the controls
+    const leftX = centerX - 140;
+    if (view === 'controls') {
+      // Current key bindings (changed in Settings → Controls)
+      const controlsManager = globalManagers.controlsManager;
+      addText(leftX, 130, '🎮 CONTROLS', { fontSize: '18px', fill: '#4FC3F7', fontStyle: 'bold' });
+      addText(leftX, 205, controlsManager.getActions('game').map(action =>
+        `${controlsManager.describeKey(action.id)} - ${action.label}`).join('\n'),
+      { fontSize: '13px', align: 'center', lineSpacing: 4 });
+    } else {
+      const distance = Math.round(this.distance / GAME_CONFIG.PIXELS_PER_METER);
+      addText(leftX, 130, '📊 THIS RUN', { fontSize: '18px', fill: '#4FC3F7', fontStyle: 'bold' });
+      addText(leftX, 200, [
+        `💯 Score: ${scoreManager.formatScore(this.score)}`,
+        `🏔️ Level: ${this.level}   ⏱️ ${scoreManager.formatDuration(this.runTime)}`,
+        `📏 ${distance} m   🪙 ${this.runStats.coins}`,
+        `🔗 Best combo: x${this.runStats.bestCombo}   ⚡ ${this.runStats.nearMisses}`
+      ].join('\n'), { fontSize: '15px', align: 'center', lineSpacing: 6 });
     }
+
+    // Right column - quick audio settings, saved like the Audio tab in Settings
+    const rightX = centerX + 150;
+    addText(rightX, 130, '🔊 AUDIO', { fontSize: '18px', fill: '#4FC3F7', fontStyle: 'bold' });
+    const applyAudio = () => audioManager.applySettings(settingsManager.getAudioSettings());
+    const muteButton = addButton(rightX, 168, '', () => {
+      settingsManager.setMuted(!settingsManager.getMuted());
+      applyAudio();
+      refreshAudio();
+    }, smallButtonStyle);
+    const volumeRows = [
+      { key: 'music', label: '🎵 Music', y: 210 },
+      { key: 'sfx', label: '💥 Effects', y: 248 }
+    ].map(row => {
+      const label = addText(rightX - 20, row.y, '', { fontSize: '15px' });
+      const step = change => {
+        settingsManager.setVolume(row.key, settingsManager.getVolume(row.key) + change);
+        applyAudio();
+        refreshAudio();
+      };
+      addButton(rightX + 70, row.y, '−', () => step(-0.1), smallButtonStyle);
+      addButton(rightX + 105, row.y, '+', () => step(0.1), smallButtonStyle);
+      return { ...row, text: label };
+    });
+    const refreshAudio = () => {
+      muteButton.setText(settingsManager.getMuted() ? '🔇 SOUND: OFF' : '🔊 SOUND: ON');
+      volumeRows.forEach(row => {
+        row.text.setText(`${row.label} ${Math.round(settingsManager.getVolume(row.key) * 100)}%`);
+      });
+    };
+    refreshAudio();
+
+    // Switch the left column between run stats and the controls
+    addButton(rightX, 288, view === 'controls' ? '📊 RUN STATS' : '🎮 CONTROLS',
+      () => this.showPauseMenu(view === 'controls' ? 'stats' : 'controls'), smallButtonStyle);
+
+    // Active missions with their progress
+    const missionManager = globalManagers.missionManager;
+    const missionLines = missionManager.getActiveMissions().map(mission =>
+      `${mission.icon} ${mission.description}  ${mission.progress}/${mission.goal}  (${missionManager.describeReward(mission.reward)})`);
+    addText(centerX, 355, ['🎯 MISSIONS', ...missionLines].join('\n'), {
+      fontSize: '13px', fill: '#ddd', align: 'center', lineSpacing: 4
+    });
+
+    addButton(centerX - 170, 435, '▶️ RESUME', () => this.togglePause());
+    addButton(centerX, 435, '🔄 RESTART', () => {
+      this.closePause(); // An ad may show before the restart
+      this.restartGame();
+    });
+    addButton(centerX + 170, 435, '🏠 QUIT', () => this.scene.start('MainMenuScene'));
+  }
   
     restartGame() {
+    // Watching a replay again skips the play count and ads
+    if (this.replay) {
+      if (this.isPaused) this.toggleReplayPlayback();
+      this.performRestart();
+      return;
+    }
+
     // Increment game play count and check for ad
     this.gamePlayCount++;
     globalManagers.scoreManager.incrementGamePlayCount();
@@ -3664,45 +6684,55 @@ class GameScene extends Phaser.Scene {
   
   performRestart() {
       this.gameOver = false;
+    // Restarting from the pause menu ends the pause
+    if (this.isPaused) {
+      this.closePause();
+      this.isPaused = false;
+      globalManagers.cloudManager.resume();
+    }
       this.score = 0;
       globalManagers.scoreManager.setCurrentScore(0);
       this.level = 1;
-    this.speed = GAME_CONFIG.INITIAL_SPEED;
-    this.spawnDelay = GAME_CONFIG.INITIAL_SPAWN_DELAY;
+    this.unlockedBehaviours = globalManagers.obstacleManager.getUnlockedBehaviours(1);
+    this.speed = this.getStartSpeed();
       this.canDoubleJump = true;
-    this.lastSpawnedObstacle = null; // Reset obstacle tracking
+    this.resetChunkSpawner();
+    this.resetGround();
+    this.stepAccumulator = 0;
+    this.bannerText.setAlpha(0);
+    this.seedRun();
+    this.resetRunStats();
   
     // Reset player using PlayerManager
-    globalManagers.playerManager.updatePlayerTexture(this.player);
-      this.player.clearTint();
-    this.player.setPosition(GAME_CONFIG.PLAYER_START_X, GAME_CONFIG.PLAYER_START_Y);
-      this.player.setVelocity(0, 0);
+    this.resetSlide();
+    this.resetJump();
+    globalManagers.playerManager.updatePlayerTexture(this.player, this.character.id);
+    this.playerSprite.setTexture(this.player.texture.key, 'run0');
+      this.applySkin();
+    this.resetPlayerPosition();
   
     // Clear objects
-      this.obstacles.clear(true, true);
-      this.coins.clear(true, true);
+    globalManagers.poolManager.releaseAll('obstacles');
+    globalManagers.poolManager.releaseAll('coins');
+    globalManagers.poolManager.releaseAll('popups');
   
     // Update UI
       this.scoreText.setText('Score: 0');
       this.levelText.setText('Level: 1');
       this.pauseText.setText('');
       this.gameOverText.setAlpha(0);
-      this.powerUpText.setText('Power Up: None');
+    this.hideRunSummary();
   
     this.updateButtonVisibility();
-      this.powerUps.revive = false;
-    
-    if (this.powerUpTimer) {
-        this.powerUpTimer.remove();
-        this.powerUpTimer = null;
-      }
+    this.resetPowerUps();
+    this.applyStartingPowerUps();
   
       this.physics.resume();
-      this.spawnTimer.paused = false;
-      this.spawnTimer.delay = this.spawnDelay;
+    globalManagers.audioManager.playMusic();
     }
   
   showAdPopup() {
+    this.adShowing = true;
     // Increment ad view count
     this.adViewCount++;
     globalManagers.scoreManager.incrementAdViewCount();
@@ -3787,6 +6817,7 @@ class GameScene extends Phaser.Scene {
       adContent.destroy();
       adDescription.destroy();
       continueBtn.destroy();
+      this.adShowing = false;
       
       // Now perform the actual game start or restart
       if (this.gameStarted) {
@@ -3804,6 +6835,7 @@ class GameScene extends Phaser.Scene {
         adContent.destroy();
         adDescription.destroy();
         continueBtn.destroy();
+        this.adShowing = false;
         if (this.gameStarted) {
           this.performRestart();
         } else {
@@ -3814,56 +6846,455 @@ class GameScene extends Phaser.Scene {
     }
   
     collectCoin(player, coin) {
-      coin.destroy();
-      this.score += GAME_CONFIG.SCORE_PER_COIN;
-      this.scoreText.setText(`Score: ${this.score}`);
+    globalManagers.audioManager.playSfx(coin.powerUpType === 'revive' ? 'reviveCoin' : 'coin');
+    globalManagers.poolManager.release('coins', coin);
+    const multiplier = this.powerUps.multiplier > 0 ? GAME_CONFIG.SCORE_MULTIPLIER : 1;
+    const points = GAME_CONFIG.SCORE_PER_COIN * multiplier;
+    this.addScore(points, 'coins');
+    this.showScorePopup(`+${points}`, coin.x, coin.y - 10, '#FFA000');
+
+    // Coins collected in a row without touching the ground build a combo
+    this.coinCombo++;
+    this.runStats.coins++;
+    this.runStats.bestCombo = Math.max(this.runStats.bestCombo, this.coinCombo);
+    this.reportProgress('coins', this.runStats.coins);
+    this.reportProgress('coinCombo', this.coinCombo);
+    if (this.coinCombo > 1) {
+      const bonus = GAME_CONFIG.COIN_COMBO_BONUS * (this.coinCombo - 1);
+      this.addScore(bonus, 'combo');
+      this.showScorePopup(`COMBO x${this.coinCombo} +${bonus}`, coin.x, coin.y - 32, '#9C27B0');
+    }
   
-      // Save current score using ScoreManager
-      globalManagers.scoreManager.setCurrentScore(this.score);
-
-      // Update high score if needed
-      if (this.score > this.highScore) {
-        this.highScore = this.score;
-        globalManagers.scoreManager.setHighScore(this.highScore);
-        this.highScoreText.setText(`High Score: ${this.highScore}`);
+      // Check for revive coin or power-up pickup
+      if (coin.powerUpType) {
+        this.grantPowerUp(coin.powerUpType);
       }
+    }
   
-      // Check for revive coin
-      if (coin.texture.key === 'coin_revive') {
-        this.grantRevivePowerUp();
+  /**
+   * Adds points to the score and to the run's score breakdown
+   * @param {number} points - Points to add
+   * @param {string} source - Breakdown key: 'coins', 'distance', 'nearMiss' or 'combo'
+   */
+  addScore(points, source) {
+    // The mission multiplier can give fractional points, which carry over to the next award
+    this.scoreFraction += points * this.scoreMultiplier;
+    const wholePoints = Math.floor(this.scoreFraction);
+    this.scoreFraction -= wholePoints;
+
+    this.score += wholePoints;
+    this.runStats.breakdown[source] += wholePoints;
+    this.scoreText.setText(this.scoreMultiplier > 1 ? `Score: ${this.score} ✨x${this.scoreMultiplier}` : `Score: ${this.score}`);
+    this.reportProgress('score', this.score);
+
+    // Save current score using ScoreManager
+    globalManagers.scoreManager.setCurrentScore(this.score);
+
+    // Update high score if needed (replays never count)
+    if (!this.replay && this.score > this.highScore) {
+      this.highScore = this.score;
+      globalManagers.scoreManager.setHighScore(this.highScore);
+      this.highScoreText.setText(`High Score: ${this.highScore}`);
+    }
+  }
+
+  /**
+   * Starts a fresh stats object for the run, called at the start of every run
+   * It is filled in during the run and completed by finishRunStats() on game over
+   */
+  resetRunStats() {
+    this.coinCombo = 0;          // Coins collected since last touching the ground
+    this.scoreFraction = 0;      // Multiplied points not yet added to the score
+    this.runStats = {
+      score: 0,
+      distance: 0,               // Meters run
+      coins: 0,                  // Coins and pickups collected
+      level: 1,
+      time: 0,                   // Run time (ms)
+      bestCombo: 0,              // Longest coin combo
+      nearMisses: 0,
+      doubleJumps: 0,
+      slides: 0,
+      powerUps: 0,               // Power-ups and revive coins collected
+      distancePoints: 0,         // Distance points awarded so far (before the score multiplier)
+      breakdown: { coins: 0, distance: 0, nearMiss: 0, combo: 0 }, // Points by source
+      previousBest: this.highScore, // High score before the run, for the personal-best badge
+      newBest: false,
+      rank: null,                // Leaderboard rank the run reached (null if not saved)
+      cause: null                // What ended the run (ScoreManager cause key)
+    };
+  }
+
+  /**
+   * Completes the run stats with the final score, level, distance and time
+   */
+  finishRunStats() {
+    const stats = this.runStats;
+    stats.score = this.score;
+    stats.level = this.level;
+    stats.distance = Math.round(this.distance / GAME_CONFIG.PIXELS_PER_METER);
+    stats.time = this.runTime;
+    stats.newBest = this.score > 0 && this.score > stats.previousBest;
+  }
+
+  /**
+   * Awards the near-miss bonus once an obstacle has passed the player closely without touching
+   * @param {Phaser.Physics.Arcade.Sprite} obstacle - Active obstacle
+   */
+  checkNearMiss(obstacle) {
+    if (obstacle.passedPlayer || this.gameOver) return;
+    const player = this.player.body;
+    const body = obstacle.body;
+
+    if (body.right < player.left) {
+      obstacle.passedPlayer = true;
+      // A negative gap means the bodies overlapped (e.g. the hit a shield absorbed or a revive)
+      if (obstacle.nearMissGap >= 0 && obstacle.nearMissGap <= GAME_CONFIG.NEAR_MISS_MARGIN) {
+        this.runStats.nearMisses++;
+        this.reportProgress('nearMisses', this.runStats.nearMisses);
+        this.addScore(GAME_CONFIG.NEAR_MISS_BONUS, 'nearMiss');
+        this.showScorePopup(`NEAR MISS +${GAME_CONFIG.NEAR_MISS_BONUS}`, this.player.x, this.player.y - 40, '#E91E63');
       }
+      return;
     }
-  
-    grantRevivePowerUp() {
+
+    // Track the smallest gap between the player's feet and the obstacle's top while the two
+    // overlap horizontally. Passing under an obstacle (sliding under a hanging one, a bird at
+    // the top of its flight) is the clearance those obstacles always give, so it never counts
+    if (body.left <= player.right && player.top < body.bottom) {
+      obstacle.nearMissGap = Math.min(obstacle.nearMissGap, body.top - player.bottom);
+    }
+  }
+
+  /**
+   * Shows a pooled text that floats up and fades out
+   * @param {string} text - Popup text
+   * @param {number} x - Start X position
+   * @param {number} y - Start Y position
+   * @param {string} color - Text color
+   */
+  showScorePopup(text, x, y, color) {
+    const popup = globalManagers.poolManager.acquire('popups', text, x, y, color);
+    // A new tween on every use, so the relative rise starts from this popup's position
+    popup.popupTween = this.tweens.add({
+      targets: popup,
+      y: `-=${GAME_CONFIG.POPUP_RISE}`,
+      alpha: 0,
+      duration: GAME_CONFIG.POPUP_DURATION,
+      onComplete: () => globalManagers.poolManager.release('popups', popup)
+    });
+  }
+
+  /**
+   * Activates a power-up, stacking with an active one of the same type
+   * @param {string} type - Power-up type key from PowerUpManager
+   */
+  grantPowerUp(type) {
+    this.runStats.powerUps++;
+    this.reportProgress('powerUp', this.runStats.powerUps);
+    this.activatePowerUp(type);
+  }
+
+  activatePowerUp(type) {
+    if (type === 'revive') {
       this.powerUps.revive = true;
-      this.powerUpText.setText('Power Up: REVIVE available! Tap ❤️ REVIVE button after death to continue.');
       this.reviveBtn.setVisible(this.gameOver);
+    } else {
+      this.powerUps[type] = globalManagers.powerUpManager.applyStacking(type, this.powerUps[type],
+        this.shopEffects.powerUpDurationScale);
+    }
+
+    if (type === 'shield') this.shieldBubble.setVisible(true);
+
+    this.updatePowerUpHud();
+  }
+
+  /**
+   * Activates the starting power-ups bought in the shop (already taken from the wallet in seedRun)
+   */
+  applyStartingPowerUps() {
+    const shopManager = globalManagers.shopManager;
+    this.shopEffects.startPowerUps.forEach(id => this.activatePowerUp(shopManager.getItem(id).powerUp));
+  }
+
+  /**
+   * Tints the player with the skin equipped in the shop
+   */
+  applySkin() {
+    const tint = globalManagers.shopManager.getSkinTint(globalManagers.scoreManager.getInventory());
+    if (tint === null) this.playerSprite.clearTint();
+    else this.playerSprite.setTint(tint);
+  }
+
+  /**
+   * Counts down active timed power-ups, called from simulate() every POWER_UP_TICK ms of run time
+   */
+  tickPowerUps() {
+    if (!this.gameStarted || this.gameOver || this.isPaused) return;
+
+    globalManagers.powerUpManager.getTimedTypes().forEach(type => {
+      if (this.powerUps[type] <= 0) return;
+
+      this.powerUps[type] = Math.max(0, this.powerUps[type] - GAME_CONFIG.POWER_UP_TICK);
+      if (this.powerUps[type] === 0) this.expirePowerUp(type);
+    });
+
+    this.updatePowerUpHud();
+  }
+
+  expirePowerUp(type) {
+    this.powerUps[type] = 0;
+    if (type === 'shield') this.shieldBubble.setVisible(false);
+  }
+
+  /**
+   * Sets the clock time scale from the replay playback rate
+   * Physics needs no time scale - fast playback takes more fixed steps per frame. Slow motion
+   * only slows the world (speed and world object tweens, see simulate()), so HUD and menu tweens
+   * always run at normal speed
+   */
+  applyTimeScales() {
+    this.time.timeScale = this.playbackRate;
+  }
+
+  /**
+   * Uses up the shield to survive a collision
+   */
+  absorbHitWithShield(obstacle) {
+    this.expirePowerUp('shield');
+    this.updatePowerUpHud();
+
+    globalManagers.poolManager.release('obstacles', obstacle);
+    this.cameras.main.flash(150, 30, 144, 255);
+  }
+
+  /**
+   * Clears all power-ups and restarts the countdown
+   */
+  resetPowerUps() {
+    this.powerUps.revive = false;
+    globalManagers.powerUpManager.getTimedTypes().forEach(type => this.expirePowerUp(type));
+
+    this.powerUpTickElapsed = 0;
+
+    this.updatePowerUpHud();
+  }
+
+  /**
+   * Shows one HUD row per active power-up with its remaining time
+   */
+  updatePowerUpHud() {
+    const powerUpManager = globalManagers.powerUpManager;
+    let row = 0;
+
+    powerUpManager.getAllTypes().forEach(type => {
+      const text = this.powerUpHud[type];
+      const definition = powerUpManager.getDefinition(type);
+      const active = type === 'revive' ? this.powerUps.revive : this.powerUps[type] > 0;
+
+      text.setVisible(active);
+      if (!active) return;
+
+      const status = type === 'revive' ? 'ready' : powerUpManager.formatRemaining(this.powerUps[type]);
+      text.setText(`${definition.icon} ${definition.label} ${status}`);
+      text.setY(100 + row * 24);
+      row++;
+    });
+  }
+  
+  /**
+   * Moves an obstacle according to its behaviour, run every simulation step
+   * @param {Phaser.Physics.Arcade.Sprite} obstacle - Active obstacle with a behaviour
+   * @param {number} speed - Current world speed (px/s)
+   * @param {number} seconds - Step length
+   */
+  updateObstacleBehaviour(obstacle, speed, seconds) {
+    const behaviour = obstacle.behaviour;
+    const obstacleManager = globalManagers.obstacleManager;
+    obstacle.behaviourTime += seconds;
+
+    switch (behaviour.key) {
+      case 'bounce':
+        obstacle.y = obstacle.baseY - obstacleManager.getBounceOffset(behaviour, obstacle.behaviourTime);
+        break;
+
+      case 'fly':
+        obstacle.y = obstacleManager.getFlightY(behaviour, obstacle.behaviourTime);
+        break;
+
+      case 'roll': {
+        // Picks up speed towards the player and spins to match
+        obstacle.extraSpeed = Math.min(behaviour.maxExtraSpeed, obstacle.extraSpeed + behaviour.acceleration * seconds);
+        const rollSpeed = speed + obstacle.extraSpeed;
+        obstacle.body.setVelocityX(-rollSpeed);
+        obstacle.rotation -= rollSpeed * seconds / (obstacle.displayWidth / 2);
+        break;
+      }
+
+      case 'fall':
+        // Hangs in the air until the player gets close, then drops to the ground
+        if (!obstacle.falling && obstacle.x - this.player.x < behaviour.triggerDistance) {
+          obstacle.falling = true;
+        }
+        if (obstacle.falling && obstacle.y < GAME_CONFIG.OBSTACLE_Y) {
+          obstacle.fallVelocity += behaviour.gravity * seconds;
+          obstacle.y = Math.min(GAME_CONFIG.OBSTACLE_Y, obstacle.y + obstacle.fallVelocity * seconds);
+        }
+        break;
     }
+  }
+
+  /**
+   * Reports a game event to the achievement and mission managers
+   * Unlocks and completed missions get a toast; mission rewards are paid straight away
+   * Replays never count
+   * @param {string} event - Event name (see ACHIEVEMENTS and MISSION_POOL)
+   * @param {number} value - Event value (see AchievementManager.report and MissionManager.report)
+   */
+  reportProgress(event, value) {
+    if (this.replay) return;
+
+    globalManagers.achievementManager.report(event, value).forEach(achievement => {
+      this.queueToast(`🏆 Achievement unlocked!\n${achievement.icon} ${achievement.name}`);
+    });
+
+    const missionManager = globalManagers.missionManager;
+    missionManager.report(event, value).forEach(mission => {
+      if (mission.reward.type === 'coins') globalManagers.scoreManager.addCoins(mission.reward.amount, 'mission');
+      this.queueToast(`🎯 Mission complete! ${missionManager.describeReward(mission.reward)}\n${mission.icon} ${mission.description}`);
+    });
+  }
+
+  queueToast(message) {
+    this.toastQueue.push(message);
+    if (!this.toastShowing) this.showNextToast();
+  }
+
+  // Toasts are shown one at a time so several at once don't overlap
+  showNextToast() {
+    const message = this.toastQueue.shift();
+    this.toastShowing = Boolean(message);
+    if (!message) return;
+
+    this.toastText.setText(message);
+    this.toast.setY(-40);
+    this.tweens.add({
+      targets: this.toast,
+      y: 62,
+      duration: 350,
+      ease: 'Back.easeOut',
+      hold: 2000,
+      yoyo: true,
+      onComplete: () => this.showNextToast()
+    });
+  }
+
+  /**
+   * Briefly shows a message in the middle of the screen
+   * @param {string} message - Text to show
+   */
+  showBanner(message) {
+    if (this.bannerTween) this.bannerTween.remove();
+    this.bannerText.setText(message).setAlpha(1);
+    this.bannerTween = this.tweens.add({
+      targets: this.bannerText,
+      alpha: 0,
+      delay: 1500,
+      duration: 500
+    });
+  }
   
     levelUp(newLevel) {
       this.level = newLevel;
     this.levelText.setText(`Level: ${this.level}`);
-    this.speed += GAME_CONFIG.LEVEL_SPEED_BONUS * (this.level - 1);
-    this.spawnDelay = Math.max(GAME_CONFIG.MIN_SPAWN_DELAY, 
-      GAME_CONFIG.INITIAL_SPAWN_DELAY - (this.level - 1) * GAME_CONFIG.SPAWN_DELAY_REDUCTION);
-      this.spawnTimer.delay = this.spawnDelay;
-      this.reviveGivenThisLevel = false;
+    this.reportProgress('level', this.level);
+    globalManagers.audioManager.playSfx('levelUp');
+    }
+
+  /**
+   * Makes the course harder - speed bonus, harder chunk tiers, shorter gaps, new obstacle behaviours
+   * Follows distance only, unlike the score level shown in the HUD
+   * @param {number} newLevel - New course level
+   */
+  raiseCourseLevel(newLevel) {
+    const previousLevel = this.courseLevel;
+    this.courseLevel = newLevel;
+    this.speed += GAME_CONFIG.LEVEL_SPEED_BONUS * (this.courseLevel - 1);
+    this.reviveGivenThisLevel = false;
+
+    // Newly unlocked obstacle behaviours join the mix from the next chunk on
+    const obstacleManager = globalManagers.obstacleManager;
+    this.unlockedBehaviours = obstacleManager.getUnlockedBehaviours(this.courseLevel);
+    const unlocked = obstacleManager.getNewlyUnlocked(previousLevel, this.courseLevel);
+    if (unlocked.length > 0) {
+      this.showBanner(`⚠️ NEW: ${unlocked.map(behaviour => behaviour.label).join(', ')}`);
     }
+  }
   
+  /**
+   * Stores the finished run's inputs as a replay (skipped when watching a replay)
+   */
+  saveReplay() {
+    this.replayId = null;
+    if (!this.recording || this.score <= 0) return;
+
+    const replayManager = globalManagers.replayManager;
+    const replay = replayManager.finishRecording(this.recording, {
+      score: this.score,
+      level: this.level,
+      duration: this.runTime,
+      username: globalManagers.settingsManager.getUsername()
+    });
+    replayManager.saveReplay(replay);
+    this.replayId = replay.id;
+  }
+
+  /**
+   * Adds the finished run to the run history shown in the statistics (skipped for replays)
+   */
+  saveRunRecord() {
+    if (this.replay) return;
+
+    const stats = this.runStats;
+    globalManagers.scoreManager.addRunRecord({
+      score: stats.score,
+      level: stats.level,
+      duration: Math.round(stats.time),
+      coins: stats.coins,
+      distance: stats.distance,
+      cause: stats.cause,
+      mode: this.isDaily ? 'daily' : 'normal',
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Saves the finished run's score to the leaderboard it counts for
+   * @returns {number|null} Rank the score reached, null if it wasn't saved or didn't make the board
+   */
   saveScoreToLeaderboard() {
-    if (this.score <= 0) return;
+    if (this.replay || this.score <= 0) return null;
     
     const username = globalManagers.settingsManager.getUsername();
-    globalManagers.scoreManager.addToLeaderboard(this.score, this.level, username);
+
+    // Daily challenge results only go to today's board, and only for the counted attempt
+    if (this.isDaily) {
+      if (!this.dailyCounted) return null;
+      return globalManagers.scoreManager.addToDailyLeaderboard(this.score, this.level, username, this.dailyKey, this.replayId);
+    }
+
+    return globalManagers.scoreManager.addToLeaderboard(this.score, this.level, username, this.replayId);
   }
 
   updateButtonVisibility() {
     this.startBtn.setVisible(false);
     this.jumpBtn.setVisible(true);
+    this.slideBtn.setVisible(true);
     this.pauseBtn.setVisible(true);
     this.restartBtn.setVisible(false);
     this.reviveBtn.setVisible(false);
     this.menuBtn.setVisible(true);
+    if (this.replay) this.showReplayControls();
     }
   
     createTextures() {
@@ -3930,6 +7361,11 @@ function initializeLocalStorage() {
     localStorage.setItem('showAds', 'true');                   // Ads initially enabled
     localStorage.setItem('username', 'Anonymous');             // Default username
     localStorage.setItem('leaderboard', '[]');                 // Empty leaderboard array
+    localStorage.setItem('dailyLeaderboard', '{}');            // Daily challenge boards by date
+    localStorage.setItem('replays', '{"recent":[],"best":null}'); // Recent and best run replays
+    localStorage.setItem('runHistory', '[]');                  // Finished runs, newest first
+    localStorage.setItem('achievements', '{"unlocked":{},"progress":{}}'); // Unlock dates and progress
+    localStorage.setItem('wallet', '{"balance":0,"inventory":{},"ledger":[]}'); // Coins, shop items and transactions
     
     // Set default orientation based on current viewport
     const isLandscape = window.innerWidth > window.innerHeight;
@@ -3948,7 +7384,9 @@ function initializeLocalStorage() {
       'adViewCount': '0',
       'showAds': 'true',
       'username': 'Anonymous',
-      'leaderboard': '[]'
+      'leaderboard': '[]',
+      'dailyLeaderboard': '{}',
+      'runHistory': '[]'
     };
     
     // Add orientation preference if it doesn't exist
@@ -3970,6 +7408,9 @@ function initializeLocalStorage() {
 // Initialize localStorage before creating the game
 initializeLocalStorage();
 
+// Apply the saved volumes before anything plays
+globalManagers.audioManager.applySettings(globalManagers.settingsManager.getAudioSettings());
+
 // ============================================================================
 // GAME CONFIGURATION AND INITIALIZATION
 // ============================================================================
@@ -3998,6 +7439,13 @@ initializeLocalStorage();
     }
   },
   
+  // ========================================================================
+  // INPUT CONFIGURATION
+  // ========================================================================
+  input: {
+    gamepad: true                       // Enable the gamepad plugin (this.input.gamepad)
+  },
+
   // ========================================================================
   // SCENE MANAGEMENT
   // ========================================================================
@@ -4007,6 +7455,8 @@ initializeLocalStorage();
     LeaderboardScene,   // Leaderboard display and management
     SettingsScene,      // Game settings and configuration
     StatisticsScene,    // Statistics and analytics display
+    AchievementsScene,  // Achievement gallery
+    ShopScene,          // Coin shop
     GameScene           // Main gameplay scene - core game logic
   ],
   